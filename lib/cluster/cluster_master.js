@@ -29,6 +29,16 @@ module.exports = function(context) {
         .then(function(jobs_service) {
             logger.trace('jobs_service has instantiated');
             services.push(jobs_service);
+            return require('./services/templates')(context, jobs_service)
+        })
+        .then(function(templates_service) {
+            logger.trace('templates_service has instantiated');
+            services.push(templates_service);
+            return require('./services/notifications')(context);
+        })
+        .then(function(notifications_service) {
+            logger.trace('notifications_service has instantiated');
+            services.push(notifications_service);
             return require('./services/api')(context, app, services);
         })
         .then(function(api_service) {
@@ -204,6 +204,8 @@ module.exports = function(context) {
             });
         }
 
+        //the cluster_master holds a reservation for these workers until the request is processed
+        messaging.send('node:state', getNodeState());
         messaging.send('node:message:processed', createWorkerMsg);
     });
 
@@ -259,6 +261,12 @@ module.exports = function(context) {
         });
     });
 
+    messaging.register('cluster:job:tune', function(data) {
+        messageWorkers(context, data, {message: 'cluster:job:tune', tuning: data.tuning}, function(worker) {
+            return worker.ex_id === data.ex_id && worker.assignment === 'slicer'
+        });
+    });
+
     messaging.register('cluster:job:restart', function(data) {
         messageWorkers(context, data, {message: 'cluster:job:restart'},
             function(worker) {
@@ -330,14 +338,21 @@ module.exports = function(context) {
     });
 
     messaging.register('child:exit', function(worker) {
+        //a slicer that crashed is restarted on the same port to resume from its checkpoint, it keeps its port and slot
+        var restarted = worker.assignment === 'slicer' && slicerRestarted(worker);
+
         //reclaim ports
         if (worker.slicer_port) {
-            logger.debug(`reclaiming port ${worker.slicer_port} from slicer exit`);
-            //reclaim port if slicer exits, if slicer tries to restart it will exit and mark the job as failed
-            systemPorts.addPort(worker.slicer_port)
+            if (restarted) {
+                logger.warn(`slicer for ex_id: ${worker.ex_id} has been restarted, keeping port ${worker.slicer_port}`);
+            }
+            else {
+                logger.debug(`reclaiming port ${worker.slicer_port} from slicer exit`);
+                systemPorts.addPort(worker.slicer_port)
+            }
         }
         //used to catch slicer shutdown to allow retry, allows to bypass the jobRequest requestedWorkers
-        if (worker.assignment === 'slicer' && newWorkerQueue.size()) {
+        if (worker.assignment === 'slicer' && !restarted && newWorkerQueue.size()) {
             context.foundation.startWorkers(1, newWorkerQueue.dequeue());
         }
         else {
@@ -345,6 +360,12 @@ module.exports = function(context) {
         }
     });
 
+    function slicerRestarted(exitedWorker) {
+        return _.some(context.cluster.workers, function(worker) {
+            return worker.id !== exitedWorker.id && worker.assignment === 'slicer' && worker.slicer_port === exitedWorker.slicer_port;
+        });
+    }
+
     function getNodeState() {
         var state = {
             node_id: context.sysconfig._nodeName,
@@ -353,6 +374,7 @@ module.exports = function(context) {
             node_version: nodeVersion,
             teraslice_version: terasliceVersion,
             total: context.sysconfig.teraslice.workers,
+            labels: context.sysconfig.teraslice.labels,
             state: 'connected'
         };
         var clusterWorkers = context.cluster.workers;
@@ -373,6 +395,11 @@ module.exports = function(context) {
                 child.job_id = clusterWorkers[childID].job_id
             }
 
+            //needed for workers to find a slicer that was started before a cluster_master restart
+            if (clusterWorkers[childID].slicer_port) {
+                child.slicer_port = clusterWorkers[childID].slicer_port
+            }
+
             if (clusterWorkers[childID].assets) {
                 child.assets = clusterWorkers[childID].assets.map(asset => asset.id);
             }
@@ -7,12 +7,63 @@ var parseError = require('../../utils/error_utils').parseError;
 var request = require('request');
 var makeTable = require('../../utils/api_utils').makeTable;
 var sendError = require('../../utils/api_utils').sendError;
+var parseTuning = require('../../utils/tuning_utils').parseTuning;
+var eventStreamUtils = require('../../utils/event_stream_utils');
+var paginationUtils = require('../../utils/pagination_utils');
+var notificationUtils = require('../../utils/notification_utils');
+
+// query parameters that can filter listings of jobs and executions, metadata fields are added by _listFilters
+var JOB_FILTERS = ['name', 'tag', 'owner', 'created_after', 'created_before'];
+var EXECUTION_FILTERS = ['status', 'job_id', 'name', 'tag', 'owner', 'created_after', 'created_before'];
+
+// query parameters that page through a listing
+var PAGE_PARAMS = ['size', 'cursor', 'order', 'envelope'];
+
+// time in ms between the comments sent to keep idle event streams from being closed by proxies
+var STREAM_HEARTBEAT = 15000;
 
 module.exports = function(context, app, services) {
     var logger = context.foundation.makeLogger('api', 'api', {module: 'api_service'});
     var cluster_service = services[0];
     var jobs_service = services[1];
+    var templates_service = services[2];
+    var notifications_service = services[3];
     var assetsUrl = `http://${context.sysconfig.teraslice.master_hostname}:${process.env.assets_port}`;
+    var events = context.foundation.getEventEmitter();
+
+    // open responses of GET /events, each with the filters it was requested with
+    var streamClients = [];
+    var streamEventID = 0;
+
+    var streamHeartbeat = setInterval(function() {
+        streamClients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, STREAM_HEARTBEAT);
+
+    events.on('jobs_service:status_change', function(data) {
+        _publish('execution:status', {
+            ex_id: data.ex.ex_id,
+            job_id: data.ex.job_id,
+            status: data.status,
+            previous_status: data.previous_status,
+            _failureReason: data.ex._failureReason
+        });
+    });
+
+    events.on('slicer:metrics', function(metrics) {
+        _publish('slicer:analytics', _.omit(metrics, 'message'));
+    });
+
+    events.on('slicer:worker:joined', function(data) {
+        _publish('worker:joined', _.omit(data, 'message'));
+    });
+
+    events.on('slicer:worker:disconnected', function(data) {
+        _publish('worker:disconnected', _.omit(data, 'message'));
+    });
+
+    events.on('jobs_service:moderator', function(data) {
+        _publish(`moderator:${data.action}`, _.omit(data, 'action'));
+    });
 
     app.use(bodyParser.json({
         type: function(req) {
@@ -73,11 +124,37 @@ module.exports = function(context, app, services) {
         }
     });
 
+    app.post('/jobs/_validate', function(req, res) {
+        if (!req.body.operations) {
+            sendError(res, 400, 'No job was posted');
+            return;
+        }
+        logger.debug(`POST /jobs/_validate endpoint has been called`);
+
+        jobs_service.validateJobSpec(req.body)
+            .then(function(results) {
+                res.status(200).json(_.assign({}, results, {job: notificationUtils.redactSecrets(results.job)}));
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not validate job: ${errMsg}`);
+                sendError(res, 500, 'Could not validate job');
+            });
+    });
+
     app.get('/jobs', function(req, res) {
-        logger.debug(`GET /jobs endpoint has been called, from: ${req.query.from}, size: ${req.query.size}, sort: ${req.query.sort}`);
-        jobs_service.getJobs(req.query.from, req.query.size, req.query.sort)
+        logger.debug(`GET /jobs endpoint has been called, query:`, req.query);
+
+        var filters = _listFilters(req, JOB_FILTERS);
+
+        if (!_isOffsetRequest(req)) {
+            _sendPage(req, res, jobs_service.listJobs, filters, 'jobs');
+            return;
+        }
+
+        jobs_service.getJobs(req.query.from, req.query.size, req.query.sort, filters)
             .then(function(results) {
-                res.status(200).json(results);
+                res.status(200).json(_redact(results));
             })
             .catch(function(err) {
                 var errMsg = parseError(err);
@@ -92,7 +169,7 @@ module.exports = function(context, app, services) {
 
         jobs_service.getJob(job_id)
             .then(function(job_spec) {
-                res.status(200).json(job_spec);
+                res.status(200).json(_redact(job_spec));
             })
             .catch(function(err) {
                 var errMsg = parseError(err);
@@ -123,16 +200,39 @@ module.exports = function(context, app, services) {
             });
     });
 
+    app.delete('/jobs/:job_id', function(req, res) {
+        var job_id = req.params.job_id;
+        logger.debug(`DELETE /jobs/:job_id endpoint has been called, job_id: ${job_id}`);
+
+        jobs_service.deleteJob(job_id)
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = err.code ? err.message : parseError(err);
+                logger.error(`Error: could not delete job: ${job_id}, error: ${errMsg}`);
+                sendError(res, err.code || 500, errMsg);
+            });
+    });
+
     app.get('/jobs/:job_id/ex', function(req, res) {
         var job_id = req.params.job_id;
-        logger.debug(`GET /jobs/:job_id endpoint has been called, job_id: ${job_id}`);
+        logger.debug(`GET /jobs/:job_id/ex endpoint has been called, job_id: ${job_id}`);
+
+        var filters = _listFilters(req, _.without(EXECUTION_FILTERS, 'job_id'));
+
+        //without any list parameters the latest execution is returned, as it was before executions could be listed
+        if (!_.isEmpty(filters) || _.some(PAGE_PARAMS, param => req.query[param] !== undefined)) {
+            _sendPage(req, res, jobs_service.listExecutions, _.assign(filters, {job_id: job_id}), 'execution contexts');
+            return;
+        }
 
         getLatestExecution(job_id)
             .then(function(ex_id) {
                 return jobs_service.getExecutionContext(ex_id)
             })
             .then(function(results) {
-                res.status(200).json(results);
+                res.status(200).json(_redact(results));
             })
             .catch(function(err) {
                 var errMsg = parseError(err);
@@ -141,6 +241,99 @@ module.exports = function(context, app, services) {
             })
     });
 
+    app.get('/jobs/:job_id/schedule', function(req, res) {
+        var job_id = req.params.job_id;
+        var size = 5;
+
+        if (req.query.size && !isNaN(req.query.size) && req.query.size > 0) {
+            size = Number(req.query.size);
+        }
+        logger.debug(`GET /jobs/:job_id/schedule endpoint has been called, job_id: ${job_id}, size: ${size}`);
+
+        jobs_service.getSchedule(job_id, size)
+            .then(function(schedule) {
+                res.status(200).json(schedule);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not retrieve schedule for job: ${job_id}, error: ${errMsg}`);
+                sendError(res, 404, errMsg);
+            });
+    });
+
+    app.get('/jobs/:job_id/dependencies', function(req, res) {
+        var job_id = req.params.job_id;
+        logger.debug(`GET /jobs/:job_id/dependencies endpoint has been called, job_id: ${job_id}`);
+
+        jobs_service.getDependencyGraph(job_id)
+            .then(function(graph) {
+                res.status(200).json(graph);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not retrieve dependencies for job: ${job_id}, error: ${errMsg}`);
+                sendError(res, 404, errMsg);
+            });
+    });
+
+    app.get('/jobs/:job_id/revisions', function(req, res) {
+        var job_id = req.params.job_id;
+        logger.debug(`GET /jobs/:job_id/revisions endpoint has been called, job_id: ${job_id}, from: ${req.query.from}, size: ${req.query.size}`);
+
+        jobs_service.getRevisions(job_id, req.query.from, req.query.size)
+            .then(function(revisions) {
+                res.status(200).json(revisions.map(revision => _.assign({}, revision, {spec: notificationUtils.redactSecrets(revision.spec)})));
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not retrieve revisions for job: ${job_id}, error: ${errMsg}`);
+                sendError(res, 500, `Could not retrieve revisions for job: ${job_id}`);
+            });
+    });
+
+    app.get('/jobs/:job_id/revisions/_diff', function(req, res) {
+        var job_id = req.params.job_id;
+        var from = req.query.from;
+        var to = req.query.to;
+        logger.debug(`GET /jobs/:job_id/revisions/_diff endpoint has been called, job_id: ${job_id}, from: ${from}, to: ${to}`);
+
+        if (!from || isNaN(from) || (to && isNaN(to))) {
+            sendError(res, 400, 'Must provide a from parameter, and optionally a to parameter, that are revision numbers');
+            return;
+        }
+
+        jobs_service.diffRevisions(job_id, from, to)
+            .then(function(diff) {
+                res.status(200).json(_.assign({}, diff, {changes: diff.changes.map(notificationUtils.redactChange)}));
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not diff revisions for job: ${job_id}, error: ${errMsg}`);
+                sendError(res, 404, errMsg);
+            });
+    });
+
+    app.post('/jobs/:job_id/_rollback/:revision', function(req, res) {
+        var job_id = req.params.job_id;
+        var revision = req.params.revision;
+        logger.debug(`POST /jobs/:job_id/_rollback/:revision endpoint has been called, job_id: ${job_id}, revision: ${revision}`);
+
+        if (isNaN(revision)) {
+            sendError(res, 400, 'revision must be a number');
+            return;
+        }
+
+        jobs_service.rollbackJob(job_id, revision)
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not rollback job: ${job_id}, error: ${errMsg}`);
+                sendError(res, 404, errMsg);
+            });
+    });
+
     app.post('/jobs/:job_id/_start', function(req, res) {
         var job_id = req.params.job_id;
         if (!job_id) {
@@ -247,6 +440,23 @@ module.exports = function(context, app, services) {
 
     });
 
+    app.get('/jobs/:job_id/autoscale', function(req, res) {
+        logger.debug(`GET /jobs/:job_id/autoscale endpoint has been called, job_id: ${req.params.job_id}`);
+
+        getLatestExecution(req.params.job_id)
+            .then(function(ex_id) {
+                return jobs_service.getScalingHistory(ex_id);
+            })
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not retrieve the autoscaling history of job: ${req.params.job_id}, error: ${errMsg}`);
+                sendError(res, 404, errMsg);
+            });
+    });
+
     app.get('/jobs/:job_id/slicer', function(req, res) {
         logger.debug(`GET /jobs/:job_id/slicer endpoint has been called, job_id: ${req.params.job_id}`);
 
@@ -315,12 +525,86 @@ module.exports = function(context, app, services) {
             })
     });
 
+    app.post('/templates', function(req, res) {
+        if (!req.body.name) {
+            sendError(res, 400, 'No template was posted');
+            return;
+        }
+        logger.debug(`POST /templates endpoint has been called, template:`, req.body);
+
+        templates_service.saveTemplate(req.body)
+            .then(function(results) {
+                res.status(201).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not save template: ${errMsg}`);
+                sendError(res, 400, `Template could not be saved: ${errMsg}`);
+            });
+    });
+
+    app.get('/templates', function(req, res) {
+        logger.debug(`GET /templates endpoint has been called, from: ${req.query.from}, size: ${req.query.size}, sort: ${req.query.sort}, history: ${req.query.history}`);
+
+        templates_service.getTemplates(req.query.from, req.query.size, req.query.sort, req.query.history === 'true')
+            .then(function(results) {
+                res.status(200).json(results.map(_redactTemplate));
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not retrieve list of templates, ${errMsg}`);
+                sendError(res, 500, 'Error: could not retrieve list of templates.');
+            });
+    });
+
+    app.get('/templates/:name', function(req, res) {
+        var name = req.params.name;
+        logger.debug(`GET /templates/:name endpoint has been called, name: ${name}, version: ${req.query.version}`);
+
+        templates_service.getTemplate(name, req.query.version)
+            .then(function(template) {
+                res.status(200).json(_redactTemplate(template));
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                sendError(res, 404, errMsg);
+            });
+    });
+
+    app.post('/templates/:name/_instantiate', function(req, res) {
+        var name = req.params.name;
+        var version = req.query.version;
+        var shouldRun = true;
+
+        if (req.query.hasOwnProperty('start') && req.query.start === 'false') {
+            shouldRun = false;
+        }
+        logger.debug(`POST /templates/:name/_instantiate endpoint has been called, name: ${name}, version: ${version}, shouldRun: ${shouldRun}, parameters:`, req.body);
+
+        templates_service.instantiate(name, version, req.body, shouldRun)
+            .then(function(ids) {
+                res.status(202).json(ids);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not instantiate template: ${name}, error: ${errMsg}`);
+                sendError(res, 400, `Template could not be instantiated: ${errMsg}`);
+            });
+    });
+
     app.get('/ex', function(req, res) {
-        logger.debug(`GET /ex endpoint has been called, status: ${req.query.status}, from: ${req.query.from}, size: ${req.query.size}, sort: ${req.query.sort}`);
+        logger.debug(`GET /ex endpoint has been called, query:`, req.query);
+
+        var filters = _listFilters(req, EXECUTION_FILTERS);
+
+        if (!_isOffsetRequest(req)) {
+            _sendPage(req, res, jobs_service.listExecutions, filters, 'execution contexts');
+            return;
+        }
 
-        jobs_service.getExecutionContexts(req.query.status, req.query.from, req.query.size, req.query.sort)
+        jobs_service.getExecutionContexts(null, req.query.from, req.query.size, req.query.sort, filters)
             .then(function(results) {
-                res.status(200).json(results);
+                res.status(200).json(_redact(results));
             })
             .catch(function(err) {
                 var errMsg = parseError(err);
@@ -329,13 +613,40 @@ module.exports = function(context, app, services) {
             })
     });
 
+    app.delete('/ex/:ex_id', function(req, res) {
+        var ex_id = req.params.ex_id;
+        logger.debug(`DELETE /ex/:ex_id endpoint has been called, ex_id: ${ex_id}`);
+
+        jobs_service.deleteExecution(ex_id)
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = err.code ? err.message : parseError(err);
+                logger.error(`Error: could not delete execution: ${ex_id}, error: ${errMsg}`);
+                sendError(res, err.code || 500, errMsg);
+            });
+    });
+
+    app.post('/ex/_stop', function(req, res) {
+        _bulkNotify(req, res, 'stop');
+    });
+
+    app.post('/ex/_pause', function(req, res) {
+        _bulkNotify(req, res, 'pause');
+    });
+
+    app.post('/ex/_resume', function(req, res) {
+        _bulkNotify(req, res, 'resume');
+    });
+
     app.get('/ex/:ex_id', function(req, res) {
         var ex_id = req.params.ex_id;
         logger.debug(`GET /ex/:ex_id endpoint has been called, ex_id: ${ex_id}`);
 
         jobs_service.getExecutionContext(ex_id)
             .then(function(results) {
-                res.status(200).json(results);
+                res.status(200).json(_redact(results));
             })
             .catch(function(err) {
                 var errMsg = parseError(err);
@@ -377,11 +688,77 @@ module.exports = function(context, app, services) {
             });
     });
 
+    app.post('/ex/:ex_id/_retry_failed', function(req, res) {
+        var ex_id = req.params.ex_id;
+        logger.debug(`POST /ex/:ex_id/_retry_failed endpoint has been called, ex_id: ${ex_id}`);
+
+        jobs_service.retryFailedSlices(ex_id)
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = err.code ? err.message : parseError(err);
+                logger.error(`Error: could not retry the failed slices of execution: ${ex_id}, error: ${errMsg}`);
+                sendError(res, err.code || 500, errMsg);
+            });
+    });
+
+    app.post('/ex/:ex_id/_tune', function(req, res) {
+        var ex_id = req.params.ex_id;
+        logger.debug(`POST /ex/:ex_id/_tune endpoint has been called, ex_id: ${ex_id}, query:`, req.query);
+
+        jobs_service.tuneExecution(ex_id, parseTuning(req.query))
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = err.code ? err.message : parseError(err);
+                logger.error(`Error: could not tune execution: ${ex_id}, error: ${errMsg}`);
+                sendError(res, err.code || 500, errMsg);
+            });
+    });
+
     app.post('/ex/:ex_id/_workers', function(req, res) {
         logger.debug(`POST /ex/:id/_workers endpoint has been called, query:`, req.query);
         changeWorkers(req, res, req.params.ex_id);
     });
 
+    app.post('/ex/:ex_id/_priority', function(req, res) {
+        var ex_id = req.params.ex_id;
+        var priority = Number(req.query.priority);
+        logger.debug(`POST /ex/:ex_id/_priority endpoint has been called, ex_id: ${ex_id}, priority: ${req.query.priority}`);
+
+        if (req.query.priority === undefined || !Number.isInteger(priority)) {
+            sendError(res, 400, 'Must provide a priority parameter that is an integer');
+            return;
+        }
+
+        jobs_service.setExecutionPriority(ex_id, priority)
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = err.code ? err.message : parseError(err);
+                logger.error(`Error: could not change priority of execution: ${ex_id}, error: ${errMsg}`);
+                sendError(res, err.code || 500, errMsg);
+            });
+    });
+
+    app.get('/ex/:ex_id/autoscale', function(req, res) {
+        var ex_id = req.params.ex_id;
+        logger.debug(`GET /ex/:ex_id/autoscale endpoint has been called, ex_id: ${ex_id}`);
+
+        jobs_service.getScalingHistory(ex_id)
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not retrieve the autoscaling history of execution: ${ex_id}, error: ${errMsg}`);
+                sendError(res, 404, errMsg);
+            });
+    });
+
     app.get('/ex/:ex_id/slicer', function(req, res) {
         logger.debug(`GET /ex/:ex_id/slicer endpoint has been called, ex_id: ${req.params.ex_id}`);
 
@@ -404,6 +781,38 @@ module.exports = function(context, app, services) {
         // TODO: Impl.
     });
 
+    app.get('/ex/:ex_id/notifications', function(req, res) {
+        logger.debug(`GET /ex/:ex_id/notifications endpoint has been called, ex_id: ${req.params.ex_id}`);
+        _getDeliveries(req, res, {ex_id: req.params.ex_id});
+    });
+
+    app.get('/notifications', function(req, res) {
+        logger.debug(`GET /notifications endpoint has been called, query:`, req.query);
+        _getDeliveries(req, res, {});
+    });
+
+    app.get('/events', function(req, res) {
+        logger.debug(`GET /events endpoint has been called, query:`, req.query);
+        var client = {res: res, filters: eventStreamUtils.parseFilters(req.query)};
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        streamClients.push(client);
+        req.on('close', function() {
+            _.pull(streamClients, client);
+        });
+    });
+
+    app.get('/cluster/allocator', function(req, res) {
+        logger.debug(`GET /cluster/allocator endpoint has been called`);
+        res.status(200).json(jobs_service.getAllocatorStats());
+    });
+
     app.get('/cluster/slicers', function(req, res) {
         logger.debug(`GET /cluster/slicers endpoint has been called`);
 
@@ -452,7 +861,7 @@ module.exports = function(context, app, services) {
             size = req.query.size;
         }
 
-        jobs_service.getJobs(null, size, '_updated:desc')
+        jobs_service.getJobs(null, size, '_updated:desc', _listFilters(req, JOB_FILTERS))
             .then(function(jobs) {
                 var tableStr = makeTable(req, defaults, jobs);
                 res.status(200).send(tableStr)
@@ -474,7 +883,7 @@ module.exports = function(context, app, services) {
             size = req.query.size;
         }
 
-        jobs_service.getExecutionContexts(null, null, size, '_updated:desc')
+        jobs_service.getExecutionContexts(null, null, size, '_updated:desc', _listFilters(req, EXECUTION_FILTERS))
             .then(function(jobs) {
                 var tableStr = makeTable(req, defaults, jobs);
                 res.status(200).send(tableStr)
@@ -497,7 +906,9 @@ module.exports = function(context, app, services) {
             'failed',
             'queued',
             'processed',
-            'subslice_by_key'
+            'subslice_by_key',
+            'percent_complete',
+            'eta'
         ];
 
         slicerStats()
@@ -582,7 +993,13 @@ module.exports = function(context, app, services) {
                             return
                         }
                         if (msg === 'remove') {
-                            cluster_service.removeWorkers(res, ex_id, workerNum);
+                            cluster_service.removeWorkers(ex_id, workerNum)
+                                .then(function() {
+                                    res.status(200).send(`${workerNum} workers have been released from job: ${ex_id}`)
+                                })
+                                .catch(function(err) {
+                                    sendError(res, err.code, err.message);
+                                });
                         }
                     }
                     else {
@@ -615,6 +1032,100 @@ module.exports = function(context, app, services) {
             });
     }
 
+    //filters can be sent as query parameters or in a json body
+    function _bulkNotify(req, res, action) {
+        var filters = _.assign({}, req.query, req.body);
+        var dryRun = filters.dry_run === true || filters.dry_run === 'true';
+        logger.debug(`POST /ex/_${action} endpoint has been called, filters:`, filters);
+
+        jobs_service.bulkNotify(_.omit(filters, 'dry_run'), action, dryRun)
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not ${action} executions, error: ${errMsg}`);
+                sendError(res, 400, errMsg);
+            });
+    }
+
+    function _publish(type, data) {
+        if (streamClients.length === 0) {
+            return;
+        }
+
+        streamEventID += 1;
+        var message = eventStreamUtils.formatEvent(streamEventID, type, data);
+
+        streamClients.forEach(function(client) {
+            if (eventStreamUtils.matchesFilters(type, data, client.filters)) {
+                client.res.write(message);
+            }
+        });
+    }
+
+    function _listFilters(req, fields) {
+        return _.pickBy(req.query, function(value, key) {
+            return fields.indexOf(key) !== -1 || key === 'metadata' || key.indexOf('metadata.') === 0;
+        });
+    }
+
+    //from and sort select the offset pagination that was used before cursors, it is limited to the first 10000 records,
+    //combining them with a cursor is rejected by parseListOptions
+    function _isOffsetRequest(req) {
+        return req.query.cursor === undefined && (req.query.from !== undefined || req.query.sort !== undefined);
+    }
+
+    // responds with a page of records, the total and the cursor of the next page are sent as headers,
+    // and with envelope=true also in the body as {total, cursor, records}
+    function _sendPage(req, res, listFn, filters, description) {
+        try {
+            var options = paginationUtils.parseListOptions(req.query);
+        }
+        catch (err) {
+            sendError(res, 400, err.message);
+            return;
+        }
+
+        listFn(filters, options)
+            .then(function(page) {
+                var records = _redact(page.records);
+
+                res.set('X-Total-Count', page.total);
+                if (page.cursor) {
+                    res.set('X-Next-Cursor', page.cursor);
+                }
+                res.status(200).json(options.envelope ? _.assign({}, page, {records: records}) : records);
+            })
+            .catch(function(err) {
+                logger.error(`Error: could not retrieve list of ${description}, ${err.message}`);
+                sendError(res, err.code, err.code === 400 ? err.message : `Error: could not retrieve list of ${description}.`);
+            });
+    }
+
+    // jobs and executions are returned without the secrets of their notification targets
+    function _redact(results) {
+        return Array.isArray(results) ? results.map(notificationUtils.redactSecrets) : notificationUtils.redactSecrets(results);
+    }
+
+    function _redactTemplate(template) {
+        return template && template.job ? _.assign({}, template, {job: notificationUtils.redactSecrets(template.job)}) : template;
+    }
+
+    function _getDeliveries(req, res, filters) {
+        var query = _.assign({}, req.query, filters);
+
+        notifications_service.getDeliveries(_.omit(query, ['from', 'size']), query.from, query.size)
+            .then(function(results) {
+                res.status(200).json(results);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Error: could not retrieve the notification delivery log, error: ${errMsg}`);
+                sendError(res, 500, 'Error: could not retrieve the notification delivery log.');
+            });
+    }
+
     function slicerStats(ex_id) {
         return new Promise(function(resolve, reject) {
 
@@ -665,6 +1176,9 @@ module.exports = function(context, app, services) {
 
     function shutdown() {
         logger.info("shutting down");
+        clearInterval(streamHeartbeat);
+        streamClients.forEach(client => client.res.end());
+        streamClients = [];
         return Promise.resolve(true);
     }
 
@@ -5,13 +5,19 @@ var Promise = require('bluebird');
 var shortid = require('shortid');
 var Queue = require('queue');
 var parseError = require('../../utils/error_utils').parseError;
-var sendError = require('../../utils/api_utils').sendError;
+var placementUtils = require('../../utils/placement_utils');
+var scaleDecision = require('../../utils/autoscale_utils').scaleDecision;
+var fairShareUtils = require('../../utils/fair_share_utils');
 
 module.exports = function(context, server) {
     var messaging = context.messaging;
     var events = context.foundation.getEventEmitter();
     var logger = context.foundation.makeLogger('cluster', 'cluster', {module: 'cluster_service'});
     var configTimeout = context.sysconfig.teraslice.timeout;
+    var autoscaleCooldown = context.sysconfig.teraslice.autoscale_cooldown;
+    var teamWeights = context.sysconfig.teraslice.team_weights;
+    var fairShareInterval = context.sysconfig.teraslice.fair_share_interval;
+    var fairShareTimer;
     var pendingWorkerRequests = new Queue();
     var moderator = null;
     var cluster_state = {};
@@ -19,6 +25,16 @@ module.exports = function(context, server) {
     //temporary holding spot used to attach nodes that are non responsive or disconnect before final cleanup
     var droppedNodes = {};
 
+    // ex_id => time the workers of an execution were last changed by autoscaling or reclaiming
+    var lastScaled = {};
+
+    // node_id => workers that have been requested from the node but are not yet in its state, these are
+    // kept from being handed out twice when several executions are allocated at the same time
+    var reservedWorkers = {};
+
+    // ex_id => {weight, team, min_workers} of executions that have been given workers, used for fair-share scheduling
+    var executionWeights = {};
+
     //events can be fired from anything that instantiates a client, such as stores
     events.on('getClient:config_error', terminalShutdown);
     events.on('jobs_service:verify_assets', verifyAssets);
@@ -112,6 +128,7 @@ module.exports = function(context, server) {
         logger.trace(`job ex_id: ${data.ex_id} has finished,  message:`, data);
 
         pendingWorkerRequests.remove(data.ex_id);
+        _forgetExecution(data.ex_id);
 
         messaging.send('cluster:job:stop', data);
         //if errors in slices, emit error events
@@ -131,6 +148,7 @@ module.exports = function(context, server) {
         //remove any pending worker request
         logger.debug(`slicer for execution: ${data.ex_id} has failed on recovery`);
         pendingWorkerRequests.remove(data.ex_id);
+        _forgetExecution(data.ex_id);
         messaging.send('cluster:job:stop', {ex_id: data.ex_id});
         events.emit('cluster:job_failure', data);
     });
@@ -139,6 +157,7 @@ module.exports = function(context, server) {
         logger.debug(`terminal job error for execution: ${data.ex_id}, canceling job`);
 
         pendingWorkerRequests.remove(data.ex_id);
+        _forgetExecution(data.ex_id);
         messaging.send('cluster:job:stop', {ex_id: data.ex_id});
         events.emit('cluster:job_failure', data);
     });
@@ -147,6 +166,7 @@ module.exports = function(context, server) {
         logger.debug(`terminal slicer error for execution: ${data.ex_id}, canceling job`);
 
         pendingWorkerRequests.remove(data.ex_id);
+        _forgetExecution(data.ex_id);
         messaging.send('cluster:job:stop', {ex_id: data.ex_id});
         events.emit('cluster:slicer_failure', data);
     });
@@ -170,6 +190,24 @@ module.exports = function(context, server) {
         events.emit('slicer:job:update', ex_Update);
     });
 
+    messaging.register('slicer:job:tuned', function(data) {
+        logger.debug(`slicer of ex: ${data.ex_id} has been tuned`, data);
+        events.emit('slicer:job:tuned', data);
+    });
+
+    messaging.register('slicer:metrics', function(metrics) {
+        logger.trace(`slicer metrics for ex: ${metrics.ex_id}, message:`, metrics);
+        events.emit('slicer:metrics', metrics);
+    });
+
+    messaging.register('slicer:worker:joined', function(data) {
+        events.emit('slicer:worker:joined', data);
+    });
+
+    messaging.register('slicer:worker:disconnected', function(data) {
+        events.emit('slicer:worker:disconnected', data);
+    });
+
     messaging.register('network:error', function(err) {
         var errMsg = parseError(err)
         logger.error(`Error : cluster_master had an error with one of its connections`, errMsg)
@@ -256,6 +294,11 @@ module.exports = function(context, server) {
         delete cluster_state[node_id];
     }
 
+    function _forgetExecution(ex_id) {
+        delete lastScaled[ex_id];
+        delete executionWeights[ex_id];
+    }
+
     function getClusterState() {
         return _.cloneDeep(cluster_state);
     }
@@ -303,7 +346,7 @@ module.exports = function(context, server) {
         }
 
         //if all nodes have a slicer
-        if (!slicerNode) {
+        if (!slicerNode && stateArray.length > 0) {
             //list is already sorted by num available since stateArray is sorted
             slicerNode = stateArray[0].node_id;
         }
@@ -311,6 +354,45 @@ module.exports = function(context, server) {
         return slicerNode;
     }
 
+    //connected nodes that satisfy the placement of the job, sorted by preference and then available workers
+    function findNodesForPlacement(placement) {
+        return placementUtils.placementNodes(_reservedState(), placement);
+    }
+
+    function placementReason(placement, workersNeeded) {
+        return placementUtils.placementReason(_reservedState(), placement, workersNeeded);
+    }
+
+    //copies of the node states with their reserved workers taken out of what is available
+    function _reservedState() {
+        return _.mapValues(cluster_state, function(node) {
+            var reserved = reservedWorkers[node.node_id] || 0;
+            return _.assign({}, node, {available: Math.max(node.available - reserved, 0)});
+        });
+    }
+
+    function _reserve(node_id, workers) {
+        reservedWorkers[node_id] = (reservedWorkers[node_id] || 0) + workers;
+    }
+
+    function _release(node_id, workers) {
+        reservedWorkers[node_id] -= workers;
+
+        if (reservedWorkers[node_id] <= 0) {
+            delete reservedWorkers[node_id];
+        }
+    }
+
+    //the node sends its new state before it acknowledges a request, so the reservation is held until then
+    function _notifyWithReservation(node_id, msg, msgData) {
+        _reserve(node_id, msgData.workers);
+
+        return notifyNode(node_id, msg, msgData)
+            .finally(function() {
+                _release(node_id, msgData.workers);
+            });
+    }
+
     function findNodesForJob(ex_id, slicer_only) {
         var nodes = [];
 
@@ -339,7 +421,7 @@ module.exports = function(context, server) {
 
             var key = all_workers ? 'total' : 'available';
 
-            _.forOwn(cluster_state, function(node) {
+            _.forOwn(_reservedState(), function(node) {
                 if (node.state === 'connected') {
                     num += node[key];
                 }
@@ -427,9 +509,13 @@ module.exports = function(context, server) {
         var job_id = job.job_id;
         var needsAssets = job.assets && job.assets.length > 0;
         var jobStr = JSON.stringify(job);
-        var sortedNodes = _.sortByOrder(cluster_state, 'available', 'desc');
+        var sortedNodes = findNodesForPlacement(job.placement);
+
+        if (sortedNodes.length === 0) {
+            return Promise.reject(`no connected node matches the placement constraints of execution: ${ex_id}`);
+        }
 
-        //since its sorted each time, the first should always have the most available
+        //since its sorted each time, the first should always be the most preferred with the most available
         var workerNodeID = sortedNodes[0].node_id;
 
         var data = {
@@ -442,7 +528,7 @@ module.exports = function(context, server) {
             needsAssets: needsAssets
         };
 
-        return notifyNode(workerNodeID, 'cluster:workers:create', data);
+        return _notifyWithReservation(workerNodeID, 'cluster:workers:create', data);
     }
 
     //designed to allocate additional workers, not any future slicers
@@ -451,9 +537,11 @@ module.exports = function(context, server) {
         var job_id = job.job_id;
         var needsAssets = job.assets && job.assets.length > 0;
         var jobStr = JSON.stringify(job);
-        var sortedNodes = _.orderBy(cluster_state, 'available', 'desc');
+        var sortedNodes = findNodesForPlacement(job.placement);
+
+        var availWorkers = _.sumBy(sortedNodes, 'available');
 
-        var availWorkers = availableWorkers(false, true);
+        executionWeights[ex_id] = {weight: job.share_weight, team: job.team, min_workers: job.min_workers};
 
         var dispatch = makeDispatch();
 
@@ -464,6 +552,7 @@ module.exports = function(context, server) {
                 if (numOfWorkersRequested > 0 && availWorkers > 0) {
                     if (sortedNodes[i].available >= 1) {
                         dispatch.set(sortedNodes[i].node_id, 1);
+                        sortedNodes[i].available -= 1;
                         availWorkers -= 1;
                         numOfWorkersRequested -= 1;
                     }
@@ -496,7 +585,7 @@ module.exports = function(context, server) {
             };
 
             results.push(
-                notifyNode(node_id, 'cluster:workers:create', requestedWorkersData)
+                _notifyWithReservation(node_id, 'cluster:workers:create', requestedWorkersData)
                     .catch(function(ev) {
                         logger.error(`An error has occurred in allocating : ${workerRequested} workers to node : ${node_id} , the worker request has been enqueued`);
                         pendingWorkerRequests.enqueue(requestedWorkersData);
@@ -508,10 +597,110 @@ module.exports = function(context, server) {
         return Promise.all(results);
     }
 
+    //allocates workers to an execution that is already running
+    function addWorkers(job, numOfWorkers) {
+        var slicers = findSlicersByExecutionID(job.ex_id);
+
+        if (slicers.length === 0) {
+            return Promise.reject(`could not find the slicer of execution: ${job.ex_id}`);
+        }
+
+        //workers need to know where the slicer is to connect to it
+        job.slicer_port = slicers[0].slicer_port;
+        job.slicer_hostname = slicers[0].hostname;
+
+        return allocateWorkers(job, numOfWorkers);
+    }
+
+    function _pendingWorkers(ex_id) {
+        var count = 0;
+
+        pendingWorkerRequests.each(function(request) {
+            if (request.ex_id === ex_id) {
+                count += request.workers;
+            }
+        });
+
+        return count;
+    }
+
+    function _inCooldown(ex_id) {
+        return lastScaled[ex_id] !== undefined && Date.now() - lastScaled[ex_id] < autoscaleCooldown;
+    }
+
+    function _othersWaiting(ex_id) {
+        var waiting = false;
+
+        pendingWorkerRequests.each(function(request) {
+            if (request.ex_id !== ex_id) {
+                waiting = true;
+            }
+        });
+
+        return waiting;
+    }
+
+    // scales the workers of the execution between its min_workers and max_workers based off the metrics of its slicer,
+    // resolves the scaling decision that was made or null if the workers were not changed
+    function autoscale(ex, metrics) {
+        var ex_id = ex.ex_id;
+
+        if (_inCooldown(ex_id)) {
+            return Promise.resolve(null);
+        }
+
+        var running = findWorkersByExecutionID(ex_id).length;
+        var pending = _pendingWorkers(ex_id);
+        //while other executions wait for workers the execution is not grown past its fair share
+        var fairShare = _othersWaiting(ex_id) ? _fairShareState().shares[ex_id] : null;
+        var decision = scaleDecision({workers: running + pending, queued: metrics.queued, idle: metrics.idle}, ex, fairShare);
+
+        if (decision && decision.action === 'remove') {
+            //pending workers cannot be removed and at least one worker needs to keep running
+            decision.workers = Math.min(decision.workers, running - 1);
+        }
+
+        if (!decision || decision.workers < 1) {
+            return Promise.resolve(null);
+        }
+
+        lastScaled[ex_id] = Date.now();
+
+        var record = _.assign({
+            time: new Date(),
+            from: running + pending,
+            queued: metrics.queued,
+            idle: metrics.idle,
+            latency: metrics.latency
+        }, decision);
+
+        logger.info(`autoscaling execution: ${ex_id}, ${decision.action} ${decision.workers} workers, ${decision.reason}`);
+        var scaling = decision.action === 'add' ? addWorkers(ex, decision.workers) : removeWorkers(ex_id, decision.workers);
+
+        return scaling
+            .then(function() {
+                return record;
+            })
+            .catch(function(err) {
+                //removeWorkers rejects with {message, code}
+                var errMsg = err.code ? err.message : parseError(err);
+                logger.error(`could not autoscale execution: ${ex_id}, error: ${errMsg}`);
+                record.error = errMsg;
+                return record;
+            });
+    }
+
     function createSlicer(job, recover_execution, errorNodes) {
-        var sortedNodes = _.orderBy(cluster_state, 'available', 'desc');
+        var sortedNodes = findNodesForPlacement(job.placement);
         var slicerNodeID = findNodeForSlicer(sortedNodes, errorNodes);
 
+        if (!slicerNodeID) {
+            return Promise.reject(`no connected node matches the placement constraints of execution: ${job.ex_id}`);
+        }
+
+        //the slicer is reserved while its port is found so other allocations do not count on that worker
+        _reserve(slicerNodeID, 1);
+
         //need to mutate job so that workers will know the specific port and hostname of the created slicer
         return findPort(slicerNodeID).then(function(portObj) {
             job.slicer_port = portObj.port;
@@ -537,6 +726,9 @@ module.exports = function(context, server) {
 
             return notifyNode(slicerNodeID, 'cluster:slicer:create', data);
         })
+            .finally(function() {
+                _release(slicerNodeID, 1);
+            });
     }
 
 
@@ -570,9 +762,118 @@ module.exports = function(context, server) {
         })
     }
 
+    // workers each execution has and is entitled to, demand counts both running and pending workers
+    function _fairShareState() {
+        var executions = {};
+        var allocations = {};
+
+        function entry(ex_id) {
+            if (!executions[ex_id]) {
+                var weights = executionWeights[ex_id] || {};
+                executions[ex_id] = {ex_id: ex_id, weight: weights.weight, team: weights.team, demand: 0};
+                allocations[ex_id] = 0;
+            }
+            return executions[ex_id];
+        }
+
+        findAllWorkers().forEach(function(worker) {
+            if (worker.assignment === 'worker') {
+                entry(worker.ex_id).demand += 1;
+                allocations[worker.ex_id] += 1;
+            }
+        });
+
+        pendingWorkerRequests.each(function(request) {
+            if (!executionWeights[request.ex_id]) {
+                var job = JSON.parse(request.job);
+                executionWeights[request.ex_id] = {weight: job.share_weight, team: job.team, min_workers: job.min_workers};
+            }
+
+            entry(request.ex_id).demand += request.workers;
+        });
+
+        var capacity = _.sum(_.values(allocations)) + availableWorkers(false, true);
+
+        return {
+            allocations: allocations,
+            shares: fairShareUtils.fairShares(_.values(executions), capacity, teamWeights)
+        };
+    }
+
+    //takes the pending request of the execution that is the furthest below its fair share
+    function _dequeueFairRequest() {
+        var state = _fairShareState();
+        var requests = [];
+
+        while (pendingWorkerRequests.size()) {
+            requests.push(pendingWorkerRequests.dequeue());
+        }
+
+        var index = fairShareUtils.nextRequest(requests, state.allocations, state.shares);
+
+        requests.forEach(function(request, i) {
+            if (i !== index) {
+                pendingWorkerRequests.enqueue(request);
+            }
+        });
+
+        return requests[index];
+    }
+
+    //gradually shrinks the most over-served execution while other executions are waiting for workers
+    function reclaimWorkers() {
+        if (pendingWorkerRequests.size() === 0 || availableWorkers(false, true) > 0) {
+            return Promise.resolve(null);
+        }
+
+        var state = _fairShareState();
+        var isWaiting = false;
+
+        pendingWorkerRequests.each(function(request) {
+            if (state.allocations[request.ex_id] < Math.floor(state.shares[request.ex_id])) {
+                isWaiting = true;
+            }
+        });
+
+        if (!isWaiting) {
+            return Promise.resolve(null);
+        }
+
+        var candidates = fairShareUtils.overServed(state.allocations, state.shares);
+
+        for (var i = 0; i < candidates.length; i++) {
+            var ex_id = candidates[i].ex_id;
+
+            //an execution that was just scaled is left alone until its cooldown ends, as it is for autoscaling
+            if (_inCooldown(ex_id)) {
+                continue;
+            }
+
+            var minWorkers = (executionWeights[ex_id] && executionWeights[ex_id].min_workers) || 1;
+            //only half of the excess is reclaimed at a time so executions shrink gradually
+            var workers = Math.min(Math.ceil(candidates[i].excess / 2), state.allocations[ex_id] - minWorkers);
+
+            if (workers >= 1) {
+                logger.info(`reclaiming ${workers} workers from execution: ${ex_id}, it is over its fair share of ${state.shares[ex_id].toFixed(2)} workers`);
+                lastScaled[ex_id] = Date.now();
+
+                return removeWorkers(ex_id, workers)
+                    .then(function() {
+                        return {ex_id: ex_id, workers: workers};
+                    })
+                    .catch(function(err) {
+                        logger.error(`could not reclaim workers from execution: ${ex_id}, error: ${err.message}`);
+                        return null;
+                    });
+            }
+        }
+
+        return Promise.resolve(null);
+    }
+
     var schedulePendingRequests = _.debounce(function() {
         if (pendingWorkerRequests.size() && availableWorkers(false, true) >= 1) {
-            var requestedWorker = pendingWorkerRequests.dequeue();
+            var requestedWorker = _dequeueFairRequest();
             var job = JSON.parse(requestedWorker.job);
 
             allocateWorkers(job, requestedWorker.workers)
@@ -588,6 +889,7 @@ module.exports = function(context, server) {
 
     function shutdown() {
         logger.info("shutting down.");
+        clearInterval(fairShareTimer);
         return Promise.resolve(true);
     }
 
@@ -662,7 +964,7 @@ module.exports = function(context, server) {
 
     }
 
-    function removeWorkers(res, ex_id, workerNum) {
+    function removeWorkers(ex_id, workerNum) {
         var dispatch = makeDispatch();
         var workers = findWorkersByExecutionID(ex_id);
         var workerCount = workerNum;
@@ -678,9 +980,9 @@ module.exports = function(context, server) {
             return prev;
         }, {_total: 0});
 
-        if (workerNum >= workersData._total && msg === 'remove') {
-            sendError(res, 400, `workers to be removed: ${workerNum} cannot be >= to current workers: ${workersData._total}`);
-            return
+        if (workerNum >= workersData._total) {
+            var error = `workers to be removed: ${workerNum} cannot be >= to current workers: ${workersData._total}`;
+            return Promise.reject({message: error, code: 400});
         }
 
         while (workerCount) {
@@ -700,14 +1002,11 @@ module.exports = function(context, server) {
             return notifyNode(key, 'cluster:workers:remove', {workers: val, ex_id: ex_id})
         });
 
-        Promise.all(results)
-            .then(function() {
-                res.status(200).send(`${workerNum} workers have been released from job: ${ex_id}`)
-            })
+        return Promise.all(results)
             .catch(function(err) {
                 var errMsg = parseError(err);
                 logger.error(`Error while releasing workers from job ${ex_id}, error: ${errMsg}`);
-                sendError(res, 500, errMsg);
+                return Promise.reject({message: errMsg, code: 500});
             })
     }
 
@@ -722,8 +1021,11 @@ module.exports = function(context, server) {
         allNodes: allNodes,
         allocateWorker: allocateWorker,
         allocateWorkers: allocateWorkers,
+        addWorkers: addWorkers,
+        autoscale: autoscale,
         allocateSlicer: allocateSlicer,
         findNodesForJob: findNodesForJob,
+        placementReason: placementReason,
         notifyNode: notifyNode,
         findAllSlicers: findAllSlicers,
         findAllWorkers: findAllWorkers,
@@ -744,6 +1046,11 @@ module.exports = function(context, server) {
         // Should be delays here as we wait for nodes to join and share their
         // state.
         logger.info("Initializing");
+
+        if (fairShareInterval > 0) {
+            fairShareTimer = setInterval(reclaimWorkers, fairShareInterval);
+        }
+
         return Promise.resolve(api);
     }
 
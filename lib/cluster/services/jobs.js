@@ -2,11 +2,11 @@
 
 var _ = require('lodash');
 var Promise = require('bluebird');
+var moment = require('moment');
 
 var Queue = require('queue');
 
-// Queue of jobs pending processing
-var pendingExecutionQueue = new Queue;
+// Queue of jobs paused by the moderator
 var moderatorPausedQueue = new Queue;
 
 /*
@@ -16,15 +16,19 @@ var moderatorPausedQueue = new Queue;
  rejected - when a job is rejected prior to scheduling
  failed - when there is an error while the job is running
  aborted - when a job was running at the point when the cluster shutsdown
+ blocked - when a job was not started because a job it depends on did not complete
  */
 
 
 //if changing VALID_STATUS, make sure to modify getLatestExecution, it expects first 7 values are active states and the rest are finished states
 var VALID_STATUS = [
     'pending', 'scheduling', 'initializing', 'running', 'failing', 'paused', 'moderator_paused',
-    'completed', 'stopped', 'rejected', 'failed', 'terminated'
+    'completed', 'stopped', 'rejected', 'failed', 'terminated', 'blocked'
 ];
 
+// Statuses an execution ends in, its slicer checkpoint is no longer needed
+var TERMINAL_STATUS = ['completed', 'stopped', 'rejected', 'failed', 'terminated'];
+
 // Maps job notification to execution states
 var STATE_MAPPING = {
     'stop': 'stopped',
@@ -43,17 +47,101 @@ var MESSAGE_MAPPING = {
     'moderator_paused': 'cluster:job:pause'
 };
 
+// Statuses an execution has to be in for each bulk control action
+var BULK_ACTION_STATUS = {
+    pause: ['running'],
+    resume: ['paused'],
+    stop: VALID_STATUS.slice(0, 7)
+};
+
+// Selects the job records of the jobs index, which also holds executions and revisions
+var JOBS_QUERY = 'job_id:* NOT ex_id:* NOT _context:revision';
+
+// Number of scheduling latencies kept for the allocator stats
+var LATENCY_SAMPLES = 1000;
+
+// Number of executions fetched at a time when every execution of a job is needed
+var EXECUTIONS_PAGE_SIZE = 1000;
+
+// Number of executions whose records are removed at the same time when a job is deleted
+var PURGE_CONCURRENCY = 5;
+
+// Number of skipped scheduled runs that are kept for each job
+var MISSED_RUNS_LIMIT = 10;
+
+// The slicer enforces max_runtime, the cluster_master only steps in if the slicer has not
+// stopped the execution within this many ms past its max_runtime
+var MAX_RUNTIME_GRACE = 30000;
+
+// How often expired partitions of the state and analytics indices are removed
+var RETENTION_INTERVAL = 3600000;
+
+// Number of autoscaling decisions that are kept on each execution
+var SCALING_EVENTS_LIMIT = 100;
+
 module.exports = function(context, cluster_service) {
     var events = context.foundation.getEventEmitter();
     var logger = context.foundation.makeLogger('jobs', 'jobs', {module: 'jobs_service'});
     var esConnectionState = context.sysconfig.teraslice.state.connection;
     var job_store;
     var ex_store;
+    var state_store;
+    var analytics_store;
     var job_validator = require('../../config/validators/job')(context);
     var parseError = require('../../utils/error_utils').parseError;
+    var nextDates = require('../../utils/cron_utils').nextDates;
+    var missedDates = require('../../utils/cron_utils').missedDates;
+    var validateCron = require('../../utils/cron_utils').validateCron;
+    var dependencyUtils = require('../../utils/dependency_utils');
+    var reconcileExecution = require('../../utils/reconcile_utils').reconcileExecution;
+    var revisionUtils = require('../../utils/revision_utils');
+    var retryUtils = require('../../utils/retry_utils');
+    var isAutoscaled = require('../../utils/autoscale_utils').isAutoscaled;
+    var buildExecutionQuery = require('../../utils/query_utils').buildExecutionQuery;
+    var buildListQuery = require('../../utils/query_utils').buildListQuery;
+    var encodeCursor = require('../../utils/pagination_utils').encodeCursor;
+    var expiredPartitions = require('../../utils/rotation_utils').expiredPartitions;
+    var validateTargets = require('../../utils/notification_utils').validateTargets;
+    var restoreSecrets = require('../../utils/notification_utils').restoreSecrets;
+    var tuningUtils = require('../../utils/tuning_utils');
+    var dateFormat = require('../../utils/date_utils').dateFormat;
+    var latencyStats = require('../../utils/latency_utils').latencyStats;
+    var addSample = require('../../utils/latency_utils').addSample;
     var shortid = require('shortid');
 
-    var pendingJobsScheduler;
+    var priorityQueue = require('../../utils/priority_queue');
+
+    // Queue of jobs pending processing, ordered by job priority
+    var pendingExecutionQueue = priorityQueue(context.sysconfig.teraslice.priority_aging_interval);
+
+    // pending executions whose placement can not be satisfied by the nodes that are currently connected
+    var placementHeldQueue = new Queue();
+
+    // ex_id => {job_id, reserved} of the executions that are being allocated, reserved is the number of workers
+    // set aside for the execution until its workers are requested from the nodes, which then reserve them
+    var allocatingExecutions = {};
+    var maxConcurrentAllocations = context.sysconfig.teraslice.max_concurrent_allocations;
+    var allocationTriggered = false;
+    var allocatorStopped = false;
+
+    // ex_id => time the execution became pending, and the latest scheduling latencies in ms
+    var pendingSince = {};
+    var queueLatencies = [];
+    var startLatencies = [];
+
+    var cronScheduler;
+    var reconcileTimer;
+    var runtimeChecker;
+    var retentionTimer;
+
+    // job_id => schedule state for jobs that have a cron schedule
+    var jobSchedules = {};
+
+    // job_id => array of upstream job_ids for jobs that depend on other jobs
+    var jobDependencies = {};
+
+    // ex_id => timer of a failed execution that is waiting to be retried
+    var retryTimers = {};
 
     events.on('cluster:job_finished', function(data) {
         logger.info(`job ${data.ex_id} has completed`);
@@ -63,6 +151,13 @@ module.exports = function(context, cluster_service) {
             metaData._has_errors = 'recovered';
         }
         _setStatus(data, 'completed', metaData)
+            .then(function() {
+                return _triggerDownstream(data.ex_id);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not handle the completion of execution: ${data.ex_id}`, errMsg);
+            });
     });
 
     events.on('cluster:job_failure', function(data) {
@@ -73,7 +168,23 @@ module.exports = function(context, cluster_service) {
             metaData._failureReason = data.error;
         }
 
+        if (data.last_progress) {
+            metaData._last_progress = data.last_progress;
+        }
+
         _setStatus(data, 'failed', metaData)
+            .then(function() {
+                return _retryFailedExecution(data.ex_id, data.error);
+            })
+            .then(function(isRetrying) {
+                if (!isRetrying) {
+                    return _triggerDownstream(data.ex_id);
+                }
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not handle the failure of execution: ${data.ex_id}`, errMsg);
+            });
     });
 
     events.on('cluster:slicer_failure', function(data) {
@@ -85,6 +196,18 @@ module.exports = function(context, cluster_service) {
         }
 
         _setStatus(data, 'failed', metaData)
+            .then(function() {
+                return _retryFailedExecution(data.ex_id, data.error);
+            })
+            .then(function(isRetrying) {
+                if (!isRetrying) {
+                    return _triggerDownstream(data.ex_id);
+                }
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not handle the failure of execution: ${data.ex_id}`, errMsg);
+            });
     });
 
     events.on('slicer:processing:error', function(data) {
@@ -94,9 +217,52 @@ module.exports = function(context, cluster_service) {
         _setStatus(data, 'failing', metaData)
     });
 
+    events.on('slicer:metrics', function(metrics) {
+        getExecutionContext(metrics.ex_id)
+            .then(function(ex) {
+                //paused or failing executions are left as they are
+                if (!ex || !isAutoscaled(ex) || ex._status !== 'running') {
+                    return null;
+                }
+
+                return cluster_service.autoscale(ex, metrics);
+            })
+            .then(function(record) {
+                if (record) {
+                    return _recordScaling(metrics.ex_id, record);
+                }
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not autoscale execution: ${metrics.ex_id}`, errMsg);
+            });
+    });
+
     events.on('slicer:initialized', function(data) {
+        //a slicer that restarted and resumed from its checkpoint keeps the status of the execution, a paused
+        //execution is paused again since the new slicer process does not know about it
+        if (data.resumed) {
+            logger.warn(`slicer for job: ${data.ex_id} has restarted and resumed from its checkpoint`);
+            return getExecutionContext(data.ex_id)
+                .then(function(ex) {
+                    if (ex && (ex._status === 'paused' || ex._status === 'moderator_paused')) {
+                        return _notifyCluster(data.ex_id, ex._status === 'paused' ? 'pause' : 'moderator_paused');
+                    }
+                })
+                .catch(function(err) {
+                    var errMsg = parseError(err);
+                    logger.error(`could not pause the resumed slicer of execution: ${data.ex_id}`, errMsg);
+                });
+        }
+
         logger.info(`job: ${data.ex_id} is now running`);
-        _setStatus(data, 'running')
+        //a recovered or retried execution counts its max_runtime from this start, only a resumed slicer keeps the
+        //original start, which it reads from its checkpoint
+        _setStatus(data, 'running', {_started: new Date()})
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not set execution: ${data.ex_id} to running`, errMsg);
+            });
     });
 
     events.on('slicer:job:update', function(updateSpec) {
@@ -104,6 +270,26 @@ module.exports = function(context, cluster_service) {
         updateEX(updateSpec.ex_id, {operations: updateSpec.update})
     });
 
+    //the slicer applied a change made with tuneExecution, it is saved so a recovery uses it
+    events.on('slicer:job:tuned', function(data) {
+        getExecutionContext(data.ex_id)
+            .then(function(ex) {
+                var update = {operations: ex.operations};
+                update.operations[0] = _.assign({}, ex.operations[0], data.operation);
+
+                if (data.slicers) {
+                    update.slicers = data.slicers;
+                }
+
+                logger.info(`execution: ${data.ex_id} has been tuned`, _.assign({slicers: data.slicers}, data.operation));
+                return updateEX(data.ex_id, update);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not save the tuning of execution: ${data.ex_id}`, errMsg);
+            });
+    });
+
     events.on('cluster_service:cleanup_job', function(data) {
         var options = {running: true, failing: true, paused: true};
         getExecutionContext(data.ex_id).then(function(ex) {
@@ -128,6 +314,7 @@ module.exports = function(context, cluster_service) {
             .then(function(results) {
                 return Promise.map(results, function(job) {
                     jobList.push(job.ex_id);
+                    events.emit('jobs_service:moderator', {action: 'pause', ex_id: job.ex_id, job_id: job.job_id, connections: connectionList});
                     return notify(job.ex_id, 'moderator_paused')
                 });
             })
@@ -140,6 +327,19 @@ module.exports = function(context, cluster_service) {
             })
     });
 
+    //node state has changed, held executions are put back in the pending queue to check their placement again
+    events.on('cluster:available_workers', function() {
+        while (placementHeldQueue.size()) {
+            let ex = placementHeldQueue.dequeue();
+            pendingExecutionQueue.enqueue(ex, new Date(ex._created).getTime());
+        }
+    });
+
+    //executions are allocated when they are submitted and whenever workers may have been freed
+    events.on('cluster:available_workers', triggerAllocation);
+    events.on('cluster:job_finished', triggerAllocation);
+    events.on('cluster:job_failure', triggerAllocation);
+
     events.on('moderate_jobs:resume', function(connectionList) {
         let jobList = [];
         let str = connectionList.map(function(db) {
@@ -156,6 +356,7 @@ module.exports = function(context, cluster_service) {
                         if (canRun) {
                             moderatorPausedQueue.remove(job.ex_id, 'ex_id');
                             pendingExecutionQueue.unshift(job);
+                            triggerAllocation();
                         }
                     })
                     .catch(function(err) {
@@ -169,6 +370,7 @@ module.exports = function(context, cluster_service) {
             .then(function(results) {
                 return Promise.map(results, function(job) {
                     jobList.push(job.ex_id);
+                    events.emit('jobs_service:moderator', {action: 'resume', ex_id: job.ex_id, job_id: job.job_id, connections: connectionList});
                     return notify(job.ex_id, 'resume')
                 });
             })
@@ -225,6 +427,7 @@ module.exports = function(context, cluster_service) {
 
     function enqueueJob(ex) {
         pendingExecutionQueue.enqueue(ex);
+        triggerAllocation();
     }
 
     //check to see if state connection is listed, if not add it for moderator checks
@@ -278,13 +481,14 @@ module.exports = function(context, cluster_service) {
                 if (canRun) {
                     logger.debug(`enqueueing job to be processed, job`, ex);
                     pendingExecutionQueue.enqueue(ex);
+                    triggerAllocation();
                 }
                 else {
                     logger.warn(`job cannot be run due to throttled database connections`);
                     moderatorPausedQueue.enqueue(ex);
                 }
 
-                return {job_id: ex.job_id};
+                return {job_id: ex.job_id, ex_id: ex.ex_id};
             })
             .catch(function(err) {
                 var errMsg = parseError(err);
@@ -331,6 +535,12 @@ module.exports = function(context, cluster_service) {
             .then(function(parsedAssetJob) {
                 return _validateJob(parsedAssetJob)
             })
+            .then(function(validJob) {
+                return _validateDependencies(null, validJob.depends_on)
+                    .then(function() {
+                        return validJob;
+                    });
+            })
             .then(function(validJob) {
                 var oldAssetNames = job_spec.assets;
                 var parsedAssets = validJob.assets;
@@ -338,9 +548,19 @@ module.exports = function(context, cluster_service) {
                 // we want to keep old names on job so that assets can be changed dynamically
                 // this works since we passed ensureAssets that make sure we have valid assets 
                 validJob.assets = oldAssetNames;
+                validJob._revision = 1;
 
                 return saveJob(validJob, 'job')
                     .then(function(job) {
+                        return job_store.createRevision(job.job_id, 1, revisionUtils.jobSpec(job))
+                            .then(function() {
+                                return job;
+                            });
+                    })
+                    .then(function(job) {
+                        registerSchedule(job);
+                        registerDependencies(job);
+
                         if (!shouldRun) {
                             return {job_id: job.job_id}
                         }
@@ -358,15 +578,156 @@ module.exports = function(context, cluster_service) {
             });
     }
 
-    // Updates the job but does not automatically start it.
+    // Runs the same validation as submitJob without saving the job, every error found is returned
+    function validateJobSpec(job_spec) {
+        return ensureAssets(job_spec)
+            .then(function(parsedAssetJob) {
+                var results = _checkJob(parsedAssetJob);
+                //the job is returned with the asset names that were given, as submitJob would save it
+                results.job.assets = job_spec.assets;
+
+                return _validateDependencies(null, results.job.depends_on)
+                    .catch(function(err) {
+                        results.errors.push({path: 'depends_on', message: parseError(err)});
+                    })
+                    .then(function() {
+                        return results;
+                    });
+            }, function(err) {
+                return {job: job_spec, errors: [{path: 'assets', message: parseError(err)}]};
+            })
+            .then(function(results) {
+                return {valid: results.errors.length === 0, job: results.job, errors: results.errors};
+            });
+    }
+
+    // Updates the job but does not automatically start it, every update is stored as a new revision
     function updateJob(job_id, job) {
         return getJob(job_id)
+            .then(function(oldJob) {
+                if (job.schedule) {
+                    validateCron(job.schedule);
+                }
+
+                //targets copied from a job returned by the api have their secrets redacted
+                if (job.notifications) {
+                    job = _.assign({}, job, {notifications: restoreSecrets(job.notifications, oldJob.notifications)});
+                }
+
+                var revision = (oldJob._revision || 1) + 1;
+                var updatedJob = _.assign({}, oldJob, job, {_revision: revision});
+
+                return _validateDependencies(job_id, job.depends_on)
+                    .then(function() {
+                        return _ensureFirstRevision(oldJob);
+                    })
+                    .then(function() {
+                        return job_store.update(job_id, _.assign({}, job, {_revision: revision}));
+                    })
+                    .then(function(results) {
+                        return job_store.createRevision(job_id, revision, revisionUtils.jobSpec(updatedJob))
+                            .then(function() {
+                                registerSchedule(updatedJob);
+                                registerDependencies(updatedJob);
+                                return results;
+                            });
+                    });
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not updateJob`, errMsg);
+                return Promise.reject(errMsg);
+            });
+    }
+
+    // jobs created before revisions were tracked get their original spec stored as the first revision
+    function _ensureFirstRevision(job) {
+        if (job._revision) {
+            return Promise.resolve(true);
+        }
+
+        return job_store.createRevision(job.job_id, 1, revisionUtils.jobSpec(job));
+    }
+
+    function _getRevision(job_id, revision) {
+        return job_store.getRevision(job_id, revision)
+            .catch(function() {
+                return Promise.reject(`revision: ${revision} was not found for job_id: ${job_id}`);
+            });
+    }
+
+    function getRevisions(job_id, from, size) {
+        return job_store.getRevisions(job_id, from, size)
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not get revisions for job: ${job_id}`, errMsg);
+                return Promise.reject(errMsg);
+            });
+    }
+
+    // compares two revisions of a job, the current revision is used if toRevision is not given
+    function diffRevisions(job_id, fromRevision, toRevision) {
+        var getTo = toRevision ? _getRevision(job_id, toRevision) : getJob(job_id)
             .then(function(job) {
-                return job_store.update(job_id, job);
+                if (!job) {
+                    return Promise.reject(`no job was found for job_id: ${job_id}`);
+                }
+                return {_revision: job._revision || 1, spec: revisionUtils.jobSpec(job)};
+            });
+
+        return Promise.all([_getRevision(job_id, fromRevision), getTo])
+            .spread(function(from, to) {
+                return {
+                    job_id: job_id,
+                    from: from._revision,
+                    to: to._revision,
+                    changes: revisionUtils.diffSpecs(from.spec, to.spec)
+                };
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not diff revisions of job: ${job_id}`, errMsg);
+                return Promise.reject(errMsg);
+            });
+    }
+
+    // Replaces the job with the spec of an older revision, this is stored as a new revision
+    function rollbackJob(job_id, revision) {
+        return Promise.all([getJob(job_id), _getRevision(job_id, revision)])
+            .spread(function(job, target) {
+                if (!job) {
+                    return Promise.reject(`no job was found for job_id: ${job_id}`);
+                }
+
+                var nextRevision = (job._revision || 1) + 1;
+                var rolledBackJob = _.assign({}, target.spec, {
+                    job_id: job_id,
+                    _context: 'job',
+                    _created: job._created,
+                    _revision: nextRevision
+                });
+
+                return _validateDependencies(job_id, rolledBackJob.depends_on)
+                    .then(function() {
+                        return _ensureFirstRevision(job);
+                    })
+                    .then(function() {
+                        return job_store.replace(job_id, rolledBackJob);
+                    })
+                    .then(function() {
+                        return job_store.createRevision(job_id, nextRevision, target.spec);
+                    })
+                    .then(function() {
+                        logger.info(`job: ${job_id} has been rolled back to revision: ${revision} as revision: ${nextRevision}`);
+                        registerSchedule(rolledBackJob);
+                        registerDependencies(rolledBackJob);
+                        return {job_id: job_id, _revision: nextRevision, rolled_back_to: Number(revision)};
+                    });
             })
             .catch(function(err) {
                 var errMsg = parseError(err);
-                logger.error(`could not updateJob`, errMsg)
+                logger.error(`could not rollback job: ${job_id}`, errMsg);
+                return Promise.reject(errMsg);
             });
     }
 
@@ -389,6 +750,232 @@ module.exports = function(context, cluster_service) {
             });
     }
 
+    // Applies pause, resume or stop to every execution matching the filters, with dryRun the matching
+    // executions are only listed. Resolves a result for each execution, failures do not stop the rest
+    function bulkNotify(filters, action, dryRun) {
+        var allowedStatus = BULK_ACTION_STATUS[action];
+
+        if (!allowedStatus) {
+            return Promise.reject(`invalid bulk action: ${action}`);
+        }
+
+        try {
+            var query = buildExecutionQuery(filters, allowedStatus);
+        }
+        catch (err) {
+            return Promise.reject(err.message);
+        }
+
+        if (!query) {
+            return Promise.reject('must provide a query or at least one filter of status, job_id, name, moderator or tag');
+        }
+
+        logger.info(`bulk ${action} of executions matching query: ${query}, dry run: ${dryRun}`);
+
+        return findJobs(query)
+            .then(function(executions) {
+                return Promise.map(executions, function(ex) {
+                    var result = {ex_id: ex.ex_id, job_id: ex.job_id, name: ex.name, _status: ex._status};
+
+                    if (allowedStatus.indexOf(ex._status) === -1) {
+                        result.error = `execution is ${ex._status}, it cannot be sent ${action}`;
+                        return result;
+                    }
+
+                    if (dryRun) {
+                        return result;
+                    }
+
+                    if (action === 'stop') {
+                        _removePending(ex.ex_id);
+                    }
+
+                    return notify(ex.ex_id, action)
+                        .then(function(status) {
+                            result.result = status;
+                            return result;
+                        })
+                        .catch(function(err) {
+                            result.error = parseError(err);
+                            return result;
+                        });
+                });
+            })
+            .then(function(results) {
+                return {
+                    action: action,
+                    dry_run: dryRun,
+                    query: query,
+                    total: results.length,
+                    failed: results.filter(result => result.error).length,
+                    executions: results
+                };
+            });
+    }
+
+    //removes any pending workers, and the execution itself if it has not been scheduled yet
+    function _removePending(ex_id) {
+        cluster_service.removeFromQueue(ex_id);
+        pendingExecutionQueue.remove(ex_id, 'ex_id');
+        placementHeldQueue.remove(ex_id, 'ex_id');
+        moderatorPausedQueue.remove(ex_id, 'ex_id');
+    }
+
+    // Deletes an execution along with its slice state and analytics records, refuses while it is active.
+    // Rejects with {message, code} so the api can tell a missing or active execution from other errors
+    function deleteExecution(ex_id) {
+        return getExecutionContext(ex_id)
+            .then(function(ex) {
+                if (!ex) {
+                    return Promise.reject({message: `execution: ${ex_id} could not be found`, code: 404});
+                }
+
+                if (VALID_STATUS.indexOf(ex._status) < 7) {
+                    return Promise.reject({message: `execution: ${ex_id} is ${ex._status}, it must be stopped before it can be deleted`, code: 409});
+                }
+
+                return _purgeExecution(ex_id)
+                    .then(function(counts) {
+                        return ex_store.remove(ex_id)
+                            .then(function() {
+                                logger.info(`execution: ${ex_id} has been deleted`);
+                                return _.assign({ex_id: ex_id, executions: 1}, counts);
+                            });
+                    });
+            });
+    }
+
+    function _removeCheckpoint(ex_id) {
+        Promise.resolve(state_store.removeCheckpoint(ex_id))
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not remove the slicer checkpoint of execution: ${ex_id}`, errMsg);
+            });
+    }
+
+    function _purgeExecution(ex_id) {
+        if (retryTimers[ex_id]) {
+            clearTimeout(retryTimers[ex_id]);
+            delete retryTimers[ex_id];
+        }
+
+        return Promise.all([
+            state_store.removeByQuery(`ex_id:${ex_id}`),
+            analytics_store.removeByQuery(`ex_id:${ex_id}`),
+            state_store.removeCheckpoint(ex_id)
+        ])
+            .spread(function(stateRecords, analyticsRecords) {
+                return {state_records: stateRecords, analytics_records: analyticsRecords};
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not remove the state and analytics records of execution: ${ex_id}`, errMsg);
+                return Promise.reject(errMsg);
+            });
+    }
+
+    // Deletes a job, its revisions and all of its executions, refuses while any execution is active
+    // or while other jobs depend on it
+    function deleteJob(job_id) {
+        return getJob(job_id)
+            .then(function(job) {
+                if (!job) {
+                    return Promise.reject({message: `job: ${job_id} could not be found`, code: 404});
+                }
+
+                var dependents = _.keys(_.pickBy(jobDependencies, upstream => upstream.indexOf(job_id) !== -1));
+
+                if (dependents.length > 0) {
+                    return Promise.reject({message: `job: ${job_id} cannot be deleted, jobs: ${dependents.join(', ')} depend on it`, code: 409});
+                }
+
+                return _allExecutions(job_id);
+            })
+            .then(function(executions) {
+                var active = executions.filter(ex => VALID_STATUS.indexOf(ex._status) < 7);
+
+                if (active.length > 0) {
+                    var activeIDs = active.map(ex => ex.ex_id).join(', ');
+                    return Promise.reject({message: `job: ${job_id} has active executions: ${activeIDs}, they must be stopped before it can be deleted`, code: 409});
+                }
+
+                return Promise.map(executions, ex => _purgeExecution(ex.ex_id), {concurrency: PURGE_CONCURRENCY});
+            })
+            .then(function(purged) {
+                return Promise.all([
+                    ex_store.removeByQuery(`job_id:${job_id} AND _context:ex`),
+                    job_store.removeByQuery(`job_id:${job_id} AND _context:revision`),
+                    job_store.remove(job_id)
+                ])
+                    .spread(function(executions, revisions) {
+                        registerSchedule({job_id: job_id, schedule: null});
+                        registerDependencies({job_id: job_id});
+                        logger.info(`job: ${job_id} has been deleted along with ${executions} executions`);
+
+                        return {
+                            job_id: job_id,
+                            jobs: 1,
+                            revisions: revisions,
+                            executions: executions,
+                            state_records: _.sumBy(purged, 'state_records'),
+                            analytics_records: _.sumBy(purged, 'analytics_records')
+                        };
+                    });
+            });
+    }
+
+    // Removes partitions of the state and analytics indices past index_retention_days. A state partition
+    // is kept while it holds slices of an execution that could still be recovered
+    function removeExpiredPartitions() {
+        var config = context.sysconfig.teraslice;
+        var now = Date.now();
+        var removed = [];
+
+        function expired(store, type) {
+            return Promise.resolve(store.getPartitions())
+                .then(function(partitions) {
+                    return expiredPartitions(partitions, `${config.name}__${type}`, config.index_rotation, config.index_retention_days, now);
+                });
+        }
+
+        return expired(analytics_store, 'analytics')
+            .each(function(partition) {
+                return analytics_store.removePartition(partition)
+                    .then(() => removed.push(partition));
+            })
+            .then(function() {
+                return Promise.all([
+                    expired(state_store, 'state'),
+                    ex_store.search('_context:ex AND NOT _status:completed AND NOT _status:rejected', null, 10000)
+                ]);
+            })
+            .spread(function(partitions, executions) {
+                var recoverable = {query: {terms: {ex_id: executions.map(ex => ex.ex_id)}}};
+
+                return Promise.each(partitions, function(partition) {
+                    var count = executions.length ? state_store.countPartition(partition, recoverable) : Promise.resolve(0);
+
+                    return count.then(function(slices) {
+                        if (slices > 0) {
+                            logger.info(`keeping expired partition ${partition}, it holds ${slices} slices of executions that can still be recovered`);
+                            return;
+                        }
+
+                        return state_store.removePartition(partition)
+                            .then(() => removed.push(partition));
+                    });
+                });
+            })
+            .then(function() {
+                return removed;
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not remove expired index partitions`, errMsg);
+                return removed;
+            });
+    }
+
     function startJob(job_id) {
         return getJob(job_id)
             .then(function(job_spec) {
@@ -413,7 +1000,7 @@ module.exports = function(context, cluster_service) {
                 if (ex._status === 'scheduling') {
                     throw new Error("This job is currently being scheduled and can not be restarted.");
                 }
-                // port cleanup and hostname happens at jobAllocator
+                // port cleanup and hostname happens at allocation
                 ex._recover_execution = true;
                 return enqueueJob(ex);
             })
@@ -423,23 +1010,82 @@ module.exports = function(context, cluster_service) {
             });
     }
 
-    function getJob(job_id) {
-        return job_store.get(job_id)
-            .then(function(job_spec) {
-                return job_spec;
-            })
-            .catch(function(err) {
-                logger.error(`could not get job for job_id: ${job_id}`, err)
-            });
-    }
+    // Starts a new execution of the job that only processes the slices of the execution that ended in error,
+    // the new execution records the execution it retries as _retry_failed_of and each slice the slice it retries as retry_of
+    function retryFailedSlices(ex_id) {
+        return getExecutionContext(ex_id)
+            .then(function(ex) {
+                if (!ex) {
+                    return Promise.reject({message: `execution: ${ex_id} could not be found`, code: 404});
+                }
 
-    function getJobs(from, size, sort) {
-        return job_store.getJobs(from, size, sort);
-    }
+                if (VALID_STATUS.indexOf(ex._status) < 7) {
+                    return Promise.reject({message: `execution: ${ex_id} is ${ex._status}, its failed slices can only be retried once it has stopped`, code: 409});
+                }
 
-    function getExecutionContexts(status, from, size, sort) {
-        return ex_store.getExecutionContexts(status, from, size, sort);
-    }
+                if (ex.lifecycle !== 'once') {
+                    return Promise.reject({message: `execution: ${ex_id} has a ${ex.lifecycle} lifecycle, only the failed slices of once executions can be retried`, code: 400});
+                }
+
+                return Promise.all([
+                    state_store.count(`ex_id:${ex_id} AND state:error`, 0),
+                    getLatestExecution(ex.job_id, true),
+                    getJob(ex.job_id)
+                ])
+                    .spread(function(failedCount, activeExID, job) {
+                        if (failedCount === 0) {
+                            return Promise.reject({message: `execution: ${ex_id} has no failed slices to retry`, code: 400});
+                        }
+
+                        if (activeExID) {
+                            return Promise.reject({message: `job: ${ex.job_id} already has an active execution: ${activeExID}`, code: 409});
+                        }
+
+                        if (!job) {
+                            return Promise.reject({message: `job: ${ex.job_id} could not be found`, code: 404});
+                        }
+
+                        return ensureAssets(job)
+                            .then(function(assetIdJob) {
+                                assetIdJob._retry_failed_of = ex_id;
+                                return createExecutionContext(assetIdJob);
+                            })
+                            .then(function(result) {
+                                logger.info(`execution: ${result.ex_id} is retrying ${failedCount} failed slices of execution: ${ex_id}`);
+                                return {ex_id: result.ex_id, job_id: result.job_id, retry_failed_of: ex_id, slices: failedCount};
+                            });
+                    });
+            });
+    }
+
+    function getJob(job_id) {
+        return job_store.get(job_id)
+            .then(function(job_spec) {
+                return job_spec;
+            })
+            .catch(function(err) {
+                logger.error(`could not get job for job_id: ${job_id}`, err)
+            });
+    }
+
+    // filters are optional and are described in buildListQuery
+    function getJobs(from, size, sort, filters) {
+        if (_.isEmpty(filters)) {
+            return job_store.getJobs(from, size, sort);
+        }
+
+        return Promise.try(() => buildListQuery(JOBS_QUERY, filters))
+            .then(query => job_store.search(query, from, size, sort));
+    }
+
+    function getExecutionContexts(status, from, size, sort, filters) {
+        if (_.isEmpty(filters)) {
+            return ex_store.getExecutionContexts(status, from, size, sort);
+        }
+
+        return Promise.try(() => buildListQuery('_context:ex', _.assign({status: status || undefined}, filters)))
+            .then(query => ex_store.search(query, from, size, sort));
+    }
 
 
     function getExecutionContext(ex_id) {
@@ -453,13 +1099,54 @@ module.exports = function(context, cluster_service) {
     }
 
     function getExecutions(job_id) {
+        return _allExecutions(job_id)
+            .then(executions => executions.map(ex => ex.ex_id));
+    }
+
+    // every execution of the job, fetched a page at a time
+    function _allExecutions(job_id) {
         var query = `job_id: ${job_id} AND _context:ex`;
+        var executions = [];
 
-        //TODO only get 10000, need room to allow more
-        return ex_store.search(query, null, 10000)
-            .then(function(exs) {
-                return exs.map(ex => ex.ex_id)
+        function nextPage(after) {
+            return Promise.resolve(ex_store.searchAfter(query, EXECUTIONS_PAGE_SIZE, 'asc', after))
+                .then(function(page) {
+                    executions.push.apply(executions, page.records);
+                    return page.after ? nextPage(page.after) : executions;
+                });
+        }
+
+        return nextPage(null);
+    }
+
+    // returns a page of jobs, filters and options are described in buildListQuery and parseListOptions
+    function listJobs(filters, options) {
+        return _listPage(job_store, JOBS_QUERY, filters, options);
+    }
+
+    function listExecutions(filters, options) {
+        return _listPage(ex_store, '_context:ex', filters, options);
+    }
+
+    function _listPage(store, base, filters, options) {
+        var query;
+
+        try {
+            query = buildListQuery(base, filters);
+        }
+        catch (err) {
+            return Promise.reject({message: err.message, code: 400});
+        }
+
+        return Promise.resolve(store.searchAfter(query, options.size, options.order, options.after))
+            .then(function(page) {
+                return {total: page.total, records: page.records, cursor: encodeCursor(page.after)};
             })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not list records, query: ${query}`, errMsg);
+                return Promise.reject({message: errMsg, code: 500});
+            });
     }
 
     function getJobStateRecords(query, from, size, sort) {
@@ -486,49 +1173,747 @@ module.exports = function(context, cluster_service) {
             })
     }
 
-    // Checks the queue of pending jobs and will allocate any workers required.
-    function jobAllocator() {
-        var isJobBeingAllocated = false;
+    // returns the schedule state of the job, or null if the job is not started on a schedule
+    function registerSchedule(job) {
+        var current = jobSchedules[job.job_id];
+
+        if (!job.schedule) {
+            if (current) {
+                logger.info(`schedule for job: ${job.job_id} has been removed`);
+                delete jobSchedules[job.job_id];
+            }
+            return null;
+        }
+
+        if (current && current.schedule === job.schedule) {
+            return current;
+        }
+
+        try {
+            var next = nextDates(job.schedule, 1)[0];
+        }
+        catch (err) {
+            //jobs saved before their schedule was validated should not stop the others from being scheduled
+            logger.error(`job: ${job.job_id} has an invalid schedule "${job.schedule}" and will not be started on it, error: ${parseError(err)}`);
+            delete jobSchedules[job.job_id];
+            return null;
+        }
+
+        logger.info(`job: ${job.job_id} is scheduled with "${job.schedule}"`);
+        jobSchedules[job.job_id] = {
+            job_id: job.job_id,
+            schedule: job.schedule,
+            next: next,
+            last_run: current ? current.last_run : null,
+            missed: current ? current.missed : [],
+            isStarting: false
+        };
+
+        //the runs of the new schedule are counted from now on
+        _saveScheduleChecked(job.job_id, new Date());
+
+        return jobSchedules[job.job_id];
+    }
+
+    // the schedule of the job has been evaluated up to time, every run due until then was either started or recorded
+    // as missed. It is saved on the job as _schedule_checked so runs due while the cluster_master is down can be found
+    function _saveScheduleChecked(job_id, time) {
+        return job_store.setScheduleChecked(job_id, time)
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not save the schedule evaluation time of job: ${job_id}`, errMsg);
+            });
+    }
+
+    //runs that were due after the schedule was last evaluated were missed while the cluster_master was down
+    function _recordDowntimeRuns(entry, job) {
+        if (!job._schedule_checked) {
+            return;
+        }
+
+        var missed = missedDates(entry.schedule, new Date(job._schedule_checked), new Date(), MISSED_RUNS_LIMIT);
+
+        if (missed.total > missed.dates.length) {
+            logger.warn(`${missed.total} scheduled runs of job: ${job.job_id} were skipped while the cluster_master was not running, only the last ${missed.dates.length} are kept`);
+        }
+
+        _.forEachRight(missed.dates, function(date) {
+            _recordMissedRun(entry, date, 'cluster_master was not running');
+        });
+    }
+
+    function _recordMissedRun(entry, scheduledTime, reason, ex_id) {
+        var missedRun = {scheduled: moment(scheduledTime).format(dateFormat), reason: reason};
+
+        if (ex_id) {
+            missedRun.ex_id = ex_id;
+        }
+
+        logger.warn(`scheduled run of job: ${entry.job_id} at ${missedRun.scheduled} was skipped, ${reason}`);
+        entry.missed.unshift(missedRun);
+
+        if (entry.missed.length > MISSED_RUNS_LIMIT) {
+            entry.missed.pop();
+        }
+    }
+
+    function runSchedules() {
+        var now = new Date();
+
+        _.forOwn(jobSchedules, function(entry) {
+            if (entry.isStarting || !entry.next || entry.next > now) {
+                return;
+            }
+
+            var scheduledTime = entry.next;
+            entry.next = nextDates(entry.schedule, 1, now)[0];
+            entry.isStarting = true;
+            _saveScheduleChecked(entry.job_id, scheduledTime);
+
+            getLatestExecution(entry.job_id, true)
+                .then(function(activeExID) {
+                    if (activeExID) {
+                        _recordMissedRun(entry, scheduledTime, 'previous execution is still active', activeExID);
+                        return;
+                    }
+
+                    logger.info(`starting scheduled run of job: ${entry.job_id}`);
+                    return startJob(entry.job_id)
+                        .then(function(results) {
+                            //startJob logs and swallows its own errors
+                            if (!results) {
+                                _recordMissedRun(entry, scheduledTime, 'job could not be started');
+                                return;
+                            }
+                            entry.last_run = moment(scheduledTime).format(dateFormat);
+                        });
+                })
+                .catch(function(err) {
+                    var errMsg = parseError(err);
+                    _recordMissedRun(entry, scheduledTime, `error starting job: ${errMsg}`);
+                })
+                .finally(function() {
+                    entry.isStarting = false;
+                });
+        });
+    }
+
+    function getSchedule(job_id, size) {
+        return getJob(job_id)
+            .then(function(job) {
+                if (!job) {
+                    return Promise.reject(`no job was found for job_id: ${job_id}`);
+                }
+
+                if (!job.schedule) {
+                    return Promise.reject(`job_id: ${job_id} does not have a schedule`);
+                }
+
+                var entry = jobSchedules[job_id];
+
+                return {
+                    job_id: job_id,
+                    schedule: job.schedule,
+                    next: nextDates(job.schedule, size).map(date => moment(date).format(dateFormat)),
+                    last_run: entry ? entry.last_run : null,
+                    missed: entry ? entry.missed : []
+                };
+            });
+    }
+
+    function registerDependencies(job) {
+        if (job.depends_on && job.depends_on.length > 0) {
+            jobDependencies[job.job_id] = job.depends_on;
+        }
+        else {
+            delete jobDependencies[job.job_id];
+        }
+    }
+
+    function _validateDependencies(job_id, depends_on) {
+        if (!depends_on || depends_on.length === 0) {
+            return Promise.resolve(true);
+        }
+
+        if (job_id && depends_on.indexOf(job_id) !== -1) {
+            return Promise.reject(`job_id: ${job_id} cannot depend on itself`);
+        }
+
+        return Promise.map(depends_on, getJob)
+            .then(function(jobs) {
+                var missing = depends_on.filter((id, index) => !jobs[index]);
+
+                if (missing.length > 0) {
+                    return Promise.reject(`depends_on references jobs that do not exist: ${missing.join(', ')}`);
+                }
+
+                if (job_id) {
+                    var graph = _.assign({}, jobDependencies, {[job_id]: depends_on});
+                    var cycle = dependencyUtils.findCycle(graph, job_id);
+
+                    if (cycle) {
+                        return Promise.reject(`depends_on would create a dependency cycle: ${cycle.join(' -> ')}`);
+                    }
+                }
+
+                return true;
+            });
+    }
+
+    function _getLatestExecutionContext(job_id) {
+        return getLatestExecution(job_id)
+            .then(function(ex_id) {
+                return getExecutionContext(ex_id);
+            })
+            .catch(function() {
+                //job has never been executed
+                return null;
+            });
+    }
+
+    function _dependencyStatus(job_id) {
+        var upstreamIDs = jobDependencies[job_id] || [];
 
-        return function allocator() {
+        return Promise.all([Promise.map(upstreamIDs, _getLatestExecutionContext), _getLatestExecutionContext(job_id)])
+            .spread(function(upstream, latestEx) {
+                return {
+                    state: dependencyUtils.dependencyState(upstream, latestEx),
+                    upstream: upstream,
+                    latestEx: latestEx
+                };
+            });
+    }
 
-            if (!isJobBeingAllocated && pendingExecutionQueue.size() > 0 && cluster_service.availableWorkers() >= 2) {
-                isJobBeingAllocated = true;
-                var executionContext = pendingExecutionQueue.dequeue();
-                var recover_execution = executionContext._recover_execution;
+    function _markBlocked(job_id, upstream) {
+        var blockedBy = upstream
+            .filter(ex => ex && ex._status !== 'completed')
+            .map(ex => ({job_id: ex.job_id, ex_id: ex.ex_id, _status: ex._status}));
 
-                logger.info(`Scheduling job: ${executionContext.ex_id}`);
+        return getJob(job_id)
+            .then(function(job) {
+                return saveJob(job, 'ex');
+            })
+            .then(function(ex) {
+                logger.warn(`job: ${job_id} is blocked by upstream jobs: ${blockedBy.map(dep => dep.job_id).join(', ')}`);
+                return _setStatus(ex, 'blocked', {_blocked_by: blockedBy});
+            });
+    }
+
+    function _evaluateDependencies(job_id) {
+        return _dependencyStatus(job_id)
+            .then(function(status) {
+                var latestEx = status.latestEx;
+
+                if (latestEx && VALID_STATUS.indexOf(latestEx._status) < 7) {
+                    logger.info(`job: ${job_id} has an active execution, its upstream jobs will not start it`);
+                    return;
+                }
+
+                if (status.state === 'ready') {
+                    logger.info(`all upstream jobs of job: ${job_id} have completed, starting job`);
+                    return startJob(job_id);
+                }
 
-                _setStatus(executionContext, 'scheduling')
+                if (status.state === 'blocked') {
+                    //blocking also needs to flow down to the jobs that depend on this one
+                    return _markBlocked(job_id, status.upstream)
+                        .then(function(ex) {
+                            return _triggerDownstream(ex.ex_id);
+                        });
+                }
+            });
+    }
+
+    function _triggerDownstream(ex_id) {
+        return getExecutionContext(ex_id)
+            .then(function(ex) {
+                var downstream = _.filter(Object.keys(jobDependencies), function(job_id) {
+                    return jobDependencies[job_id].indexOf(ex.job_id) !== -1;
+                });
+
+                return Promise.map(downstream, _evaluateDependencies);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not start downstream jobs of ex: ${ex_id}`, errMsg);
+            });
+    }
+
+    function getDependencyGraph(job_id) {
+        var graph = dependencyUtils.collectGraph(jobDependencies, job_id);
+
+        return getJob(job_id)
+            .then(function(job) {
+                if (!job) {
+                    return Promise.reject(`no job was found for job_id: ${job_id}`);
+                }
+
+                return Promise.map(graph.nodes, function(id) {
+                    var getStatus = jobDependencies[id] ? _dependencyStatus(id) : _getLatestExecutionContext(id)
+                        .then(ex => ({state: null, latestEx: ex}));
+
+                    return Promise.all([getJob(id), getStatus])
+                        .spread(function(nodeJob, status) {
+                            var ex = status.latestEx;
+
+                            return {
+                                job_id: id,
+                                name: nodeJob ? nodeJob.name : null,
+                                depends_on: jobDependencies[id] || [],
+                                ex_id: ex ? ex.ex_id : null,
+                                _status: ex ? ex._status : null,
+                                dependencies: status.state
+                            };
+                        });
+                });
+            })
+            .then(function(nodes) {
+                return {job_id: job_id, nodes: nodes, edges: graph.edges};
+            });
+    }
+
+    // Schedules the next attempt of a failed execution if its job has a retry_policy that allows it,
+    // resolves to true if a retry was scheduled
+    function _retryFailedExecution(ex_id, failureReason) {
+        return getExecutionContext(ex_id)
+            .then(function(ex) {
+                if (!ex || !ex.retry_policy) {
+                    return false;
+                }
+
+                var policy = retryUtils.withDefaults(ex.retry_policy);
+                var attempt = ex._attempt || 1;
+
+                if (!retryUtils.shouldRetry(policy, attempt, failureReason)) {
+                    logger.warn(`execution: ${ex_id} failed on attempt ${attempt} of ${policy.max_attempts}, it will not be retried`);
+                    return false;
+                }
+
+                var delay = retryUtils.backoffDelay(policy, attempt);
+                var retryAt = new Date(Date.now() + delay);
+                var lineage = (ex._attempts || []).concat({
+                    attempt: attempt,
+                    ex_id: ex_id,
+                    reason: failureReason || null,
+                    failed_at: new Date()
+                });
+
+                logger.warn(`execution: ${ex_id} failed on attempt ${attempt} of ${policy.max_attempts}, retrying in ${delay} ms`);
+
+                return ex_store.update(ex_id, {_retry_at: retryAt, _retry_lineage: lineage, _retry_abandoned: null})
                     .then(function() {
-                        cluster_service.allocateSlicer(executionContext, recover_execution)
-                            .then(function() {
-                                return _setStatus(executionContext, 'initializing');
-                            })
-                            .then(function() {
-                                return cluster_service.allocateWorkers(executionContext, executionContext.workers)
-                                    .then(function() {
-                                        isJobBeingAllocated = false;
-                                        allocator();
-                                    })
-                                    .catch(function(err) {
-                                        //this is to catch errors of allocateWorkers, if allocation fails, they are enqueued
-                                        var errMsg = parseError(err);
-                                        logger.error(`Workers failed to be allocated, they will be enqueued, error: ${errMsg}`);
-                                        isJobBeingAllocated = false;
-                                        allocator();
-                                    })
-                            })
-                            .catch(function(err) {
-                                var errMsg = parseError(err);
-                                logger.error(`Failure during worker allocation - ${errMsg}`);
-                                isJobBeingAllocated = false;
-                                _setStatus(executionContext, 'failed');
-                                allocator();
-                            });
+                        _armRetry(_.assign(ex, {_retry_at: retryAt, _retry_lineage: lineage}));
+                        return true;
+                    });
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not check the retry_policy of execution: ${ex_id}`, errMsg);
+                return false;
+            });
+    }
+
+    // the pending retry is stored on the execution as _retry_at, so it can be armed again if the cluster_master
+    // restarts during the backoff. It is cleared once the attempt has started
+    function _armRetry(ex) {
+        var policy = retryUtils.withDefaults(ex.retry_policy);
+        var attempt = ex._attempt || 1;
+        var delay = Math.max(new Date(ex._retry_at).getTime() - Date.now(), 0);
+
+        retryTimers[ex.ex_id] = setTimeout(function() {
+            delete retryTimers[ex.ex_id];
+
+            _startAttempt(ex, policy.mode, attempt + 1, ex._retry_lineage)
+                .then(function(started) {
+                    var update = {_retry_at: null, _retry_lineage: null};
+
+                    //the retry is not tried again later, the execution records why it did not happen
+                    if (started === false) {
+                        update._retry_abandoned = `attempt ${attempt + 1} was not started as the job already had an active execution`;
+                        logger.warn(`retry of execution: ${ex.ex_id} has been abandoned, ${update._retry_abandoned}`);
+                    }
+
+                    return ex_store.update(ex.ex_id, update);
+                })
+                .catch(function(err) {
+                    var errMsg = parseError(err);
+                    logger.error(`could not retry execution: ${ex.ex_id}`, errMsg);
+                });
+        }, delay);
+    }
+
+    // retries that were waiting on their backoff when the cluster_master went down
+    function _rearmRetries() {
+        return ex_search('_status:failed AND _retry_at:*')
+            .each(function(ex) {
+                if (ex.retry_policy && !retryTimers[ex.ex_id]) {
+                    logger.info(`re-arming the retry of execution: ${ex.ex_id} at ${ex._retry_at}`);
+                    _armRetry(ex);
+                }
+            });
+    }
+
+    // recover mode restarts the failed execution, new mode creates a fresh execution of the job
+    function _startAttempt(ex, mode, attempt, lineage) {
+        return getLatestExecution(ex.job_id, true)
+            .then(function(activeExID) {
+                if (activeExID) {
+                    logger.warn(`job: ${ex.job_id} already has an active execution: ${activeExID}, skipping retry of execution: ${ex.ex_id}`);
+                    return false;
+                }
+
+                if (mode === 'recover') {
+                    return ex_store.update(ex.ex_id, {_attempt: attempt, _attempts: lineage})
+                        .then(function() {
+                            return _setStatus(ex, 'pending');
+                        })
+                        .then(function() {
+                            return restartExecution(ex.ex_id);
+                        });
+                }
+
+                return getJob(ex.job_id)
+                    .then(function(job) {
+                        return ensureAssets(job);
+                    })
+                    .then(function(assetIdJob) {
+                        assetIdJob._attempt = attempt;
+                        assetIdJob._attempts = lineage;
+                        assetIdJob._retry_of = ex.ex_id;
+                        return createExecutionContext(assetIdJob);
                     });
+            });
+    }
+
+    // Fails executions that have run past their max_runtime, in case their slicer could not enforce it
+    function checkRuntimes() {
+        var query = ['running', 'failing', 'paused', 'moderator_paused'].map(str => `_status:${str}`).join(" OR ");
+        var now = Date.now();
+
+        return ex_search(query)
+            .each(function(ex) {
+                if (!ex.max_runtime || !ex._started) {
+                    return;
+                }
+
+                if (now - new Date(ex._started).getTime() > ex.max_runtime + MAX_RUNTIME_GRACE) {
+                    var errMsg = `execution exceeded its max_runtime of ${ex.max_runtime} ms and was not stopped by its slicer`;
+                    logger.error(`execution: ${ex.ex_id} ${errMsg}`);
+
+                    cluster_service.removeFromQueue(ex.ex_id);
+                    cluster_service.broadcast('cluster:job:stop', {ex_id: ex.ex_id});
+                    events.emit('cluster:job_failure', {ex_id: ex.ex_id, error: errMsg});
+                }
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not check the runtime of executions`, errMsg);
+            });
+    }
+
+    function reconcileExecutions() {
+        //pending executions are loaded into the queue on startup
+        var query = VALID_STATUS.slice(1, 7).map(str => `_status:${str}`).join(" OR ");
+
+        return ex_search(query)
+            .then(function(executions) {
+                if (executions.length > 0) {
+                    logger.info(`reconciling ${executions.length} executions that were active before the cluster_master started`);
+                }
+
+                return Promise.map(executions, function(ex) {
+                    return Promise.try(() => _reconcile(ex))
+                        .catch(function(err) {
+                            var errMsg = parseError(err);
+                            logger.error(`could not reconcile execution: ${ex.ex_id}`, errMsg);
+                        });
+                });
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not reconcile active executions`, errMsg);
+            });
+    }
+
+    function _reconcile(ex) {
+        var ex_id = ex.ex_id;
+        var slicers = cluster_service.findSlicersByExecutionID(ex_id);
+        var workers = cluster_service.findWorkersByExecutionID(ex_id);
+        var results = reconcileExecution(ex, slicers, workers);
+
+        if (results.orphanedWorkers > 0) {
+            logger.warn(`stopping ${results.orphanedWorkers} workers of execution: ${ex_id} that no longer have a slicer`);
+            cluster_service.broadcast('cluster:job:stop', {ex_id: ex_id});
+        }
+
+        if (results.action === 'adopt') {
+            logger.info(`re-adopting execution: ${ex_id}, its slicer is running on node: ${slicers[0].node_id} with ${workers.length} workers`);
+
+            if (results.missingWorkers > 0) {
+                //workers need to know where the slicer is to connect to it
+                ex.slicer_port = slicers[0].slicer_port;
+                ex.slicer_hostname = slicers[0].hostname;
+                return cluster_service.allocateWorkers(ex, results.missingWorkers);
+            }
+
+            return true;
+        }
+
+        if (results.action === 'requeue') {
+            logger.warn(`execution: ${ex_id} was being scheduled when the cluster_master went down, it will be scheduled again`);
+            return _setStatus(ex, 'pending')
+                .then(function() {
+                    enqueueJob(ex);
+                });
+        }
+
+        if (results.action === 'recover') {
+            logger.warn(`the slicer for persistent execution: ${ex_id} is no longer running, it will be recovered`);
+            return _setStatus(ex, 'pending')
+                .then(function() {
+                    return restartExecution(ex_id);
+                });
+        }
+
+        logger.warn(`the slicer for execution: ${ex_id} is no longer running, marking it as terminated`);
+        return _setStatus(ex, 'terminated', {_failureReason: 'the slicer for this execution was no longer running after the cluster_master restarted'})
+            .then(function() {
+                return _triggerDownstream(ex_id);
+            });
+    }
+
+    function setExecutionPriority(ex_id, priority) {
+        var isQueued = pendingExecutionQueue.setPriority(ex_id, 'ex_id', priority);
+
+        [moderatorPausedQueue, placementHeldQueue].forEach(function(queue) {
+            queue.each(function(ex) {
+                if (ex.ex_id === ex_id) {
+                    ex.priority = priority;
+                    isQueued = true;
+                }
+            });
+        });
+
+        if (!isQueued) {
+            return getExecutionContext(ex_id)
+                .then(function(ex) {
+                    if (!ex) {
+                        return Promise.reject({message: `execution: ${ex_id} could not be found`, code: 404});
+                    }
+
+                    return Promise.reject({message: `execution: ${ex_id} is ${ex._status}, its priority can only be changed before it is scheduled`, code: 409});
+                });
+        }
+
+        return ex_store.update(ex_id, {priority: priority})
+            .then(function() {
+                logger.info(`priority of execution: ${ex_id} has been changed to ${priority}`);
+                return {ex_id: ex_id, priority: priority};
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not update priority of execution: ${ex_id}`, errMsg);
+                return Promise.reject(errMsg);
+            });
+    }
+
+    // the slicer of the execution applies the change from its next slice and saves it to the execution
+    function tuneExecution(ex_id, tuning) {
+        return getExecutionContext(ex_id)
+            .then(function(ex) {
+                if (!ex) {
+                    return Promise.reject({message: `execution: ${ex_id} could not be found`, code: 404});
+                }
+
+                if (['running', 'failing', 'paused', 'moderator_paused'].indexOf(ex._status) === -1) {
+                    return Promise.reject({message: `execution: ${ex_id} is ${ex._status}, only the slicer of an active execution can be tuned`, code: 409});
+                }
+
+                try {
+                    tuningUtils.validateTuning(ex, tuning);
+                }
+                catch (err) {
+                    return Promise.reject({message: err.message, code: 400});
+                }
+
+                var slicer = cluster_service.findSlicersByExecutionID(ex_id)[0];
+                if (!slicer) {
+                    return Promise.reject({message: `could not find the slicer of execution: ${ex_id}`, code: 409});
+                }
+
+                return cluster_service.notifyNode(slicer.node_id, 'cluster:job:tune', {ex_id: ex_id, tuning: tuning})
+                    .then(function() {
+                        logger.info(`execution: ${ex_id} is being tuned`, tuning);
+                        return {ex_id: ex_id, tuning: tuning, previous: tuningUtils.currentTuning(ex)};
+                    });
+            });
+    }
+
+    function _recordScaling(ex_id, record) {
+        return getExecutionContext(ex_id)
+            .then(function(ex) {
+                var scaling = (ex._scaling || []).concat(record).slice(-SCALING_EVENTS_LIMIT);
+                return ex_store.update(ex_id, {_scaling: scaling});
+            });
+    }
+
+    function getScalingHistory(ex_id) {
+        return getExecutionContext(ex_id)
+            .then(function(ex) {
+                if (!ex) {
+                    return Promise.reject(`execution: ${ex_id} could not be found`);
+                }
+
+                return {
+                    ex_id: ex_id,
+                    autoscaled: isAutoscaled(ex),
+                    min_workers: ex.min_workers,
+                    max_workers: ex.max_workers,
+                    workers: cluster_service.findWorkersByExecutionID(ex_id).length,
+                    events: ex._scaling || []
+                };
+            });
+    }
+
+    // allocation runs once on the next tick, so a burst of submissions or node updates only checks the queue once
+    function triggerAllocation() {
+        if (allocationTriggered || allocatorStopped) {
+            return;
+        }
+
+        allocationTriggered = true;
+        setImmediate(function() {
+            allocationTriggered = false;
+            allocatePending();
+        });
+    }
+
+    // Starts allocating pending executions while there is capacity, executions of different jobs are allocated
+    // concurrently, an execution of a job that is already being allocated waits for that allocation to finish
+    function allocatePending() {
+        var deferred = [];
+
+        while (pendingExecutionQueue.size() > 0 && _.size(allocatingExecutions) < maxConcurrentAllocations &&
+        _freeWorkers() >= 2) {
+            var executionContext = pendingExecutionQueue.dequeue();
+
+            if (_.some(allocatingExecutions, {job_id: executionContext.job_id})) {
+                deferred.push(executionContext);
+                continue;
             }
+
+            var pendingReason = cluster_service.placementReason(executionContext.placement, 2);
+
+            if (pendingReason) {
+                _holdForPlacement(executionContext, pendingReason);
+                continue;
+            }
+
+            _allocateExecution(executionContext);
         }
+
+        deferred.forEach(ex => pendingExecutionQueue.enqueue(ex, _pendingSince(ex)));
+    }
+
+    function _freeWorkers() {
+        return cluster_service.availableWorkers() - _.sumBy(_.values(allocatingExecutions), 'reserved');
+    }
+
+    function _allocateExecution(executionContext) {
+        var ex_id = executionContext.ex_id;
+        var recover_execution = executionContext._recover_execution;
+
+        //the slicer and the workers of the execution, or whatever is left if there are not enough
+        var reserved = Math.min(1 + executionContext.workers, _freeWorkers());
+        allocatingExecutions[ex_id] = {job_id: executionContext.job_id, reserved: reserved};
+        addSample(queueLatencies, Date.now() - _pendingSince(executionContext), LATENCY_SAMPLES);
+
+        logger.info(`Scheduling job: ${ex_id}`);
+
+        var metaData = executionContext._pending_reason ? {_pending_reason: null} : null;
+        _setStatus(executionContext, 'scheduling', metaData)
+            .then(function() {
+                return cluster_service.allocateSlicer(executionContext, recover_execution);
+            })
+            .then(function() {
+                return _setStatus(executionContext, 'initializing');
+            })
+            .then(function() {
+                var allocation = cluster_service.allocateWorkers(executionContext, executionContext.workers);
+                allocatingExecutions[ex_id].reserved = 0;
+
+                return allocation
+                    .catch(function(err) {
+                        //this is to catch errors of allocateWorkers, if allocation fails, they are enqueued
+                        var errMsg = parseError(err);
+                        logger.error(`Workers failed to be allocated, they will be enqueued, error: ${errMsg}`);
+                    });
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`Failure during worker allocation - ${errMsg}`);
+                return _setStatus(executionContext, 'failed')
+                    .catch(function(err) {
+                        var errMsg = parseError(err);
+                        logger.error(`could not mark execution: ${ex_id} as failed after its allocation failed`, errMsg);
+                    });
+            })
+            .finally(function() {
+                delete allocatingExecutions[ex_id];
+                triggerAllocation();
+            });
+    }
+
+    function _pendingSince(ex) {
+        return pendingSince[ex.ex_id] || new Date(ex._updated || ex._created).getTime();
+    }
+
+    // records how long executions wait from becoming pending to running
+    function _trackScheduling(ex, status) {
+        if (status === 'pending') {
+            pendingSince[ex.ex_id] = Date.now();
+            return;
+        }
+
+        if (status === 'running' && pendingSince[ex.ex_id]) {
+            addSample(startLatencies, Date.now() - pendingSince[ex.ex_id], LATENCY_SAMPLES);
+        }
+
+        if (status !== 'scheduling' && status !== 'initializing') {
+            delete pendingSince[ex.ex_id];
+        }
+    }
+
+    // queue_latency is the time from pending to the start of allocation, start_latency from pending to running
+    function getAllocatorStats() {
+        return {
+            pending: pendingExecutionQueue.size(),
+            held_for_placement: placementHeldQueue.size(),
+            allocating: _.keys(allocatingExecutions),
+            max_concurrent_allocations: maxConcurrentAllocations,
+            available_workers: cluster_service.availableWorkers(),
+            reserved_workers: _.sumBy(_.values(allocatingExecutions), 'reserved'),
+            queue_latency: latencyStats(queueLatencies),
+            start_latency: latencyStats(startLatencies)
+        };
+    }
+
+    //the execution stays pending, the reason is only stored when it changes as this is checked on every node state update
+    function _holdForPlacement(executionContext, pendingReason) {
+        placementHeldQueue.enqueue(executionContext);
+
+        if (executionContext._pending_reason === pendingReason) {
+            return;
+        }
+
+        logger.info(`execution: ${executionContext.ex_id} remains pending, ${pendingReason}`);
+        executionContext._pending_reason = pendingReason;
+
+        ex_store.update(executionContext.ex_id, {_pending_reason: pendingReason})
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not record the pending reason of execution: ${executionContext.ex_id}`, errMsg);
+            });
     }
 
     function _signalJobStateChange(ex_id, notice, state) {
@@ -595,6 +1980,17 @@ module.exports = function(context, cluster_service) {
                     }
                     return ex_store.update(job_spec.ex_id, statusObj)
                         .then(function() {
+                            _trackScheduling(job_spec, status);
+                            if (TERMINAL_STATUS.indexOf(status) !== -1) {
+                                _removeCheckpoint(job_spec.ex_id);
+                            }
+                            if (ex) {
+                                events.emit('jobs_service:status_change', {
+                                    ex: _.assign({}, ex, statusObj),
+                                    status: status,
+                                    previous_status: ex._status
+                                });
+                            }
                             return job_spec;
                         })
                         .catch(function(err) {
@@ -614,22 +2010,39 @@ module.exports = function(context, cluster_service) {
         }
     }
 
-    function _validateJob(job_spec) {
-        return new Promise(function(resolve, reject) {
-            // This will throw errors if the job does not pass validation.
+    // Collects every error of the job spec, used by both submitJob and validateJobSpec so they agree
+    function _checkJob(job_spec) {
+        var results = job_validator.validateAll(job_spec);
+        var notificationsChecked = _.some(results.errors, err => err.path === 'notifications');
+
+        if (results.job.notifications && !notificationsChecked) {
             try {
-                var validJob = job_validator.validate(job_spec);
+                validateTargets(results.job.notifications, VALID_STATUS);
+            }
+            catch (err) {
+                results.errors.push({path: 'notifications', message: err.message});
             }
-            catch (ev) {
-                reject(`Error validating job: ${ev}`)
+        }
+
+        return results;
+    }
+
+    function _validateJob(job_spec) {
+        return Promise.try(function() {
+            var results = _checkJob(job_spec);
+
+            if (results.errors.length > 0) {
+                var messages = results.errors.map(err => `${err.path}: ${err.message}`).join(', ');
+                return Promise.reject(`Error validating job: ${messages}`);
             }
 
-            resolve(validJob);
+            return results.job;
         });
     }
 
     function shutdown() {
         logger.info(`shutting down`);
+        allocatorStopped = true;
 
         var query = VALID_STATUS.slice(0, 7).map(str => `_status:${str}`).join(" OR ");
         return ex_search(query)
@@ -638,63 +2051,92 @@ module.exports = function(context, cluster_service) {
                 return _signalJobStateChange(job.ex_id, 'stop', 'terminated');
             })
             .finally(function() {
-                return Promise.all([job_store.shutdown(), ex_store.shutdown()]);
+                clearInterval(cronScheduler);
+                clearTimeout(reconcileTimer);
+                clearInterval(runtimeChecker);
+                clearInterval(retentionTimer);
+                _.forOwn(retryTimers, timer => clearTimeout(timer));
+                return Promise.all([job_store.shutdown(), ex_store.shutdown(), state_store.shutdown(), analytics_store.shutdown()]);
             })
     }
 
     var api = {
         submitJob: submitJob,
+        validateJobSpec: validateJobSpec,
         updateJob: updateJob,
         updateEX: updateEX,
         notify: notify,
+        bulkNotify: bulkNotify,
+        deleteJob: deleteJob,
+        deleteExecution: deleteExecution,
         getJob: getJob,
         getJobs: getJobs,
+        getAllocatorStats: getAllocatorStats,
+        listJobs: listJobs,
+        listExecutions: listExecutions,
         getExecutionContext: getExecutionContext,
         getExecutionContexts: getExecutionContexts,
         getExecutions: getExecutions,
         getJobStateRecords: getJobStateRecords,
         getLatestExecution: getLatestExecution,
+        getSchedule: getSchedule,
+        getDependencyGraph: getDependencyGraph,
+        getRevisions: getRevisions,
+        diffRevisions: diffRevisions,
+        rollbackJob: rollbackJob,
+        setExecutionPriority: setExecutionPriority,
+        getScalingHistory: getScalingHistory,
         startJob: startJob,
         restartExecution: restartExecution,
+        retryFailedSlices: retryFailedSlices,
+        tuneExecution: tuneExecution,
         shutdown: shutdown
     };
 
     function _initialize() {
-        // Reschedule any persistent jobs that were running.
-        // There may be some additional subtlety required here.
-        return getExecutionContexts('running').each(function(job) {
-            // TODO: For this restarting to work correctly we need to check the job on the running
-            // cluster to make sure it's not still running after a cluster_master restart.
-            if (job.lifecycle === 'persistent') {
-                //pendingExecutionQueue.enqueue(job);
-            }
-            else {
-                //_setStatus(job, 'aborted');
-            }
-        })
-            .then(function() {
-                // Loads the initial pending jobs queue from storage.
-                // the limit for retrieving pending jobs is 10000
-                return getExecutionContexts('pending', null, 10000, '_created:asc')
-                    .each(function(job_spec) {
-                        logger.debug(`enqueuing pending job:`, job_spec);
-                        pendingExecutionQueue.enqueue(job_spec);
-                    })
-                    .then(function() {
-                        let queueSize = pendingExecutionQueue.size();
+        // Executions that were active when the cluster_master went down are checked against the running
+        // cluster, this waits for the node_masters to reconnect and report their state
+        reconcileTimer = setTimeout(reconcileExecutions, context.sysconfig.teraslice.node_reconnect_wait);
 
-                        if (queueSize > 0) {
-                            logger.info(`Jobs queue initialization complete, ${pendingExecutionQueue.size()} pending jobs have been enqueued`);
-                        }
-                        else {
-                            logger.info(`Jobs queue initialization complete`);
-                        }
+        if (context.sysconfig.teraslice.index_retention_days > 0) {
+            retentionTimer = setInterval(removeExpiredPartitions, RETENTION_INTERVAL);
+        }
+
+        // Loads the initial pending jobs queue from storage.
+        // the limit for retrieving pending jobs is 10000
+        return getExecutionContexts('pending', null, 10000, '_created:asc')
+            .each(function(job_spec) {
+                logger.debug(`enqueuing pending job:`, job_spec);
+                pendingExecutionQueue.enqueue(job_spec, new Date(job_spec._created).getTime());
+            })
+            .then(function() {
+                let queueSize = pendingExecutionQueue.size();
 
-                        var allocateJobs = jobAllocator();
-                        pendingJobsScheduler = setInterval(function() {
-                            allocateJobs();
-                        }, 1000);
+                if (queueSize > 0) {
+                    logger.info(`Jobs queue initialization complete, ${pendingExecutionQueue.size()} pending jobs have been enqueued`);
+                }
+                else {
+                    logger.info(`Jobs queue initialization complete`);
+                }
 
+                triggerAllocation();
+                return _rearmRetries();
+            })
+            .then(function() {
+                // Loads the jobs that are started on a cron schedule or by the jobs they depend on
+                return getJobs(null, 10000)
+                    .each(function(job) {
+                        registerDependencies(job);
+
+                        //registering saves a new _schedule_checked, the runs missed until now are found from the one loaded
+                        var entry = job.schedule ? registerSchedule(job) : null;
+                        if (entry) {
+                            _recordDowntimeRuns(entry, job);
+                        }
+                    })
+                    .then(function() {
+                        cronScheduler = setInterval(runSchedules, 1000);
+                        runtimeChecker = setInterval(checkRuntimes, MAX_RUNTIME_GRACE);
                         return api;
                     });
             })
@@ -709,11 +2151,18 @@ module.exports = function(context, cluster_service) {
     }
 
 
-    return Promise.all([require('../storage/jobs')(context, 'job'), require('../storage/jobs')(context, 'ex')])
-        .spread(function(job, ex) {
+    return Promise.all([
+        require('../storage/jobs')(context, 'job'),
+        require('../storage/jobs')(context, 'ex'),
+        require('../storage/state')(context),
+        require('../storage/analytics')(context)
+    ])
+        .spread(function(job, ex, state, analytics) {
             logger.info("Initializing");
             job_store = job;
             ex_store = ex;
+            state_store = state;
+            analytics_store = analytics;
 
             return _initialize(); // Load the initial pendingJobs state.
         });
@@ -22,12 +22,17 @@ var networkMapping = {
     'cluster:job:pause': 'cluster:job:pause',
     'cluster:job:resume': 'cluster:job:resume',
     'cluster:job:restart': 'cluster:job:restart',
+    'cluster:job:tune': 'cluster:job:tune',
     'cluster:node:get_port': 'cluster:node:get_port',
     'slicer:recovery:failed': 'slicer:recovery:failed',
     'slicer:job:finished': 'slicer:job:finished',
     'slicer:processing:error': 'slicer:processing:error',
     'slicer:initialized': 'slicer:initialized',
     'slicer:job:update': 'slicer:job:update',
+    'slicer:job:tuned': 'slicer:job:tuned',
+    'slicer:metrics': 'slicer:metrics',
+    'slicer:worker:joined': 'slicer:worker:joined',
+    'slicer:worker:disconnected': 'slicer:worker:disconnected',
     'slicer:slice:new': 'slicer:slice:new',
     'slicer:slice:recorded': 'slicer:slice:recorded',
     'slicer:error:terminal': 'slicer:error:terminal',
@@ -55,6 +60,7 @@ var respondingMapping = {
     'cluster:job:pause': 'cluster:job:pause',
     'cluster:job:resume': 'cluster:job:resume',
     'cluster:job:restart': 'cluster:job:restart',
+    'cluster:job:tune': 'cluster:job:tune',
     'cluster:slicer:analytics': 'cluster:slicer:analytics'
 };
 
@@ -0,0 +1,145 @@
+'use strict';
+
+var _ = require('lodash');
+var Promise = require('bluebird');
+var request = require('request');
+var shortid = require('shortid');
+var parseError = require('../../utils/error_utils').parseError;
+var notificationUtils = require('../../utils/notification_utils');
+var backoffDelay = require('../../utils/retry_utils').backoffDelay;
+var buildDeliveryQuery = require('../../utils/query_utils').buildDeliveryQuery;
+
+// time in ms a webhook has to respond before the attempt is counted as failed
+var DELIVERY_TIMEOUT = 10000;
+
+/*
+ * Sends a signed POST of the execution summary to the webhook targets of the cluster and the job
+ * whenever an execution changes status, failed deliveries are retried with backoff
+ * and every delivery is recorded in the delivery log
+ */
+module.exports = function(context) {
+    var logger = context.foundation.makeLogger('notifications', 'notifications', {module: 'notifications_service'});
+    var events = context.foundation.getEventEmitter();
+    var config = context.sysconfig.teraslice;
+    var notification_store;
+
+    // retries that are waiting on their backoff, keyed by delivery_id
+    var retryTimers = {};
+
+    events.on('jobs_service:status_change', function(data) {
+        var targets = notificationUtils.matchingTargets(config.notifications.concat(data.ex.notifications || []), data.status);
+
+        targets.forEach(function(target) {
+            var payload = notificationUtils.buildPayload(data.ex, data.status, data.previous_status, new Date());
+            var record = {
+                delivery_id: shortid.generate(),
+                ex_id: data.ex.ex_id,
+                job_id: data.ex.job_id,
+                url: target.url,
+                status: data.status,
+                attempts: 0,
+                response_code: null,
+                error: null,
+                delivered: false,
+                _created: payload.time,
+                _updated: payload.time
+            };
+
+            notification_store.create(record)
+                .then(function() {
+                    _deliver(record, target, JSON.stringify(payload));
+                })
+                .catch(function(err) {
+                    var errMsg = parseError(err);
+                    logger.error(`could not record notification for ex_id: ${record.ex_id} to ${target.url}`, errMsg);
+                });
+        });
+    });
+
+    function _send(record, target, body) {
+        var headers = {
+            'Content-Type': 'application/json',
+            'X-Teraslice-Delivery': record.delivery_id
+        };
+        var secret = target.secret || config.notification_secret;
+
+        if (secret) {
+            headers['X-Teraslice-Signature'] = notificationUtils.signPayload(body, secret);
+        }
+
+        return new Promise(function(resolve, reject) {
+            request({method: 'POST', url: target.url, headers: headers, body: body, timeout: DELIVERY_TIMEOUT}, function(err, response) {
+                if (err) {
+                    return reject({code: null, error: parseError(err)});
+                }
+
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    return reject({code: response.statusCode, error: `webhook responded with status code ${response.statusCode}`});
+                }
+
+                resolve(response.statusCode);
+            });
+        });
+    }
+
+    function _deliver(record, target, body) {
+        var attempt = record.attempts + 1;
+        delete retryTimers[record.delivery_id];
+
+        _send(record, target, body)
+            .then(function(code) {
+                logger.debug(`delivered notification ${record.delivery_id} for ex_id: ${record.ex_id} to ${target.url}`);
+                return _update(record, {attempts: attempt, response_code: code, error: null, delivered: true});
+            })
+            .catch(function(failure) {
+                var update = {attempts: attempt, response_code: failure.code, error: failure.error};
+
+                if (attempt < target.max_attempts) {
+                    var delay = backoffDelay(target, attempt);
+                    logger.warn(`notification ${record.delivery_id} to ${target.url} failed, attempt ${attempt} of ${target.max_attempts}, retrying in ${delay} ms`, failure.error);
+                    retryTimers[record.delivery_id] = setTimeout(function() {
+                        _deliver(record, target, body);
+                    }, delay);
+                }
+                else {
+                    logger.error(`notification ${record.delivery_id} to ${target.url} failed after ${attempt} attempts`, failure.error);
+                }
+
+                return _update(record, update);
+            });
+    }
+
+    function _update(record, update) {
+        _.assign(record, update, {_updated: new Date()});
+
+        return notification_store.update(record.delivery_id, _.omit(record, 'delivery_id'))
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not update the delivery log for notification ${record.delivery_id}`, errMsg);
+            });
+    }
+
+    // filters can contain ex_id, job_id, status, url and delivered
+    function getDeliveries(filters, from, size) {
+        return notification_store.search(buildDeliveryQuery(filters), from, size, '_created:desc');
+    }
+
+    function shutdown() {
+        logger.info(`shutting down`);
+        _.forOwn(retryTimers, timer => clearTimeout(timer));
+        return notification_store.shutdown();
+    }
+
+    var api = {
+        getDeliveries: getDeliveries,
+        shutdown: shutdown
+    };
+
+    return require('../storage/notifications')(context)
+        .then(function(store) {
+            logger.info("Initializing");
+            notification_store = store;
+
+            return api;
+        });
+};
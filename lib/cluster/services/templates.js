@@ -0,0 +1,80 @@
+'use strict';
+
+var Promise = require('bluebird');
+var parseError = require('../../utils/error_utils').parseError;
+var templateUtils = require('../../utils/template_utils');
+
+module.exports = function(context, jobs_service) {
+    var logger = context.foundation.makeLogger('templates', 'templates', {module: 'templates_service'});
+    var template_store;
+
+    // Saves the template as a new version, jobs created from older versions keep referencing those
+    function saveTemplate(template) {
+        return Promise.try(function() {
+            templateUtils.validateTemplate(template);
+            return template_store.save(template);
+        })
+            .then(function(record) {
+                logger.info(`template: ${record.name} has been saved as version: ${record.version}`);
+                return {name: record.name, version: record.version};
+            })
+            .catch(function(err) {
+                var errMsg = err.message || parseError(err);
+                logger.error(`could not save template`, errMsg);
+                return Promise.reject(errMsg);
+            });
+    }
+
+    function getTemplate(name, version) {
+        return template_store.get(name, version)
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not get template: ${name}, version: ${version}`, errMsg);
+                return Promise.reject(`template: ${name}${version ? ` version: ${version}` : ''} was not found`);
+            });
+    }
+
+    // lists the latest version of each template, or every version of them with allVersions
+    function getTemplates(from, size, sort, allVersions) {
+        var query = allVersions ? 'name:*' : 'latest:true';
+        return template_store.search(query, from, size, sort || 'name:asc');
+    }
+
+    // Renders the template with the given parameter values and submits the resulting job
+    function instantiate(name, version, values, shouldRun) {
+        return getTemplate(name, version)
+            .then(function(template) {
+                var job = templateUtils.renderTemplate(template, values);
+                job._template = {name: template.name, version: template.version};
+
+                logger.info(`creating job from template: ${template.name}, version: ${template.version}`);
+                return jobs_service.submitJob(job, shouldRun);
+            })
+            .catch(function(err) {
+                var errMsg = err.message || parseError(err);
+                logger.error(`could not instantiate template: ${name}`, errMsg);
+                return Promise.reject(errMsg);
+            });
+    }
+
+    function shutdown() {
+        logger.info(`shutting down`);
+        return template_store.shutdown();
+    }
+
+    var api = {
+        saveTemplate: saveTemplate,
+        getTemplate: getTemplate,
+        getTemplates: getTemplates,
+        instantiate: instantiate,
+        shutdown: shutdown
+    };
+
+    return require('../storage/templates')(context)
+        .then(function(templates) {
+            logger.info("Initializing");
+            template_store = templates;
+
+            return api;
+        });
+};
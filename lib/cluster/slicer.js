@@ -14,12 +14,23 @@ var addStats = require('../utils/analytics').addStats;
 var analyzeStats = require('../utils/analytics').analyzeStats;
 var dateFormat = require('../utils/date_utils').dateFormat;
 var parseError = require('../utils/error_utils').parseError;
+var checkTimeouts = require('../utils/timeout_utils').checkTimeouts;
+var failedSlices = require('../utils/retry_utils').failedSlices;
+var checkpointUtils = require('../utils/checkpoint_utils');
+var progressUtils = require('../utils/progress_utils');
+var addSample = require('../utils/latency_utils').addSample;
 var messageModule = require('./services/messaging');
 
+//how often the slicer reports its metrics to the cluster_master, they are used for autoscaling and the event stream
+var METRICS_INTERVAL = 5000;
+//number of metrics intervals the throughput used for the eta of once executions is measured over
+var THROUGHPUT_SAMPLES = 12;
+
 
 module.exports = function(context) {
     var state_store;
     var ex_id = process.env.ex_id;
+    var job_id = process.env.job_id;
     var events = context.foundation.getEventEmitter();
 
 
@@ -39,6 +50,35 @@ module.exports = function(context) {
     var inRecoveryMode = false;
     var hasRecovered = false;
     var workerFound = false;
+    //used to enforce the max_runtime and stall_timeout of the job
+    var lastProgress = Date.now();
+    var timeoutChecker;
+    //time the run of the execution started, max_runtime is measured from it and not from when this process started
+    var firstStarted;
+    //worker_id => time its current slice was sent, used to report slice latency for autoscaling
+    var sliceStarts = {};
+    var sliceLatencies = [];
+    var metricsReporter;
+    //slicer_id => last slice made by the slicer, slice_id => slice that a worker has not reported back yet,
+    //both are checkpointed so a restarted slicer can resume where it left off
+    var cursors = {};
+    var inFlight = {};
+    var checkpointChanged = true;
+    var lastCheckpoint;
+    var checkpointer;
+    var restarts = 0;
+    //slices re-enqueued from the checkpoint, a reconnecting worker may have already finished them
+    var resumedSlices = {};
+    //retry data for newSlicer when resuming from a checkpoint
+    var resumeCursors;
+    //slicer_id => {total, covered, start} reported by readers that know their range, used for percent_complete and eta
+    var progress = {};
+    var slicesMade = 0;
+    var throughputSamples = [];
+    //changes made to the execution while it runs, they are checkpointed as the process env still has the original job
+    var tuning = {operation: {}};
+    //set while the slicers are being replaced after the reader changed how the data is divided between them
+    var relayout = null;
 
     //temporary fix
     var retryState = {};
@@ -56,6 +96,8 @@ module.exports = function(context) {
         processed: 0,
         slicers: 0,
         subslice_by_key: 0,
+        percent_complete: null,
+        eta: null,
         started: moment().format(dateFormat)
     };
 
@@ -94,6 +136,8 @@ module.exports = function(context) {
         logger.info(`slicer for job: ${ex_id} has received a resume notice`);
         engine = setInterval(engineFn, 1);
         engineCanRun = true;
+        //time spent paused does not count towards a stall
+        lastProgress = Date.now();
         events.emit("job:resume");
         messaging.respond(msg, {
             message: 'node:message:processed',
@@ -105,6 +149,9 @@ module.exports = function(context) {
         logger.info(`slicer for job: ${ex_id} has received a restart notice`);
         engineCanRun = false;
         clearInterval(engine);
+        clearInterval(timeoutChecker);
+        clearInterval(metricsReporter);
+        clearInterval(checkpointer);
         events.emit("job:stop");
 
         setInterval(function() {
@@ -137,6 +184,27 @@ module.exports = function(context) {
         });
     });
 
+    messaging.register('cluster:job:tune', function(msg) {
+        var error;
+
+        if (!scheduler) {
+            error = `slicer for ex_id: ${ex_id} is still initializing`;
+        }
+        else if (relayout) {
+            error = `slicer for ex_id: ${ex_id} is still applying a previous change of its slicers or interval`;
+        }
+        else {
+            logger.info(`slicer for job: ${ex_id} has received a tuning notice`, msg.tuning);
+            applyTuning(msg.tuning);
+        }
+
+        messaging.respond(msg, {
+            message: 'node:message:processed',
+            action: 'cluster:job:tune',
+            error: error
+        });
+    });
+
     //to catch signal propagation, but cleanup through msg sent from master
     function noOP() {
     }
@@ -154,12 +222,29 @@ module.exports = function(context) {
         workerFound = true;
         logger.info(`worker: ${worker_id} has joined slicer: ${ex_id}`);
         slicerAnalytics.workers_joined += 1;
+        messaging.send({message: 'slicer:worker:joined', ex_id: ex_id, job_id: job_id, worker_id: worker_id});
         //messaging module will join connection
         workerQueue.enqueue(msg);
     });
 
     messaging.register('worker:slice:complete', 'worker_id', function(msg, worker_id) {
         slicerAnalytics.processed += 1;
+        lastProgress = Date.now();
+
+        if (sliceStarts[worker_id]) {
+            sliceLatencies.push(lastProgress - sliceStarts[worker_id]);
+            delete sliceStarts[worker_id];
+        }
+
+        if (msg.slice) {
+            delete inFlight[msg.slice.slice_id];
+            checkpointChanged = true;
+
+            if (resumedSlices[msg.slice.slice_id]) {
+                delete resumedSlices[msg.slice.slice_id];
+                slicerQueue.remove(msg.slice.slice_id, 'slice_id');
+            }
+        }
         //Need to join room if a restart happened
         if (msg.retry) {
             logger.warn(`worker: ${worker_id} has rejoined slicer: ${ex_id}`);
@@ -200,8 +285,10 @@ module.exports = function(context) {
     messaging.register('network:disconnect', 'worker_id', function(worker_id) {
         slicerAnalytics.workers_disconnected += 1;
         logger.warn(`Worker: ${worker_id} has disconnected`);
+        messaging.send({message: 'slicer:worker:disconnected', ex_id: ex_id, job_id: job_id, worker_id: worker_id});
         events.emit('network:disconnect', worker_id);
         workerQueue.remove(worker_id);
+        delete sliceStarts[worker_id];
     });
 
     events.on('slicer:slice:recursion', function() {
@@ -214,6 +301,45 @@ module.exports = function(context) {
         slicerAnalytics.slice_range_expansion += 1;
     });
 
+    //readers report how much of the range of a slicer is covered by the slices it made, the units are up to the reader
+    events.on('slicer:progress', function(data) {
+        var current = progress[data.slicer_id];
+        progress[data.slicer_id] = {total: data.total, covered: data.covered, start: current ? current.start : data.covered};
+    });
+
+    events.on('slicer:tuned', recordTuning);
+
+    //the reader stopped its slicers where the new layout starts, they are replaced once the slices made so far are done
+    //so a recovery does not need to know about the previous layout
+    events.on('slicer:relayout', function(change) {
+        relayout = change;
+        logger.info(`slicer: ${ex_id} is changing to ${change.slicers} slicers, waiting on ${_.size(inFlight)} slices in flight`);
+
+        var drained = setInterval(function() {
+            if (_.size(inFlight) > 0) {
+                return;
+            }
+
+            clearInterval(drained);
+            job.jobConfig.slicers = change.slicers;
+            _.assign(job.jobConfig.operations[0], change.operation);
+            recordTuning(change);
+
+            var checkpoint = checkpointUtils.buildCheckpoint(ex_id, change.slicers, cursors, {}, restarts, tuning, firstStarted, null);
+
+            Promise.resolve(slicer.newSlicer(context, job, checkpointUtils.resumeData(checkpoint), slicerAnalytics, logger))
+                .then(function(slicers) {
+                    scheduler = getScheduler(job, slicers, slicerQueue);
+                    totalSlicers = slicers.length;
+                    slicerAnalytics.slicers = totalSlicers;
+                    relayout = null;
+                    saveCheckpoint();
+                    logger.info(`slicer: ${ex_id} is now running ${totalSlicers} slicers`);
+                })
+                .catch(terminalError);
+        }, 500);
+    });
+
     events.on('slicer:recovery:enqueued', function() {
         logger.info(`The recovered data for job: ${ex_id} has successfully been enqueued`);
         hasRecovered = true;
@@ -243,6 +369,12 @@ module.exports = function(context) {
                     logger.info(`all work for job: ${ex_id} has completed, starting cleanup`);
 
                     clearInterval(isDone);
+                    clearInterval(timeoutChecker);
+                    clearInterval(metricsReporter);
+                    clearInterval(checkpointer);
+                    removeCheckpoint();
+                    slicerAnalytics.percent_complete = 100;
+                    slicerAnalytics.eta = null;
                     if (job.jobConfig.analytics) {
                         logFinishedJob(context, start, job, analyticsData);
                     }
@@ -267,44 +399,45 @@ module.exports = function(context) {
     });
 
 
-    //if slicer has restart by itself, terminate job, need to wait for  registration of process message functions before we can send this message
-    if (process.env.__process_restart) {
-        var errMsg = `Slicer for ex_id: ${ex_id} runtime error led to a restart, terminating job with failed status, please use the recover api to return slicer to a consistent state`;
-        logger.error(errMsg);
-        messaging.send({message: 'slicer:error:terminal', error: errMsg, ex_id: ex_id})
-    }
-    else {
-        Promise.resolve(require('./storage/assets')(context))
-            .then(function(assets_store) {
-                context.assets = {};
-                context.assets.getPath = assets_store.getPath;
-                return instantiateJob()
-            })
-            .then(function(_job) {
-                job = _job;
-                slicer = _job.slicer;
-                analyticsData = statContainer(_job.jobs);
-                return require('./storage/state')(context)
-            })
-            .then(function(store) {
-                state_store = store;
-                logger.trace(`state_store for slicer has been initialized`);
-                messaging.initialize({port: job.jobConfig.slicer_port});
+    //if slicer has restart by itself it resumes from its checkpoint, see startSlicer
+    Promise.resolve(require('./storage/assets')(context))
+        .then(function(assets_store) {
+            context.assets = {};
+            context.assets.getPath = assets_store.getPath;
+            return instantiateJob()
+        })
+        .then(function(_job) {
+            job = _job;
+            slicer = _job.slicer;
+            analyticsData = statContainer(_job.jobs);
+            return require('./storage/state')(context)
+        })
+        .then(function(store) {
+            state_store = store;
+            logger.trace(`state_store for slicer has been initialized`);
+            messaging.initialize({port: job.jobConfig.slicer_port});
 
-                // We're ready for execution
-                startSlicer();
-            })
-            .catch(function(err) {
-                logger.error(`Slicer: failure during initialization for job ${ex_id}`);
-                var errMsg = parseError(err);
-                logger.error(errMsg);
-                messaging.send({message: 'slicer:error:terminal', error: errMsg, ex_id: ex_id})
-            });
-    }
+            // We're ready for execution
+            startSlicer();
+        })
+        .catch(function(err) {
+            logger.error(`Slicer: failure during initialization for job ${ex_id}`);
+            var errMsg = parseError(err);
+            logger.error(errMsg);
+            messaging.send({message: 'slicer:error:terminal', error: errMsg, ex_id: ex_id})
+        });
 
     function slicerRecovery() {
         var recoveredSlices = [];
-        if (process.env.recover_execution && job.jobConfig.lifecycle === 'once') {
+        var failedRetry;
+
+        //the failed slices are only enqueued on the first start, they are logged as slices of this execution so a
+        //recovery retries the ones that have not completed like any other slice
+        if (job.jobConfig._retry_failed_of && !process.env.recover_execution) {
+            failedRetry = enqueueFailedSlices(job.jobConfig._retry_failed_of);
+        }
+
+        if (process.env.recover_execution) {
             logger.info(`slicer: ${ex_id} is starting in recovery mode`);
 
             inRecoveryMode = true;
@@ -315,7 +448,56 @@ module.exports = function(context) {
             }
         }
 
-        //if no worker has attached in allotted time, shutdown job
+        waitForWorkers();
+
+        return Promise.resolve(failedRetry)
+            .then(function() {
+                return Promise.all(recoveredSlices)
+            });
+    }
+
+    // resumes a slicer that restarted after a crash from its checkpoint, the slices that were in flight are enqueued
+    // again and each slicer continues after its last slice, the workers reconnect on their own
+    function slicerResume() {
+        var maxRestarts = context.sysconfig.teraslice.slicer_max_restarts;
+
+        waitForWorkers();
+
+        return Promise.resolve(state_store.getCheckpoint(ex_id))
+            .then(function(checkpoint) {
+                if (!checkpoint) {
+                    return Promise.reject(`Slicer for ex_id: ${ex_id} runtime error led to a restart before it saved a checkpoint, terminating job with failed status, please use the recover api to return slicer to a consistent state`);
+                }
+
+                if (checkpoint.restarts >= maxRestarts) {
+                    return Promise.reject(`Slicer for ex_id: ${ex_id} runtime error led to a restart, it has already restarted ${checkpoint.restarts} times which is the slicer_max_restarts, terminating job with failed status, please use the recover api to return slicer to a consistent state`);
+                }
+
+                restarts = checkpoint.restarts + 1;
+                slicerAnalytics.restarts = restarts;
+                firstStarted = checkpoint.started;
+
+                if (checkpoint.tuning) {
+                    tuning = checkpoint.tuning;
+                    job.jobConfig.slicers = tuning.slicers || job.jobConfig.slicers;
+                    _.assign(job.jobConfig.operations[0], tuning.operation);
+                }
+
+                cursors = checkpointUtils.checkpointCursors(checkpoint);
+                resumeCursors = checkpointUtils.resumeData(checkpoint);
+
+                checkpoint.in_flight.forEach(function(slice) {
+                    resumedSlices[slice.slice_id] = true;
+                    enqueueSlice(slicerQueue, slice);
+                });
+
+                logger.warn(`slicer: ${ex_id} has restarted (${restarts} of ${maxRestarts}), resuming from its checkpoint with ${checkpoint.in_flight.length} slices in flight`);
+                return [];
+            });
+    }
+
+    //if no worker has attached in allotted time, shutdown job
+    function waitForWorkers() {
         setTimeout(function() {
             if (!workerFound) {
                 logger.error(`A worker has not connected to a slicer for ex: ${ex_id}, shutting down job`);
@@ -326,8 +508,22 @@ module.exports = function(context) {
                 });
             }
         }, context.sysconfig.teraslice.slicer_timeout);
+    }
+
+    function enqueueFailedSlices(failed_ex_id) {
+        logger.info(`slicer: ${ex_id} is retrying the failed slices of ex_id: ${failed_ex_id}`);
+
+        return state_store.failedSlices(failed_ex_id)
+            .then(function(records) {
+                var slices = failedSlices(records, uuid.v4);
 
-        return Promise.all(recoveredSlices)
+                slices.forEach(function(slice) {
+                    state_store.log(ex_id, slice, 'start');
+                    enqueueSlice(slicerQueue, slice);
+                });
+
+                logger.info(`${slices.length} failed slices of ex_id: ${failed_ex_id} have been enqueued`);
+            });
     }
 
     function terminalError(err) {
@@ -348,6 +544,24 @@ module.exports = function(context) {
             logger.trace(`retry data,`, JSON.stringify(retryData));
         }
 
+        //only the failed slices enqueued during recovery are processed, the slicer completes on its first call
+        if (job.jobConfig._retry_failed_of) {
+            return [function() {
+                return null;
+            }];
+        }
+
+        if (resumeCursors) {
+            return slicer.newSlicer(context, job, resumeCursors, slicerAnalytics, logger)
+        }
+
+        //a recovered slicer continues after the last slice of the previous run
+        retryData.forEach(function(data) {
+            if (data.lastSlice) {
+                cursors[data.slicer_id] = {slicer_id: data.slicer_id, slicer_order: data.lastSlicerOrder, last_request: data.lastSlice};
+            }
+        });
+
         return slicer.newSlicer(context, job, retryData, slicerAnalytics, logger)
     }
 
@@ -392,6 +606,7 @@ module.exports = function(context) {
             while (workerQueue.size() && slicerQueue.size()) {
                 var worker = workerQueue.dequeue();
                 var sliceData = slicerQueue.dequeue();
+                sliceStarts[worker.worker_id] = Date.now();
                 messaging.send(worker.worker_id, 'slicer:slice:new', {message: 'data', data: sliceData});
             }
 
@@ -413,7 +628,10 @@ module.exports = function(context) {
 
         //send message that job is in running state
         logger.info(`slicer: ${job.jobConfig.ex_id} has initialized`);
-        messaging.send({message: 'slicer:initialized', ex_id: job.jobConfig.ex_id});
+        messaging.send({message: 'slicer:initialized', ex_id: job.jobConfig.ex_id, resumed: restarts > 0});
+        startTimeoutChecker();
+        startMetricsReporter();
+        startCheckpoints();
 
         //provision the retry data to the slicerQueue if they exist
         if (retryData.length > 0) {
@@ -427,8 +645,74 @@ module.exports = function(context) {
         }
     }
 
+    function startTimeoutChecker() {
+        var jobConfig = job.jobConfig;
+        //a slicer that restarted by itself gets the start of the run from its checkpoint, a recovered or retried
+        //execution is a new run and its _started from a previous run is not used
+        firstStarted = firstStarted || new Date().toISOString();
+        var started = new Date(firstStarted).getTime();
+
+        if (!jobConfig.max_runtime && !jobConfig.stall_timeout) {
+            return;
+        }
+
+        lastProgress = Date.now();
+        timeoutChecker = setInterval(function() {
+            var reason = checkTimeouts(jobConfig, started, lastProgress, Date.now(), !engineCanRun);
+
+            if (reason) {
+                var lastProgressTime = moment(lastProgress).format(dateFormat);
+                var errMsg = `${reason}, last progress was at ${lastProgressTime}`;
+
+                clearInterval(timeoutChecker);
+                engineCanRun = false;
+                clearInterval(engine);
+                logger.error(`slicer: ${ex_id} ${errMsg}`);
+                messaging.send({message: 'job:error:terminal', error: errMsg, ex_id: ex_id, last_progress: lastProgressTime});
+            }
+        }, 1000);
+    }
+
+    function startMetricsReporter() {
+        metricsReporter = setInterval(function() {
+            if (job.jobConfig.lifecycle === 'once') {
+                updateProgress();
+            }
+
+            //a paused execution is not scaled
+            if (!engineCanRun) {
+                return;
+            }
+
+            var latency = sliceLatencies.length ? Math.round(_.mean(sliceLatencies)) : null;
+            sliceLatencies = [];
+
+            messaging.send({
+                message: 'slicer:metrics',
+                ex_id: ex_id,
+                job_id: job_id,
+                queued: slicerQueue.size(),
+                idle: workerQueue.size(),
+                active: messaging.getClientCounts() - workerQueue.size(),
+                latency: latency,
+                stats: slicerAnalytics
+            });
+        }, METRICS_INTERVAL);
+    }
+
+    function updateProgress() {
+        var now = Date.now();
+        var estimate = progressUtils.estimateProgress(progress, slicesMade, _.size(inFlight));
+
+        addSample(throughputSamples, {time: now, processed: slicerAnalytics.processed}, THROUGHPUT_SAMPLES);
+        slicerAnalytics.percent_complete = estimate.percent_complete;
+        slicerAnalytics.eta = progressUtils.estimateEta(estimate.remaining, progressUtils.throughput(throughputSamples), now);
+    }
+
     function startSlicer() {
-        Promise.resolve(slicerRecovery())
+        var recovery = process.env.__process_restart ? slicerResume : slicerRecovery;
+
+        Promise.resolve(recovery())
             .catch(terminalError)
             .then(slicerInit)
             .catch(slicerInitRetry)
@@ -441,6 +725,9 @@ module.exports = function(context) {
 
         engineCanRun = false;
         clearInterval(engine);
+        clearInterval(timeoutChecker);
+        clearInterval(metricsReporter);
+        clearInterval(checkpointer);
         //functionally job:stop acts like a regular shutdown
         events.emit('job:stop');
         var shutdownInterval = setInterval(function() {
@@ -528,7 +815,7 @@ module.exports = function(context) {
                 //keep state of slices doled out, removed at slice complete events
 
                 retryState[doc.slice_id] = true;
-                slicerQueue.enqueue(doc);
+                enqueueSlice(slicerQueue, doc);
             });
         }
 
@@ -572,6 +859,73 @@ module.exports = function(context) {
 
     }
 
+    // isNew marks a slice just made by its slicer, it becomes the cursor the slicer resumes from
+    function enqueueSlice(queue, slice, isNew) {
+        inFlight[slice.slice_id] = slice;
+        checkpointChanged = true;
+
+        if (isNew) {
+            slicesMade += 1;
+            cursors[slice.slicer_id] = {slicer_id: slice.slicer_id, slicer_order: slice.slicer_order, last_request: slice.request};
+        }
+
+        queue.enqueue(slice);
+    }
+
+    //size is read by the readers on every slice, the other changes are applied by the reader which reports them
+    //with slicer:tuned, or with slicer:relayout if the slicers have to be replaced
+    function applyTuning(change) {
+        if (change.size) {
+            job.jobConfig.operations[0].size = change.size;
+            recordTuning({operation: {size: change.size}});
+        }
+
+        events.emit('slicer:tune', change);
+    }
+
+    //the change is checkpointed and persisted to the execution so a recovery uses it
+    function recordTuning(change) {
+        if (change.slicers) {
+            tuning.slicers = change.slicers;
+        }
+
+        _.assign(tuning.operation, change.operation);
+        checkpointChanged = true;
+        messaging.send({message: 'slicer:job:tuned', ex_id: ex_id, slicers: change.slicers, operation: change.operation});
+    }
+
+    function startCheckpoints() {
+        saveCheckpoint();
+        checkpointer = setInterval(saveCheckpoint, context.sysconfig.teraslice.slicer_checkpoint_interval);
+    }
+
+    function saveCheckpoint() {
+        if (!checkpointChanged || lastCheckpoint && lastCheckpoint.isPending()) {
+            return;
+        }
+
+        checkpointChanged = false;
+        var checkpoint = checkpointUtils.buildCheckpoint(ex_id, totalSlicers, cursors, inFlight, restarts, tuning, firstStarted, new Date().toISOString());
+
+        lastCheckpoint = Promise.resolve(state_store.saveCheckpoint(checkpoint))
+            .catch(function(err) {
+                checkpointChanged = true;
+                var errMsg = parseError(err);
+                logger.error(`could not save the checkpoint of the slicer for ex_id: ${ex_id}`, errMsg);
+            });
+    }
+
+    function removeCheckpoint() {
+        Promise.resolve(lastCheckpoint)
+            .then(function() {
+                return state_store.removeCheckpoint(ex_id);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`could not remove the checkpoint of the slicer for ex_id: ${ex_id}`, errMsg);
+            });
+    }
+
     function checkJobState(jobConfig) {
         var query = 'ex_id:' + jobConfig.ex_id + ' AND state:error';
         return state_store.count(query, 0)
@@ -588,7 +942,7 @@ module.exports = function(context) {
 
     function persistent(slicer, slicerQueue, job, index) {
         var isProcessing = false;
-        var tracker = 0;
+        var tracker = cursors[index] ? cursors[index].slicer_order : 0;
 
         return function() {
 
@@ -611,7 +965,7 @@ module.exports = function(context) {
                                     };
 
                                     state_store.log(ex_id, slice, 'start');
-                                    slicerQueue.enqueue(slice);
+                                    enqueueSlice(slicerQueue, slice, true);
                                 });
 
                             }
@@ -625,7 +979,7 @@ module.exports = function(context) {
 
                                 state_store.log(ex_id, slice, 'start');
                                 logger.trace('enqueuing slice', slice);
-                                slicerQueue.enqueue(slice);
+                                enqueueSlice(slicerQueue, slice, true);
                             }
                         }
                         isProcessing = false;
@@ -644,7 +998,7 @@ module.exports = function(context) {
     function once(slicer, slicerQueue, job, index) {
         var hasCompleted = false;
         var isProcessing = false;
-        var tracker = 0;
+        var tracker = cursors[index] ? cursors[index].slicer_order : 0;
 
         return function() {
             if (!isProcessing) {
@@ -665,7 +1019,7 @@ module.exports = function(context) {
                                     };
 
                                     state_store.log(ex_id, slice, 'start');
-                                    slicerQueue.enqueue(slice);
+                                    enqueueSlice(slicerQueue, slice, true);
                                 });
 
                                 isProcessing = false;
@@ -680,7 +1034,7 @@ module.exports = function(context) {
 
                                 state_store.log(ex_id, slice, 'start');
                                 logger.trace('enqueuing slice', slice);
-                                slicerQueue.enqueue(slice);
+                                enqueueSlice(slicerQueue, slice, true);
                                 isProcessing = false;
                             }
                         }
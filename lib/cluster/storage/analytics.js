@@ -61,6 +61,18 @@ module.exports = function(context) {
         return backend.remove(record_id);
     }
 
+    function removeByQuery(query) {
+        return backend.removeByQuery(query);
+    }
+
+    function getPartitions() {
+        return backend.getPartitions();
+    }
+
+    function removePartition(partition) {
+        return backend.removePartition(partition);
+    }
+
     function shutdown() {
         logger.info("shutting down.");
         return backend.shutdown();
@@ -73,10 +85,13 @@ module.exports = function(context) {
         create: create,
         update: update,
         remove: remove,
+        removeByQuery: removeByQuery,
+        getPartitions: getPartitions,
+        removePartition: removePartition,
         shutdown: shutdown
     };
 
-    return require('./backends/elasticsearch_store')(context, index_name, 'analytics', '_id')
+    return require('./backends/elasticsearch_store')(context, index_name, 'analytics', '_id', null, false, config.index_rotation)
         .then(function(elasticsearch) {
             logger.info("AnalyticsStorage: initializing");
             backend = elasticsearch;
@@ -3,8 +3,11 @@
 var fs = require('fs');
 var _ = require('lodash');
 var parseError = require('../../../utils/error_utils').parseError;
+var rotationUtils = require('../../../utils/rotation_utils');
 
-module.exports = function(context, index_name, record_type, id_field, bulk_size, full_response) {
+// when rotation is daily or monthly, records are written to time partitions of the index and index_name
+// becomes an alias over all of them that is used for reads
+module.exports = function(context, index_name, record_type, id_field, bulk_size, full_response, rotation) {
     var logger = context.foundation.makeLogger('elasticsearch_backend', 'elasticsearch_backend', {module: 'elasticsearch_backend'});
     var config = context.sysconfig.teraslice;
     var elasticsearch;
@@ -18,6 +21,13 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
     var bulkSize = 500;
     if (bulk_size) bulkSize = bulk_size;
 
+    var isRotated = rotationUtils.isRotated(rotation);
+
+    // the index new records are written to, date picks the partition of a record that was created earlier
+    function _writeIndex(date) {
+        return rotationUtils.partitionName(index_name, rotation, date || new Date());
+    }
+
     function get(record_id) {
         logger.trace(`getting record id: ${record_id}`);
         let query = {
@@ -58,7 +68,7 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
     function index(record) {
         logger.trace(`indexing record`, record);
         let query = {
-            index: index_name,
+            index: _writeIndex(),
             type: record_type,
             body: record,
             refresh: true
@@ -69,12 +79,13 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
 
     /*
      * index saves a record to elasticsearch with a specified ID.
-     * If the document is already there it will be replaced.
+     * If the document is already there it will be replaced. On a rotated index,
+     * date has to be the time the record was first written so it stays in the same partition
      */
-    function indexWithId(record_id, record) {
+    function indexWithId(record_id, record, date) {
         logger.trace(`indexWithId call with id: ${record_id}, record`, record);
         let query = {
-            index: index_name,
+            index: _writeIndex(date),
             type: record_type,
             id: record_id,
             body: record,
@@ -92,7 +103,7 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
         logger.trace('creating record', record);
 
         let query = {
-            index: index_name,
+            index: _writeIndex(),
             type: record_type,
             id: record[id_field],
             body: record,
@@ -102,6 +113,24 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
         return elasticsearch.create(query);
     }
 
+    /*
+     * same as create, for records that do not hold their own id. Rejects with a
+     * status of 409 if a record with the id already exists
+     */
+    function createWithId(record_id, record) {
+        logger.trace(`createWithId call with id: ${record_id}, record`, record);
+
+        let query = {
+            index: _writeIndex(),
+            type: record_type,
+            id: record_id,
+            body: record,
+            refresh: true
+        };
+
+        return elasticsearch.create(query);
+    }
+
     function count(query, from, sort) {
         var esQuery = {
             index: index_name,
@@ -149,12 +178,93 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
         return elasticsearch.remove(query)
     }
 
+    /*
+     * removes every record matching the lucene query, resolves the number of records that were removed
+     */
+    function removeByQuery(query) {
+        logger.trace(`removing records matching query: ${query}`);
+        let esQuery = {
+            index: index_name,
+            type: record_type,
+            q: query,
+            conflicts: 'proceed',
+            refresh: true
+        };
+
+        return Promise.resolve(client.deleteByQuery(esQuery))
+            .then(function(results) {
+                return results.deleted;
+            });
+    }
+
+    /*
+     * returns a page of the records matching the lucene query sorted by sort_field, with _uid breaking ties.
+     * after is the sort values of the last record of the previous page, resolves {total, records, after}
+     * where after is null once there are no more pages
+     */
+    function searchAfter(query, size, sort_field, order, after) {
+        var body = {
+            query: {query_string: {query: query}},
+            size: size,
+            sort: [{[sort_field]: order}, {_uid: order}]
+        };
+
+        if (after) {
+            body.search_after = after;
+        }
+
+        return Promise.resolve(client.search({index: index_name, body: body}))
+            .then(function(results) {
+                var hits = results.hits.hits;
+
+                return {
+                    total: results.hits.total,
+                    records: hits.map(hit => hit._source),
+                    after: hits.length === size ? hits[hits.length - 1].sort : null
+                };
+            });
+    }
+
+    // names of the partitions of a rotated index, oldest first
+    function getPartitions() {
+        if (!isRotated) {
+            return Promise.resolve([]);
+        }
+
+        return Promise.resolve(client.indices.getAlias({name: index_name}))
+            .then(function(results) {
+                return Object.keys(results).sort();
+            });
+    }
+
+    function removePartition(partition) {
+        logger.info(`removing partition ${partition} of index ${index_name}`);
+        return Promise.resolve(client.indices.delete({index: partition}));
+    }
+
+    // query can be a lucene string or a query body
+    function countPartition(partition, query) {
+        var esQuery = {index: partition};
+
+        if (typeof query === 'string') {
+            esQuery.q = query
+        }
+        else {
+            esQuery.body = query
+        }
+
+        return Promise.resolve(client.count(esQuery))
+            .then(function(results) {
+                return results.count;
+            });
+    }
+
     function bulk(record, type) {
         if (!type) type = 'index';
 
         var indexRequest = {};
         indexRequest[type] = {
-            _index: index_name,
+            _index: _writeIndex(),
             _type: record_type
         };
 
@@ -231,7 +341,54 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
         })
     }
 
+    // partitions are created by elasticsearch on their first write from a template that adds them to the alias,
+    // the current partition is created up front so the alias can be searched right away
+    function _createRotatedIndex() {
+        var mapping = getMapFile();
+        var aliases = {};
+        aliases[index_name] = {};
+
+        return Promise.resolve(client.indices.existsAlias({name: index_name}))
+            .then(function(aliasExists) {
+                if (aliasExists) {
+                    return true;
+                }
+
+                return elasticsearch.index_exists({index: index_name})
+                    .then(function(exists) {
+                        if (exists) {
+                            return Promise.reject(`index ${index_name} already exists as a single index, it must be removed or reindexed before index_rotation can be used`);
+                        }
+                    });
+            })
+            .then(function() {
+                return client.indices.putTemplate({
+                    name: index_name,
+                    body: _.assign({}, mapping, {template: `${index_name}-*`, aliases: aliases})
+                });
+            })
+            .then(function() {
+                var partition = _writeIndex();
+
+                return elasticsearch.index_exists({index: partition})
+                    .then(function(exists) {
+                        if (!exists) {
+                            return elasticsearch.index_create({index: partition})
+                                .catch(function(err) {
+                                    if (err.match(/index_already_exists_exception/) === null) {
+                                        return Promise.reject(`Could not create index: ${partition}, error: ${parseError(err)}`);
+                                    }
+                                });
+                        }
+                    });
+            });
+    }
+
     function _createIndex() {
+        if (isRotated) {
+            return _createRotatedIndex();
+        }
+
         var existQuery = {index: index_name};
 
         return elasticsearch.index_exists(existQuery)
@@ -259,9 +416,33 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
                         });
                 }
 
-                // Index already exists. nothing to do.
+                return _updateMapping();
+            })
+    }
+
+    // an index created by an older version is missing the fields that were added to the mapping since, new fields
+    // can be added to an existing mapping so they are searchable on the records written from now on
+    function _updateMapping() {
+        var mapping = getMapFile();
+
+        if (!mapping.mappings[record_type]) {
+            return Promise.resolve(true);
+        }
+
+        return Promise.resolve(client.indices.putMapping({
+            index: index_name,
+            type: record_type,
+            body: mapping.mappings[record_type]
+        }))
+            .then(function() {
                 return true;
             })
+            .catch(function(err) {
+                //a field whose type changed cannot be updated in place, the index keeps working with its old mapping
+                var errMsg = parseError(err);
+                logger.error(`Could not update the mapping of index: ${index_name}, error: ${errMsg}`);
+                return true;
+            });
     }
 
     function refresh() {
@@ -277,13 +458,19 @@ module.exports = function(context, index_name, record_type, id_field, bulk_size,
     var api = {
         get: get,
         search: search,
+        searchAfter: searchAfter,
         refresh: refresh,
         index: index,
         indexWithId: indexWithId,
         create: create,
+        createWithId: createWithId,
         update: update,
         bulk: bulk,
         remove: remove,
+        removeByQuery: removeByQuery,
+        getPartitions: getPartitions,
+        removePartition: removePartition,
+        countPartition: countPartition,
         shutdown: shutdown,
         count: count
     };
@@ -26,6 +26,11 @@ module.exports = function(context, jobType) {
         return backend.search(query, from, size, sort);
     }
 
+    // pages through the records matching the query by creation time, see the searchAfter of the backend
+    function searchAfter(query, size, order, after) {
+        return backend.searchAfter(query, size, '_created', order, after);
+    }
+
     function getExecutionContexts(status, from, size, sort) {
         var query = '_context:ex';
 
@@ -35,7 +40,7 @@ module.exports = function(context, jobType) {
     }
 
     function getJobs(from, size, sort) {
-        var query = 'job_id:* NOT ex_id:*';
+        var query = 'job_id:* NOT ex_id:* NOT _context:revision';
         return backend.search(query, from, size, sort);
     }
 
@@ -56,16 +61,62 @@ module.exports = function(context, jobType) {
         return backend.create(record)
     }
 
+    // replaces the whole record, unlike update which merges the fields given into the record
+    function replace(record_id, record) {
+        record._updated = new Date();
+
+        return backend.indexWithId(record_id, record);
+    }
+
+    // revisions of a job spec are kept in the jobs index next to the job itself
+    function createRevision(job_id, revision, spec) {
+        var record = {
+            job_id: job_id,
+            _context: 'revision',
+            _revision: revision,
+            _created: new Date(),
+            spec: spec
+        };
+
+        return backend.indexWithId(`${job_id}__rev${revision}`, record)
+            .then(function() {
+                return record;
+            });
+    }
+
+    function getRevision(job_id, revision) {
+        return backend.get(`${job_id}__rev${revision}`);
+    }
+
+    // unmapped_type keeps the sort working on an index whose mapping has not been updated with _revision yet
+    function getRevisions(job_id, from, size) {
+        var query = {
+            query: {query_string: {query: `_context:revision AND job_id:${job_id}`}},
+            sort: [{_revision: {order: 'desc', unmapped_type: 'integer'}}]
+        };
+
+        return backend.search(query, from, size);
+    }
+
     function update(record_id, update_spec) {
         update_spec._updated = new Date();
 
         return backend.update(record_id, update_spec);
     }
 
+    // bookkeeping of the cron schedule of a job, it is not a change of the job so _updated is left as it is
+    function setScheduleChecked(job_id, time) {
+        return backend.update(job_id, {_schedule_checked: time});
+    }
+
     function remove(record_id) {
         return backend.remove(record_id);
     }
 
+    function removeByQuery(query) {
+        return backend.removeByQuery(query);
+    }
+
     function shutdown() {
         logger.info("shutting down.");
         return backend.shutdown();
@@ -78,11 +129,18 @@ module.exports = function(context, jobType) {
     var api = {
         get: get,
         search: search,
+        searchAfter: searchAfter,
         getJobs: getJobs,
         getExecutionContexts: getExecutionContexts,
         create: create,
         update: update,
+        setScheduleChecked: setScheduleChecked,
+        replace: replace,
         remove: remove,
+        removeByQuery: removeByQuery,
+        createRevision: createRevision,
+        getRevision: getRevision,
+        getRevisions: getRevisions,
         shutdown: shutdown,
         getJobStateRecords: getJobStateRecords
     };
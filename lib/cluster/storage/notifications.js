@@ -0,0 +1,48 @@
+'use strict';
+
+// Module to manage the delivery log of webhook notifications in Elasticsearch, there is one record per
+// notification that is updated after every delivery attempt.
+// All functions in this module return promises that must be resolved to
+// get the final result.
+module.exports = function(context) {
+    var logger = context.foundation.makeLogger('notifications_storage', 'notifications_storage', {module: 'notifications_storage'});
+    var config = context.sysconfig.teraslice;
+    var index_name = `${config.name}__notifications`;
+
+    var backend;
+
+    function create(record) {
+        return backend.indexWithId(record.delivery_id, record)
+            .then(function() {
+                return record;
+            });
+    }
+
+    function update(delivery_id, update_spec) {
+        return backend.update(delivery_id, update_spec);
+    }
+
+    function search(query, from, size, sort) {
+        return backend.search(query, from, size, sort);
+    }
+
+    function shutdown() {
+        logger.info("shutting down.");
+        return backend.shutdown();
+    }
+
+    var api = {
+        create: create,
+        update: update,
+        search: search,
+        shutdown: shutdown
+    };
+
+    return require('./backends/elasticsearch_store')(context, index_name, 'notification', 'delivery_id')
+        .then(function(elasticsearch) {
+            logger.info("initializing");
+            backend = elasticsearch;
+
+            return api;
+        });
+};
@@ -3,6 +3,8 @@
 var Promise = require('bluebird');
 var parseError = require('../../utils/error_utils').parseError;
 
+var FAILED_PAGE_SIZE = 1000;
+
 // Module to manager job states in Elasticsearch.
 // All functions in this module return promises that must be resolved to
 // get the final result.
@@ -11,13 +13,22 @@ module.exports = function(context) {
     var config = context.sysconfig.teraslice;
 
     var index_name = `${config.name}__state`;
+    var checkpoint_index = `${config.name}__checkpoints`;
 
     var backend;
+    var checkpointBackend;
 
     function log(ex_id, slice, state, error) {
         var timestamp = new Date().toISOString();
+
+        //the first write of a slice sets when it was created so later writes go to the same partition of the index
+        if (!slice._created) {
+            slice._created = timestamp;
+        }
+
         var record = {
             '@timestamp': timestamp,
+            _created: slice._created,
             slice_id: slice.slice_id,
             slicer_id: slice.slicer_id,
             slicer_order: slice.slicer_order,
@@ -26,12 +37,17 @@ module.exports = function(context) {
             ex_id: ex_id
         };
 
+        //slices of an execution that retries the failed slices of another keep the slice they retry
+        if (slice.retry_of) {
+            record.retry_of = slice.retry_of;
+        }
+
         if (error) {
             var errMsg = typeof error === 'string' ? error : JSON.stringify(error);
             record.error = errMsg;
         }
 
-        return backend.indexWithId(slice.slice_id, record);
+        return backend.indexWithId(slice.slice_id, record, slice._created);
     }
 
     function recoveryContext(ex_id, slicer_id) {
@@ -48,7 +64,8 @@ module.exports = function(context) {
                     return {
                         slice_id: doc.slice_id,
                         slicer_id: doc.slicer_id,
-                        request: JSON.parse(doc.request)
+                        request: JSON.parse(doc.request),
+                        _created: doc._created
                     }
                 });
                 var recoveryContext = {
@@ -63,6 +80,7 @@ module.exports = function(context) {
                     .then(function(results) {
                         if (results.length > 0) {
                             recoveryContext.lastSlice = JSON.parse(results[0].request);
+                            recoveryContext.lastSlicerOrder = results[0].slicer_order;
                             logger.debug(`last slice process for slicer_id ${slicer_id}, ex_id: ${ex_id} is`, recoveryContext.lastSlice)
                         }
 
@@ -81,6 +99,53 @@ module.exports = function(context) {
             });
     }
 
+    // all the records of the execution that are in the error state, in the order they were sliced
+    function failedSlices(ex_id) {
+        var query = `ex_id:${ex_id} AND state:error`;
+        var records = [];
+
+        function nextPage(after) {
+            return Promise.resolve(backend.searchAfter(query, FAILED_PAGE_SIZE, 'slicer_order', 'asc', after))
+                .then(function(page) {
+                    records = records.concat(page.records);
+                    return page.after ? nextPage(page.after) : records;
+                });
+        }
+
+        return backend.refresh()
+            .then(function() {
+                return nextPage(null);
+            })
+            .catch(function(err) {
+                var errMsg = parseError(err);
+                logger.error(`StateStorage: could not get the failed slices of ex_id: ${ex_id}, error: ${errMsg}`);
+                return Promise.reject(errMsg)
+            });
+    }
+
+    // the slicer of an execution keeps one checkpoint that it resumes from if its process restarts
+    function saveCheckpoint(checkpoint) {
+        return checkpointBackend.indexWithId(checkpoint.ex_id, checkpoint);
+    }
+
+    // resolves null if the execution has no checkpoint, a get is realtime so a checkpoint that was just saved is found
+    function getCheckpoint(ex_id) {
+        return checkpointBackend.get(ex_id)
+            .catch(function(err) {
+                if (err && (err.status === 404 || (err.body && err.body.found === false))) {
+                    return null;
+                }
+
+                var errMsg = parseError(err);
+                logger.error(`StateStorage: could not get the checkpoint of ex_id: ${ex_id}, error: ${errMsg}`);
+                return Promise.reject(errMsg);
+            });
+    }
+
+    function removeCheckpoint(ex_id) {
+        return checkpointBackend.removeByQuery(`ex_id:${ex_id}`);
+    }
+
     function search(query, from, size, sort) {
         return backend.search(query, from, size, sort);
     }
@@ -89,23 +154,51 @@ module.exports = function(context) {
         return backend.count(query, from, sort)
     }
 
+    function removeByQuery(query) {
+        return backend.removeByQuery(query);
+    }
+
+    function getPartitions() {
+        return backend.getPartitions();
+    }
+
+    function removePartition(partition) {
+        return backend.removePartition(partition);
+    }
+
+    function countPartition(partition, query) {
+        return backend.countPartition(partition, query);
+    }
+
     function shutdown() {
         logger.info("shutting down.");
-        return backend.shutdown();
+        return Promise.all([backend.shutdown(), checkpointBackend.shutdown()]);
     }
 
     var api = {
         search: search,
         log: log,
         recoveryContext: recoveryContext,
+        failedSlices: failedSlices,
+        saveCheckpoint: saveCheckpoint,
+        getCheckpoint: getCheckpoint,
+        removeCheckpoint: removeCheckpoint,
         count: count,
+        removeByQuery: removeByQuery,
+        getPartitions: getPartitions,
+        removePartition: removePartition,
+        countPartition: countPartition,
         shutdown: shutdown
     };
 
-    return require('./backends/elasticsearch_store')(context, index_name, 'state', '_id')
-        .then(function(elasticsearch) {
+    return Promise.all([
+        require('./backends/elasticsearch_store')(context, index_name, 'state', '_id', null, false, config.index_rotation),
+        require('./backends/elasticsearch_store')(context, checkpoint_index, 'checkpoint', 'ex_id')
+    ])
+        .spread(function(elasticsearch, checkpointElasticsearch) {
             logger.info("initializing");
             backend = elasticsearch;
+            checkpointBackend = checkpointElasticsearch;
 
             return api;
         });
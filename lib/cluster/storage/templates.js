@@ -0,0 +1,94 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+// saves of the same template that are made at the same time each retry with the next version up to this many times
+var MAX_SAVE_ATTEMPTS = 5;
+
+// Module to manage job templates in Elasticsearch, every save of a template is stored as a new version.
+// All functions in this module return promises that must be resolved to
+// get the final result.
+module.exports = function(context) {
+    var logger = context.foundation.makeLogger('templates_storage', 'templates_storage', {module: 'templates_storage'});
+    var config = context.sysconfig.teraslice;
+    var index_name = `${config.name}__templates`;
+
+    var backend;
+
+    function getLatestVersion(name) {
+        return backend.search(`name:${name}`, null, 1, 'version:desc')
+            .then(function(results) {
+                return results.length > 0 ? results[0].version : 0;
+            });
+    }
+
+    function save(template) {
+        return getLatestVersion(template.name)
+            .then(latest => _createVersion(template, latest + 1, 1));
+    }
+
+    // versions are created rather than indexed, a save that lost a race for the version takes the next one
+    function _createVersion(template, version, attempt) {
+        var record = {
+            name: template.name,
+            version: version,
+            description: template.description || '',
+            parameters: template.parameters || {},
+            job: template.job,
+            latest: true,
+            _created: new Date()
+        };
+
+        return backend.createWithId(`${record.name}__v${record.version}`, record)
+            .then(function() {
+                //only the latest version of each template is listed by default
+                var marked = record.version > 1 ? backend.update(`${record.name}__v${record.version - 1}`, {latest: false}) : null;
+                return Promise.resolve(marked).return(record);
+            }, function(err) {
+                if (err && err.status === 409 && attempt < MAX_SAVE_ATTEMPTS) {
+                    logger.debug(`version: ${version} of template: ${template.name} was saved by another request, trying version: ${version + 1}`);
+                    return _createVersion(template, version + 1, attempt + 1);
+                }
+                return Promise.reject(err);
+            });
+    }
+
+    // returns the latest version of the template if no version is given
+    function get(name, version) {
+        if (version) {
+            return backend.get(`${name}__v${version}`);
+        }
+
+        return backend.search(`name:${name}`, null, 1, 'version:desc')
+            .then(function(results) {
+                if (results.length === 0) {
+                    return Promise.reject(`template: ${name} was not found`);
+                }
+                return results[0];
+            });
+    }
+
+    function search(query, from, size, sort) {
+        return backend.search(query, from, size, sort);
+    }
+
+    function shutdown() {
+        logger.info("shutting down.");
+        return backend.shutdown();
+    }
+
+    var api = {
+        save: save,
+        get: get,
+        search: search,
+        shutdown: shutdown
+    };
+
+    return require('./backends/elasticsearch_store')(context, index_name, 'template', '_id')
+        .then(function(elasticsearch) {
+            logger.info("initializing");
+            backend = elasticsearch;
+
+            return api;
+        });
+};
@@ -3,6 +3,11 @@
 var cpuCount = require('os').cpus().length;
 var workers = cpuCount < 5 ? cpuCount : 5;
 var _ = require('lodash');
+var validateCron = require('../../utils/cron_utils').validateCron;
+var validateRetryPolicy = require('../../utils/retry_utils').validateRetryPolicy;
+var timeoutFormat = require('../../utils/timeout_utils').timeoutFormat;
+var validatePlacement = require('../../utils/placement_utils').validatePlacement;
+var validateTargets = require('../../utils/notification_utils').validateTargets;
 
 function jobSchema(context) {
     return {
@@ -72,6 +77,71 @@ function jobSchema(context) {
                 }
             }
         },
+        min_workers: {
+            doc: 'the least number of workers the execution is scaled down to when autoscaling, defaults to one',
+            default: null,
+            format: function(val) {
+                if (val !== null && (!Number.isInteger(val) || val < 1)) {
+                    throw new Error('min_workers for job must be an integer >= one')
+                }
+            }
+        },
+        max_workers: {
+            doc: 'enables autoscaling of the workers of the execution between min_workers and max_workers, ' +
+            'workers is used as the starting number of workers',
+            default: null,
+            format: function(val) {
+                if (val !== null && (!Number.isInteger(val) || val < 1)) {
+                    throw new Error('max_workers for job must be an integer >= one')
+                }
+            }
+        },
+        share_weight: {
+            doc: 'weight of the job when executions compete for workers, an execution with a weight of 2 is entitled ' +
+            'to twice the workers of an execution with a weight of 1',
+            default: 1,
+            format: function(val) {
+                if (typeof val !== 'number' || val <= 0) {
+                    throw new Error('share_weight for job must be a number greater than zero')
+                }
+            }
+        },
+        team: {
+            doc: 'team the job belongs to, executions of a team split the share of workers given to that team',
+            default: null,
+            format: function(val) {
+                if (val !== null && typeof val !== 'string') {
+                    throw new Error('team for job must be a string')
+                }
+            }
+        },
+        tags: {
+            doc: 'array of strings used to group and find jobs, the executions of the job are tagged the same',
+            default: [],
+            format: function(val) {
+                if (!Array.isArray(val) || !_.every(val, tag => typeof tag === 'string' && tag.length > 0)) {
+                    throw new Error('tags for job must be an array of non-empty strings')
+                }
+            }
+        },
+        owner: {
+            doc: 'person or team that is responsible for the job',
+            default: null,
+            format: function(val) {
+                if (val !== null && typeof val !== 'string') {
+                    throw new Error('owner for job must be a string')
+                }
+            }
+        },
+        metadata: {
+            doc: 'object of free-form information about the job, its fields can be used to find the job and its executions',
+            default: {},
+            format: function(val) {
+                if (!_.isPlainObject(val)) {
+                    throw new Error('metadata for job must be an object')
+                }
+            }
+        },
         operations: {
             doc: 'An array of actions to execute, typically the first is a reader and the last is a sender with ' +
             'any number of processing function in-between',
@@ -97,6 +167,81 @@ function jobSchema(context) {
                 }
             }
         },
+        schedule: {
+            doc: 'cron expression (minute hour day-of-month month day-of-week) used to automatically start the job',
+            default: null,
+            format: function(val) {
+                if (val !== null) {
+                    if (typeof val !== 'string') {
+                        throw new Error('schedule for job must be a cron expression string')
+                    }
+                    validateCron(val);
+                }
+            }
+        },
+        priority: {
+            doc: 'Jobs with a higher priority are scheduled before jobs with a lower priority, jobs of the same priority are scheduled in the order they were started',
+            default: 0,
+            format: function(val) {
+                if (!Number.isInteger(val)) {
+                    throw new Error('priority for job must be an integer')
+                }
+            }
+        },
+        depends_on: {
+            doc: 'An array of job_ids that must all complete before this job is automatically started',
+            default: null,
+            format: function(arr) {
+                if (arr !== null) {
+                    if (!(Array.isArray(arr))) {
+                        throw new Error('depends_on needs to be of type array')
+                    }
+                    if (!arr.every(val => typeof val === 'string')) {
+                        throw new Error('depends_on needs to be an array of job_id strings')
+                    }
+                }
+            }
+        },
+        max_runtime: {
+            doc: 'time in milliseconds that an execution may run before it is stopped and marked as failed',
+            default: null,
+            format: timeoutFormat('max_runtime')
+        },
+        stall_timeout: {
+            doc: 'time in milliseconds that an execution may go without completing a slice before it is stopped and marked as failed',
+            default: null,
+            format: timeoutFormat('stall_timeout')
+        },
+        retry_policy: {
+            doc: 'Automatically re-executes the job when an execution fails, ' +
+            'an object of {max_attempts, backoff, multiplier, max_backoff, retry_on, mode}',
+            default: null,
+            format: function(policy) {
+                if (policy !== null) {
+                    validateRetryPolicy(policy);
+                }
+            }
+        },
+        placement: {
+            doc: 'Restricts which nodes run the slicer and workers of the job, ' +
+            'an object of {constraints, preferences} that are matched against the labels of each node',
+            default: null,
+            format: function(placement) {
+                if (placement !== null) {
+                    validatePlacement(placement);
+                }
+            }
+        },
+        notifications: {
+            doc: 'array of webhook targets, {url, statuses, secret, max_attempts, backoff}, that are sent a signed ' +
+            'POST when an execution of the job changes to one of the statuses, an empty statuses array matches every status',
+            default: null,
+            format: function(targets) {
+                if (targets !== null) {
+                    validateTargets(targets);
+                }
+            }
+        },
         moderator: {
             doc: 'specify on job if it is to be moderated to not overwhelm their respective databases',
             default: null,
@@ -1,6 +1,8 @@
 'use strict';
 var _ = require('lodash');
 var path = require('path');
+var ROTATION_OPTIONS = require('../../utils/rotation_utils').ROTATION_OPTIONS;
+var validateTargets = require('../../utils/notification_utils').validateTargets;
 
 var ip = _.chain(require('os').networkInterfaces())
     .values()
@@ -62,6 +64,15 @@ var schema = {
             }
         }
     },
+    labels: {
+        doc: 'object of label => value describing this node, used by the placement constraints and preferences of jobs',
+        default: {},
+        format: function(val) {
+            if (!_.isPlainObject(val) || !_.every(val, label => typeof label === 'string')) {
+                throw new Error('labels parameter for teraslice must be an object of string values')
+            }
+        }
+    },
     master: {
         doc: 'boolean for determining if cluster_master should live on this node',
         default: false,
@@ -136,6 +147,29 @@ var schema = {
             }
         }
     },
+    slicer_checkpoint_interval: {
+        doc: 'time in milliseconds between the checkpoints a slicer saves of its progress, a slicer that crashes is restarted and resumes from its last checkpoint',
+        default: 5000,
+        format: function(val) {
+            if (isNaN(val)) {
+                throw new Error('slicer_checkpoint_interval parameter for teraslice must be a number')
+            }
+            else {
+                if (val <= 0) {
+                    throw new Error('slicer_checkpoint_interval parameter for teraslice must be greater than zero')
+                }
+            }
+        }
+    },
+    slicer_max_restarts: {
+        doc: 'number of times the slicer of an execution can crash and resume from its checkpoint before the execution is failed',
+        default: 3,
+        format: function(val) {
+            if (!Number.isInteger(val) || val < 0) {
+                throw new Error('slicer_max_restarts parameter for teraslice must be an integer >= zero')
+            }
+        }
+    },
     slicer_port_range: {
         doc: 'range of ports that slicers will use per node',
         default: '45679:46678',
@@ -152,6 +186,111 @@ var schema = {
 
         }
     },
+    node_reconnect_wait: {
+        doc: 'time in milliseconds that the cluster_master waits on startup for node_masters to report their state before reconciling executions that were active when it went down',
+        default: 20000,
+        format: function(val) {
+            if (isNaN(val)) {
+                throw new Error('node_reconnect_wait parameter for teraslice must be a number')
+            }
+            else {
+                if (val < 0) {
+                    throw new Error('node_reconnect_wait parameter for teraslice must be zero or greater')
+                }
+            }
+        }
+    },
+    autoscale_cooldown: {
+        doc: 'time in milliseconds that the cluster_master waits after scaling the workers of an execution before it can be scaled again',
+        default: 30000,
+        format: function(val) {
+            if (isNaN(val)) {
+                throw new Error('autoscale_cooldown parameter for teraslice must be a number')
+            }
+            else {
+                if (val < 0) {
+                    throw new Error('autoscale_cooldown parameter for teraslice must be zero or greater')
+                }
+            }
+        }
+    },
+    team_weights: {
+        doc: 'object of team => weight used to split the workers of the cluster between teams, teams that are not listed have a weight of 1',
+        default: {},
+        format: function(val) {
+            if (!_.isPlainObject(val) || !_.every(val, weight => typeof weight === 'number' && weight > 0)) {
+                throw new Error('team_weights parameter for teraslice must be an object of numbers greater than zero')
+            }
+        }
+    },
+    fair_share_interval: {
+        doc: 'time in milliseconds between checks that reclaim workers from executions that are over their fair share while others are waiting for workers. Set to 0 to disable',
+        default: 30000,
+        format: function(val) {
+            if (isNaN(val)) {
+                throw new Error('fair_share_interval parameter for teraslice must be a number')
+            }
+            else {
+                if (val < 0) {
+                    throw new Error('fair_share_interval parameter for teraslice must be zero or greater')
+                }
+            }
+        }
+    },
+    index_rotation: {
+        doc: 'splits the state and analytics indices into time partitions behind an alias, one of: none, daily, monthly',
+        default: 'none',
+        format: ROTATION_OPTIONS
+    },
+    index_retention_days: {
+        doc: 'number of days the partitions of the state and analytics indices are kept when index_rotation is used. Set to 0 to keep them forever',
+        default: 0,
+        format: function(val) {
+            if (isNaN(val)) {
+                throw new Error('index_retention_days parameter for teraslice must be a number')
+            }
+            else {
+                if (val < 0) {
+                    throw new Error('index_retention_days parameter for teraslice must be zero or greater')
+                }
+            }
+        }
+    },
+    notifications: {
+        doc: 'array of webhook targets, {url, statuses, secret, max_attempts, backoff}, that are notified of the status changes of every execution on the cluster',
+        default: [],
+        format: function(targets) {
+            validateTargets(targets);
+        }
+    },
+    notification_secret: {
+        doc: 'secret used to sign the payload of notification targets that do not set their own secret, payloads are not signed if neither is set',
+        default: null,
+        format: 'optional_String'
+    },
+    max_concurrent_allocations: {
+        doc: 'number of pending executions that can have their slicer and workers allocated at the same time',
+        default: 5,
+        format: function(val) {
+            if (!Number.isInteger(val) || val < 1) {
+                throw new Error('max_concurrent_allocations parameter for teraslice must be an integer >= one')
+            }
+        }
+    },
+    priority_aging_interval: {
+        doc: 'time in milliseconds that a pending job has to wait to gain one priority level, used to keep low priority jobs from waiting forever. Set to 0 to disable',
+        default: 60000,
+        format: function(val) {
+            if (isNaN(val)) {
+                throw new Error('priority_aging_interval parameter for teraslice must be a number')
+            }
+            else {
+                if (val < 0) {
+                    throw new Error('priority_aging_interval parameter for teraslice must be zero or greater')
+                }
+            }
+        }
+    },
     moderator: {
         doc: 'boolean for determining if moderator should live on this node',
         default: false,
@@ -32,8 +32,35 @@ function validateConfig(inputSchema, inputConfig) {
     return config.getProperties();
 }
 
+/**
+ * Same as validateConfig, but instead of throwing, the error of every field that failed
+ * validation is returned along with the config that has the defaults applied.
+ * @param  {Object} inputSchema a convict compatible schema
+ * @param  {Object} inputConfig a jobConfig or opConfig object
+ * @return {Object}             {config: Object, errors: [{field: String, message: String}]}
+ */
+function collectConfigErrors(inputSchema, inputConfig) {
+    var schema = inputConfig._op ? _.merge(inputSchema, commonSchema) : inputSchema;
+    var config = convict(schema);
+    var errors = [];
+
+    try {
+        config.load(inputConfig);
+        config.validate();
+    } catch (err) {
+        // convict joins the errors of each field with a newline, ie. "workers: must be a number: value was \"a\""
+        errors = err.message.split('\n').map(function(line) {
+            var match = line.match(/^([\w.]+): (.*)$/);
+            return match ? {field: match[1], message: match[2]} : {field: null, message: line};
+        });
+    }
+
+    return {config: config.getProperties(), errors: errors};
+}
+
 module.exports = function() {
     return {
-        validateConfig: validateConfig
+        validateConfig: validateConfig,
+        collectConfigErrors: collectConfigErrors
     };
 };
@@ -4,6 +4,7 @@ var _ = require('lodash');
 var convict = require('convict');
 var convictFormats = require('../../utils/convict_utils');
 var configValidator = require('./config')();
+var validateWorkerBounds = require('../../utils/autoscale_utils').validateWorkerBounds;
 
 
 module.exports = function(context) {
@@ -29,6 +30,7 @@ module.exports = function(context) {
         var topLevelJobValidators = [];
         //top level job validation occurs, but not operations
         validJob = configValidator.validateConfig(jobSchema, validJob);
+        validateWorkerBounds(validJob);
 
         validJob.operations = job.operations.map(function(opConfig) {
             var operation = op_runner.load(opConfig._op, assetPath, jobAssets);
@@ -53,6 +55,87 @@ module.exports = function(context) {
         return validJob;
     }
 
+    // Same as validate, but every error found is collected instead of throwing on the first one.
+    // Returns the job with all default parameters expanded along with the errors.
+    function validateAll(job) {
+        var assetPath = job.assets ? context.sysconfig.teraslice.assets_directory : null;
+        var jobAssets = job.assets;
+        var errors = [];
+        var topLevelJobValidators = [];
+
+        var results = configValidator.collectConfigErrors(jobSchema, _.cloneDeep(job));
+        var validJob = results.config;
+
+        results.errors.forEach(function(err) {
+            errors.push({path: err.field, message: err.message});
+        });
+
+        if (results.errors.length === 0) {
+            try {
+                validateWorkerBounds(validJob);
+            }
+            catch (err) {
+                errors.push({path: 'max_workers', message: err.message});
+            }
+        }
+
+        if (Array.isArray(job.operations)) {
+            validJob.operations = job.operations.map(function(opConfig, index) {
+                var path = `operations[${index}]`;
+                var operation;
+
+                if (!_.isPlainObject(opConfig)) {
+                    errors.push({path: path, message: 'operation must be an object with an _op'});
+                    return opConfig;
+                }
+
+                try {
+                    operation = op_runner.load(opConfig._op, assetPath, jobAssets);
+                    hasSchema(operation, opConfig._op);
+                }
+                catch (err) {
+                    errors.push({path: path, op: opConfig._op, message: err.message || err});
+                    return opConfig;
+                }
+
+                var opResults = configValidator.collectConfigErrors(operation.schema(), opConfig);
+
+                opResults.errors.forEach(function(err) {
+                    errors.push({path: err.field ? `${path}.${err.field}` : path, op: opConfig._op, message: err.message});
+                });
+
+                if (opResults.errors.length === 0 && operation.op_validation) {
+                    try {
+                        operation.op_validation(opResults.config);
+                    }
+                    catch (err) {
+                        errors.push({path: path, op: opConfig._op, message: err.message || err});
+                    }
+                }
+
+                if (operation.post_validation) {
+                    topLevelJobValidators.push(operation.post_validation)
+                }
+
+                return opResults.config;
+            });
+        }
+
+        //validators that check the job as a whole expect the job and its operations to be valid
+        if (errors.length === 0) {
+            topLevelJobValidators.forEach(function(fn) {
+                try {
+                    fn(validJob, context.sysconfig);
+                }
+                catch (err) {
+                    errors.push({path: null, message: err.message || err});
+                }
+            });
+        }
+
+        return {job: validJob, errors: errors};
+    }
+
     function hasSchema(obj, name) {
         if (!obj.schema || typeof obj.schema !== 'function') {
             throw new Error(`${name} needs to have a method named "schema"`)
@@ -76,6 +159,7 @@ module.exports = function(context) {
 
     var api = {
         validate: validate,
+        validateAll: validateAll,
         __test_context: __test_context
     };
 
@@ -7,6 +7,7 @@ var dateMath = require('datemath-parser');
 var dateOptions = require('./../../utils/date_utils').dateOptions;
 var dateFormatMS = require('./../../utils/date_utils').dateFormat;
 var dateFormatS = require('./../../utils/date_utils').dateFormatSeconds;
+var dateUtils = require('./../../utils/date_utils');
 var parseError = require('../../utils/error_utils').parseError;
 
 function newSlicer(context, opConfig, job, retryData, logger, client) {
@@ -16,6 +17,13 @@ function newSlicer(context, opConfig, job, retryData, logger, client) {
     var slicers = [];
     var numOfRetries = job.max_retries;
     var time_resolution = dateOptions(opConfig.time_resolution);
+    //slicer_id => {window, last_end} of the slicers of a persistent job, used to find where a new layout can start
+    var positions = {};
+    //{slicers, interval, from} of a new layout of the windows, the slicers stop at from until they are replaced
+    var relayout = null;
+    var stopped = {};
+    //interval of a once job that was changed with slicer:tune, each slicer of nextChunk switches to it from its next slice
+    var tunedInterval = null;
 
     var dateFormat = time_resolution === 'ms' ? dateFormatMS : dateFormatS;
 
@@ -330,21 +338,38 @@ function newSlicer(context, opConfig, job, retryData, logger, client) {
         //used to keep track of retried queries
         var retry = {};
 
+        //progress is measured in milliseconds of the range of the slicer
+        var rangeStart = moment(dates.start);
+
+        function reportProgress(covered) {
+            events.emit('slicer:progress', {
+                slicer_id: slicer_id,
+                total: dateParams.limit.diff(rangeStart),
+                covered: Math.min(moment(covered).diff(rangeStart), dateParams.limit.diff(rangeStart))
+            });
+        }
+
+        reportProgress(dateParams.start);
+
         return function sliceDate(msg) {
+            //a change of the size or the interval is applied from the next slice
+            dateParams.size = opConfig.size;
+            if (tunedInterval && !_.isEqual(dateParams.interval, tunedInterval)) {
+                dateParams.interval = tunedInterval;
+                dateParams.end = dateUtils.sliceEnd(dateParams.start, dateParams.interval, dateParams.limit);
+            }
+
             if (dateParams.start.isSameOrAfter(dateParams.limit)) {
+                reportProgress(dateParams.limit);
                 return null;
             }
             else {
                 return determineSlice(opConfig, dateParams, slicer_id, false)
                     .then(function(data) {
                         dateParams.start = data.end;
+                        reportProgress(data.end);
 
-                        if (moment(data.end).add(dateParams.interval[0], dateParams.interval[1]) > dateParams.limit) {
-                            dateParams.end = moment(data.end).add(dateParams.limit - data.end);
-                        }
-                        else {
-                            dateParams.end = moment(data.end).add(dateParams.interval[0], dateParams.interval[1]);
-                        }
+                        dateParams.end = dateUtils.sliceEnd(data.end, dateParams.interval, dateParams.limit);
 
                         if (shouldDivideByID && data.count >= threshold) {
                             logger.debug('date slicer is recursing by keylist');
@@ -374,12 +399,6 @@ function newSlicer(context, opConfig, job, retryData, logger, client) {
 
     }
 
-    function getMilliseconds(interval) {
-        var times = {d: 86400000, h: 3600000, m: 60000, s: 1000, ms: 1};
-
-        return interval[0] * times[interval[1]]
-    }
-
     function divideRange(start, end, job) {
         var numOfSlicers = job.jobConfig.slicers;
         var results = [];
@@ -400,107 +419,150 @@ function newSlicer(context, opConfig, job, retryData, logger, client) {
         return results;
     }
 
-    function getTimes(opConfig, jobConfig) {
-        var end = processInterval(opConfig.interval);
-        var delayInterval = processInterval(opConfig.delay);
-
-        var delayTime = getMilliseconds(opConfig, end);
-
-        var delayedEnd = moment().subtract(delayInterval[0], delayInterval[1]).format(dateFormat);
-        var delayedStart = moment(delayedEnd).subtract(end[0], end[1]).format(dateFormat);
-
-        var dateArray = divideRange(delayedStart, delayedEnd, {jobConfig: jobConfig});
-
-        return dateArray.map(function(dates) {
-            dates.delayTime = delayTime;
-            dates.interval = end;
-            return dates;
-        });
-    }
-
-    function awaitChunk(opConfig, client, jobConfig, slicerDates, slicer_id) {
+    /*
+     * slices the windows of a persistent job, see windowRange. A window is only read once delay has passed since
+     * its end, a recovered slicer continues after its last slice and catches up on the windows it missed
+     */
+    function awaitChunk(opConfig, jobConfig, interval, delay, slicer_id, retryData) {
         var shouldDivideByID = opConfig.subslice_by_key;
         var threshold = opConfig.subslice_key_threshold;
+        var intervalMs = dateUtils.intervalMs(interval);
+        var delayMs = dateUtils.intervalMs(delay);
+
+        //the windows were laid out differently before _windows_from, see tuneLayout
+        var windowsFrom = opConfig._windows_from ? moment(opConfig._windows_from) : null;
 
         var dateParams = {};
-        dateParams.size = opConfig.size;
-        dateParams.start = moment(slicerDates.start);
-        dateParams.end = moment(slicerDates.end);
+        var currentWindow;
+        var limit;
+
+        function setWindow(index) {
+            var range = dateUtils.windowRange(intervalMs, jobConfig.slicers, slicer_id, index);
+            currentWindow = index;
+            positions[slicer_id].window = index;
+            dateParams.start = windowsFrom ? moment(moment.max(range.start, windowsFrom)) : range.start;
+            dateParams.end = moment(range.end);
+            limit = range.end;
+        }
 
-        var delayTime = slicerDates.delayTime;
-        var startPoint = moment(slicerDates.start);
-        var limit = moment(slicerDates.end);
-        var interval = slicerDates.interval;
-        var dateArray = [];
+        positions[slicer_id] = {window: null, last_end: null};
+
+        if (retryData && retryData.lastSlice && retryData.lastSlice.end && !(windowsFrom && windowsFrom.isSameOrAfter(retryData.lastSlice.end))) {
+            setWindow(dateUtils.windowOf(retryData.lastSlice.end, intervalMs));
+            dateParams.start = moment(retryData.lastSlice.end);
+            positions[slicer_id].last_end = retryData.lastSlice.end;
+        }
+        else if (windowsFrom) {
+            setWindow(Math.floor(windowsFrom.valueOf() / intervalMs));
+        }
+        else {
+            setWindow(dateUtils.lastDueWindow(moment(), delayMs, intervalMs));
+        }
 
         logger.debug('all date configurations for date slicer', dateParams);
 
         //used to keep track of retried queries
         var retry = {};
 
-        //set a timer to add the next set it should process
-        setInterval(function() {
-            //keep a list of next batches in cases current batch is still running
-            dateArray.push({
-                startPoint: moment(startPoint).add(interval[0], interval[1]),
-                limit: moment(limit).add(interval[0], interval[1])
-            });
-        }, delayTime);
-
         return function sliceDate(msg) {
+            dateParams.size = opConfig.size;
+
             if (dateParams.start.isSameOrAfter(limit)) {
-                //all done processing current chunk range, check for next range
-                if (dateArray.length > 0) {
-                    var newRange = dateArray.shift();
-                    startPoint = newRange.startPoint;
-                    limit = newRange.limit;
-                    //make separate references to prevent mutating both at same time
-                    dateParams.start = moment(newRange.startPoint);
-                    dateParams.end = moment(newRange.limit);
-                }
-                return null;
+                setWindow(currentWindow + 1);
             }
-            else {
-                return determineSlice(opConfig, dateParams, slicer_id, false)
-                    .then(function(data) {
-                            dateParams.start = data.end;
 
-                            if (moment(data.end).add(interval[0], interval[1]).isAfter(limit)) {
-                                dateParams.end = moment(data.end).add(limit - data.end);
+            if (relayout && currentWindow * intervalMs >= relayout.from) {
+                stopSlicer(slicer_id);
+                return null;
+            }
 
-                            }
-                            else {
-                                dateParams.end = moment(data.end).add(interval[0], interval[1]);
-                            }
+            if (moment(limit).add(delayMs, 'ms').isAfter(moment())) {
+                return null;
+            }
 
-                            if (shouldDivideByID && data.count >= threshold) {
-                                logger.debug('date slicer is recursing by keylist');
-                                return Promise.resolve(makeKeyList(opConfig, data))
-                                    .then(function(results) {
-                                        return results
-                                    })
-                                    .catch(function(err) {
-                                        var errMsg = parseError(err);
-                                        logger.error("error while subslicing by key", errMsg);
-                                        return Promise.reject(errMsg)
-                                    });
-                            }
-                            else {
-                                return {
-                                    start: data.start.format(dateFormat),
-                                    end: data.end.format(dateFormat),
-                                    count: data.count
-                                }
-                            }
-                        }
-                            .catch(function(err) {
-                                return retryError(retry, dateParams, err, sliceDate, msg)
+            return determineSlice(opConfig, dateParams, slicer_id, false)
+                .then(function(data) {
+                    dateParams.start = data.end;
+                    dateParams.end = moment(limit);
+                    positions[slicer_id].last_end = data.end;
+
+                    if (shouldDivideByID && data.count >= threshold) {
+                        logger.debug('date slicer is recursing by keylist');
+                        return Promise.resolve(makeKeyList(opConfig, data))
+                            .then(function(results) {
+                                return results
                             })
-                    );
-            }
+                            .catch(function(err) {
+                                var errMsg = parseError(err);
+                                logger.error("error while subslicing by key", errMsg);
+                                return Promise.reject(errMsg)
+                            });
+                    }
+                    else {
+                        return {
+                            start: data.start.format(dateFormat),
+                            end: data.end.format(dateFormat),
+                            count: data.count
+                        }
+                    }
+                })
+                .catch(function(err) {
+                    return retryError(retry, dateParams, err, sliceDate, msg)
+                });
         };
     }
 
+    function tune(change) {
+        //this runs in an event listener, a change that cannot be applied is logged and the slicers keep going as they were
+        try {
+            if (isPersistent) {
+                tuneLayout(change);
+            }
+            else if (change.interval) {
+                tunedInterval = processInterval(change.interval);
+                events.emit('slicer:tuned', {operation: {interval: change.interval}});
+            }
+        }
+        catch (err) {
+            logger.error(`slicer: ${jobConfig.ex_id} could not be tuned with`, change, parseError(err));
+        }
+    }
+
+    /*
+     * the windows of a persistent job depend on its slicers and interval, so a new layout starts at the first window
+     * that no slicer has sliced from. The slicers stop there and once all have, the slicer replaces them with slicers
+     * for the new layout that start at _windows_from
+     */
+    function tuneLayout(change) {
+        var layout = {slicers: change.slicers || jobConfig.slicers, interval: change.interval || opConfig.interval};
+
+        if (layout.slicers === jobConfig.slicers && layout.interval === opConfig.interval) {
+            return;
+        }
+
+        //throws before the slicers are stopped if the new interval is not valid
+        processInterval(layout.interval);
+        layout.from = dateUtils.unslicedFrom(_.values(positions), dateUtils.intervalMs(processInterval(opConfig.interval)));
+        relayout = layout;
+        logger.info(`slicer: ${jobConfig.ex_id} will change to ${layout.slicers} slicers with an interval of ${layout.interval} from ${moment(layout.from).format(dateFormat)}`);
+    }
+
+    function stopSlicer(slicer_id) {
+        if (stopped[slicer_id]) {
+            return;
+        }
+
+        stopped[slicer_id] = true;
+
+        if (_.size(stopped) === slicers.length) {
+            events.removeListener('slicer:tune', tune);
+            events.emit('slicer:relayout', {
+                slicers: relayout.slicers,
+                operation: {interval: relayout.interval, _windows_from: moment(relayout.from).toISOString()}
+            });
+        }
+    }
+
     function getCount(opConfig, dates, key) {
         var end = dates.end ? dates.end : dates.limit;
         var range = {
@@ -544,11 +606,14 @@ function newSlicer(context, opConfig, job, retryData, logger, client) {
     }
 
     if (isPersistent) {
-        var dataIntervals = getTimes(opConfig, jobConfig);
+        var interval = processInterval(opConfig.interval);
+        var delay = processInterval(opConfig.delay);
+
+        for (var i = 0; i < jobConfig.slicers; i++) {
+            slicers.push(awaitChunk(opConfig, jobConfig, interval, delay, i, retryData[i]));
+        }
 
-        dataIntervals.forEach(function(dates, index) {
-            slicers.push(awaitChunk(opConfig, client, jobConfig, dates, index));
-        });
+        events.on('slicer:tune', tune);
 
         return Promise.resolve(slicers);
     }
@@ -575,6 +640,8 @@ function newSlicer(context, opConfig, job, retryData, logger, client) {
                                     slicers.push(nextChunk(opConfig, client, jobConfig, dates, index, retryData[index]));
                                 });
 
+                                events.on('slicer:tune', tune);
+
                                 return slicers;
                             })
                     })
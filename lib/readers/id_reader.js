@@ -10,7 +10,7 @@ function newSlicer(context, job, retryData, slicerAnalytics, logger) {
     var opConfig = getOpConfig(job.jobConfig, 'id_reader');
     var client = getClient(context, opConfig, 'elasticsearch');
 
-    return require('./id_slicer')(client, job, opConfig, logger, retryData)
+    return require('./id_slicer')(client, job, opConfig, logger, retryData, null, context.foundation.getEventEmitter())
 }
 
 
@@ -2,6 +2,7 @@
 
 var _ = require('lodash');
 var parseError = require('../utils/error_utils').parseError;
+var keyProgress = require('../utils/progress_utils').keyProgress;
 
 var base64url = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'o', 'p', 'q', 'r', 's', 't', 'u', 'v', 'w',
     'x', 'y', 'z', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X',
@@ -12,7 +13,8 @@ var hexadecimal = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'a', 'b', '
 var HEXADECIMAL = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'A', 'B', 'C', 'D', 'E', 'F'];
 
 
-module.exports = function(client, job, opConfig, logger, retryData, range) {
+// events is only given to the slicers of the id_reader so they report their progress, not when subslicing a date range
+module.exports = function(client, job, opConfig, logger, retryData, range, events) {
 
     var keyRange = opConfig.key_range;
     var baseKeyArray = getKeyArray(opConfig);
@@ -154,7 +156,18 @@ module.exports = function(client, job, opConfig, logger, retryData, range) {
         return results;
     }
 
-    function keyGenerator(baseArray, keyArray, retryKey, range) {
+    //progress is measured in keys of the key set of the slicer
+    function reportProgress(slicer_id, keyArray, key) {
+        if (events) {
+            events.emit('slicer:progress', {
+                slicer_id: slicer_id,
+                total: keyArray.length,
+                covered: key === null ? keyArray.length : keyProgress(baseKeyArray, keyArray, key)
+            });
+        }
+    }
+
+    function keyGenerator(baseArray, keyArray, retryKey, range, slicer_id) {
         let gen = generateKeys(baseArray, keyArray);
         let closePath = false;
 
@@ -184,10 +197,19 @@ module.exports = function(client, job, opConfig, logger, retryData, range) {
                 }
             }
         }
+        if (slicer_id !== undefined) {
+            reportProgress(slicer_id, keyArray, retryKey || '');
+        }
+
         return function() {
             return determineKeySlice(gen, closePath, range)
                 .then(function(results) {
                     closePath = true;
+
+                    if (slicer_id !== undefined) {
+                        reportProgress(slicer_id, keyArray, results ? results.key.match(/\#(.*)\*/)[1] : null);
+                    }
+
                     return results
                 })
                 .catch(function(err) {
@@ -236,13 +258,13 @@ module.exports = function(client, job, opConfig, logger, retryData, range) {
             });
 
             return Promise.resolve(slicerKeySet.map(function(keySet, index) {
-                return keyGenerator(baseKeyArray, keySet, formattedRetryData[index], range);
+                return keyGenerator(baseKeyArray, keySet, formattedRetryData[index], range, index);
             }));
         }
     }
     else {
-        return Promise.resolve(slicerKeySet.map(function(keySet) {
-            return keyGenerator(baseKeyArray, keySet);
+        return Promise.resolve(slicerKeySet.map(function(keySet, index) {
+            return keyGenerator(baseKeyArray, keySet, undefined, range, index);
         }));
     }
 };
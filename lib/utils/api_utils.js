@@ -12,7 +12,7 @@ function makeTable(req, defaults, data, mappingFn) {
     }
 
     return Table.print(data, function(item, cell) {
-        var fn = mappingFn ? mappingFn(item) : (field) => item[field];
+        var fn = mappingFn ? mappingFn(item) : (field) => formatField(item, field);
         _.each(query, function(field) {
             cell(field, fn(field))
         });
@@ -40,6 +40,21 @@ function fieldsQuery(query, defaults) {
     }
 }
 
+// fields can be nested, ie. metadata.team, arrays are shown as comma separated lists and objects as json
+function formatField(item, field) {
+    var value = _.get(item, field);
+
+    if (Array.isArray(value)) {
+        return value.join(',');
+    }
+
+    if (_.isPlainObject(value)) {
+        return JSON.stringify(value);
+    }
+
+    return value;
+}
+
 function sendError(res, code, error) {
     res.status(code).json({
         error: code,
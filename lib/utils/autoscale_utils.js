@@ -0,0 +1,79 @@
+'use strict';
+
+function _isCount(val) {
+    return val === null || (Number.isInteger(val) && val >= 1);
+}
+
+// checks the min_workers and max_workers of a job, autoscaling is enabled when max_workers is set
+function validateWorkerBounds(job) {
+    var min = job.min_workers === undefined ? null : job.min_workers;
+    var max = job.max_workers === undefined ? null : job.max_workers;
+
+    if (!_isCount(min) || !_isCount(max)) {
+        throw new Error('min_workers and max_workers must be integers greater than zero');
+    }
+
+    if (min !== null && max === null) {
+        throw new Error('min_workers can only be set along with max_workers');
+    }
+
+    if (min !== null && min > max) {
+        throw new Error(`min_workers: ${min} cannot be greater than max_workers: ${max}`);
+    }
+}
+
+function isAutoscaled(job) {
+    return job.max_workers !== null && job.max_workers !== undefined;
+}
+
+/*
+ * Decides if the workers of an execution should change based on the metrics reported by its slicer.
+ * metrics is {workers, queued, idle, latency} where workers includes the workers that are still pending.
+ * fairShare is the fair share of the execution when other executions are waiting for workers, workers are not added past it.
+ * Returns {action: 'add' | 'remove', workers, reason} or null if the execution is correctly sized
+ */
+function scaleDecision(metrics, bounds, fairShare) {
+    var min = bounds.min_workers || 1;
+    var max = bounds.max_workers;
+    var current = metrics.workers;
+    //removing the workers over the fair share is left to the reclaim of the cluster_master, it only limits additions
+    var limit = fairShare === undefined || fairShare === null ? max : Math.min(max, Math.max(Math.floor(fairShare), min));
+
+    if (current < min) {
+        return {action: 'add', workers: min - current, reason: `${current} workers is below min_workers: ${min}`};
+    }
+
+    if (current > max) {
+        return {action: 'remove', workers: current - max, reason: `${current} workers is above max_workers: ${max}`};
+    }
+
+    if (metrics.queued > 0 && metrics.idle === 0 && current < limit) {
+        var reason = `${metrics.queued} slices are queued with no idle workers`;
+        if (limit < max) {
+            reason += `, limited to the fair share of ${limit} workers`;
+        }
+
+        return {
+            action: 'add',
+            workers: Math.min(limit - current, metrics.queued),
+            reason: reason
+        };
+    }
+
+    //only half of the idle workers are removed so a momentarily empty queue does not shrink the execution too fast
+    if (metrics.queued === 0 && metrics.idle > 0 && current > min) {
+        return {
+            action: 'remove',
+            workers: Math.min(Math.ceil(metrics.idle / 2), current - min),
+            reason: `${metrics.idle} workers are idle with no slices queued`
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    validateWorkerBounds: validateWorkerBounds,
+    isAutoscaled: isAutoscaled,
+    scaleDecision: scaleDecision
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+var _ = require('lodash');
+
+/*
+ * the record a slicer saves so it can resume if its process restarts. cursors holds the last slice of each
+ * slicer keyed by slicer_id, inFlight the slices that have not been reported back by a worker keyed by slice_id.
+ * tuning holds the changes made to the execution while it ran, {slicers, operation}, so they survive the restart,
+ * started the time the run started so max_runtime is not reset by the restart
+ */
+function buildCheckpoint(ex_id, totalSlicers, cursors, inFlight, restarts, tuning, started, time) {
+    return {
+        ex_id: ex_id,
+        slicers: totalSlicers,
+        cursors: _.sortBy(_.values(cursors), 'slicer_id'),
+        in_flight: _.sortBy(_.values(inFlight), ['slicer_id', 'slicer_order']),
+        restarts: restarts,
+        tuning: tuning,
+        started: started,
+        _updated: time
+    };
+}
+
+// cursors of the checkpoint keyed by slicer_id, so each slicer keeps numbering its slices where it left off
+function checkpointCursors(checkpoint) {
+    return _.keyBy(checkpoint.cursors, 'slicer_id');
+}
+
+// retry data for newSlicer so each slicer continues after its last slice, empty if no slicer had made a slice yet
+function resumeData(checkpoint) {
+    if (checkpoint.cursors.length === 0) {
+        return [];
+    }
+
+    var cursors = checkpointCursors(checkpoint);
+
+    return _.times(checkpoint.slicers, function(slicer_id) {
+        var data = {ex_id: checkpoint.ex_id, slicer_id: slicer_id, retryList: []};
+
+        if (cursors[slicer_id]) {
+            data.lastSlice = cursors[slicer_id].last_request;
+        }
+
+        return data;
+    });
+}
+
+module.exports = {
+    buildCheckpoint: buildCheckpoint,
+    checkpointCursors: checkpointCursors,
+    resumeData: resumeData
+};
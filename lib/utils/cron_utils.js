@@ -0,0 +1,215 @@
+'use strict';
+
+var _ = require('lodash');
+
+var MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+var DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+var FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'day of month', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1},
+    {name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0}
+];
+
+var ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+//used to prevent endless searching on expressions that can never fire, ie. 0 0 31 2 *
+var MAX_SEARCH_YEARS = 5;
+
+function parseValue(str, field) {
+    var value = Number(str);
+
+    if (field.names && isNaN(value)) {
+        var index = field.names.indexOf(str.toLowerCase());
+        if (index !== -1) {
+            value = index + field.offset;
+        }
+    }
+
+    if (isNaN(value) || str === '' || value < field.min || value > field.max) {
+        throw new Error(`cron ${field.name} value "${str}" must be between ${field.min} and ${field.max}`)
+    }
+
+    return value;
+}
+
+function parseField(str, field) {
+    var values = {};
+
+    str.split(',').forEach(function(part) {
+        var stepParts = part.split('/');
+        var step = 1;
+        var start = field.min;
+        var end = field.max;
+
+        if (stepParts.length > 2) {
+            throw new Error(`cron ${field.name} segment "${part}" is formatted incorrectly`)
+        }
+
+        if (stepParts.length === 2) {
+            step = Number(stepParts[1]);
+            if (isNaN(step) || step < 1) {
+                throw new Error(`cron ${field.name} step "${stepParts[1]}" must be a number greater than zero`)
+            }
+        }
+
+        if (stepParts[0] !== '*') {
+            var range = stepParts[0].split('-');
+
+            if (range.length > 2) {
+                throw new Error(`cron ${field.name} range "${stepParts[0]}" is formatted incorrectly`)
+            }
+
+            start = parseValue(range[0], field);
+            //a single value with a step, ie. 5/15, runs to the end of the range
+            end = range.length === 2 ? parseValue(range[1], field) : (stepParts.length === 2 ? field.max : start);
+
+            if (start > end) {
+                throw new Error(`cron ${field.name} range "${stepParts[0]}" must be in ascending order`)
+            }
+        }
+
+        for (var i = start; i <= end; i += step) {
+            values[i] = true;
+        }
+    });
+
+    return values;
+}
+
+function parseCron(expression) {
+    if (typeof expression !== 'string') {
+        throw new Error('cron expression must be a string')
+    }
+
+    var trimmed = expression.trim();
+    var parts = (ALIASES[trimmed] || trimmed).split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`cron expression "${expression}" must have ${FIELDS.length} fields (minute hour day-of-month month day-of-week)`)
+    }
+
+    var fields = parts.map(function(part, index) {
+        return parseField(part, FIELDS[index]);
+    });
+
+    //sunday can be specified as 0 or 7
+    if (fields[4][7]) {
+        fields[4][0] = true;
+        delete fields[4][7];
+    }
+
+    return {
+        minute: fields[0],
+        hour: fields[1],
+        dayOfMonth: fields[2],
+        month: fields[3],
+        dayOfWeek: fields[4],
+        //standard cron behavior, if both day fields are restricted then either may match
+        dayOfMonthRestricted: parts[2] !== '*',
+        dayOfWeekRestricted: parts[4] !== '*'
+    };
+}
+
+function dayMatches(cron, date) {
+    var domMatch = !!cron.dayOfMonth[date.getDate()];
+    var dowMatch = !!cron.dayOfWeek[date.getDay()];
+
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+
+    return domMatch && dowMatch;
+}
+
+function nextDate(cron, from) {
+    var date = new Date(from.getTime());
+    var limit = from.getFullYear() + MAX_SEARCH_YEARS;
+
+    //next possible time is always at least one minute after the given date
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    while (date.getFullYear() <= limit) {
+        if (!cron.month[date.getMonth() + 1]) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        }
+        else if (!dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        }
+        else if (!cron.hour[date.getHours()]) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        }
+        else if (!cron.minute[date.getMinutes()]) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        }
+        else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+function nextDates(expression, count, from) {
+    var cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    var results = [];
+    var date = from ? new Date(from) : new Date();
+
+    _.times(count || 1, function() {
+        if (date) {
+            date = nextDate(cron, date);
+            if (date) {
+                results.push(date);
+            }
+        }
+    });
+
+    return results;
+}
+
+// the fire times after from up to and including to, the most recent limit of them newest first along with how many there were
+function missedDates(expression, from, to, limit) {
+    var cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    var dates = [];
+    var total = 0;
+    var date = nextDate(cron, new Date(from));
+
+    while (date && date <= to) {
+        total += 1;
+        dates.unshift(date);
+        if (dates.length > limit) {
+            dates.pop();
+        }
+        date = nextDate(cron, date);
+    }
+
+    return {total: total, dates: dates};
+}
+
+function validateCron(expression) {
+    parseCron(expression);
+
+    if (nextDates(expression, 1).length === 0) {
+        throw new Error(`cron expression "${expression}" will never be triggered`)
+    }
+}
+
+module.exports = {
+    parseCron: parseCron,
+    nextDates: nextDates,
+    missedDates: missedDates,
+    validateCron: validateCron
+};
@@ -29,8 +29,64 @@ var dateFormat = "YYYY-MM-DDTHH:mm:ss.SSSZ";
 //2016-06-29T12:44:57-07:00
 var dateFormatSeconds = "YYYY-MM-DDTHH:mm:ssZ";
 
+// interval is [number, unit], ie. [5, 'm'], returns its length in milliseconds
+function intervalMs(interval) {
+    return moment.duration(Number(interval[0]), interval[1]).asMilliseconds();
+}
+
+// end of a slice of interval that starts at start, a slice never goes past the limit of the range being sliced
+function sliceEnd(start, interval, limit) {
+    return moment(moment.min(moment(start).add(Number(interval[0]), interval[1]), moment(limit)));
+}
+
+/*
+ * persistent slicers read the data in windows of interval_ms that are aligned to the epoch, so a recovered slicer
+ * finds the same windows as the slicer it replaces. Each of the numOfSlicers slicers reads its share of every window,
+ * returns the range of the slicer in the window as moments
+ */
+function windowRange(interval_ms, numOfSlicers, slicer_id, index) {
+    var windowStart = index * interval_ms;
+    var share = interval_ms / numOfSlicers;
+    var end = slicer_id === numOfSlicers - 1 ? windowStart + interval_ms : windowStart + Math.round((slicer_id + 1) * share);
+
+    return {
+        start: moment(windowStart + Math.round(slicer_id * share)),
+        end: moment(end)
+    };
+}
+
+// index of the window that time falls in, a time on the boundary of two windows belongs to the earlier one
+function windowOf(time, interval_ms) {
+    return Math.ceil(moment(time).valueOf() / interval_ms) - 1;
+}
+
+// index of the newest window that ended at least delay_ms before now, windows are only read after their delay
+function lastDueWindow(now, delay_ms, interval_ms) {
+    return Math.floor((moment(now).valueOf() - delay_ms) / interval_ms) - 1;
+}
+
+/*
+ * time in ms where the first window that no slicer has sliced from starts, the windows can be laid out differently
+ * from there. positions holds the index of the current window and the end of the last slice, or null, of each slicer
+ */
+function unslicedFrom(positions, interval_ms) {
+    return Math.max.apply(null, positions.map(function(position) {
+        if (position.last_end) {
+            return Math.ceil(moment(position.last_end).valueOf() / interval_ms) * interval_ms;
+        }
+
+        return position.window * interval_ms;
+    }));
+}
+
 module.exports = {
     dateOptions: dateOptions,
     dateFormat: dateFormat,
-    dateFormatSeconds: dateFormatSeconds
+    dateFormatSeconds: dateFormatSeconds,
+    intervalMs: intervalMs,
+    sliceEnd: sliceEnd,
+    windowRange: windowRange,
+    windowOf: windowOf,
+    lastDueWindow: lastDueWindow,
+    unslicedFrom: unslicedFrom
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+'use strict';
+
+var _ = require('lodash');
+
+// execution states of an upstream job that will block any downstream jobs
+var BLOCKING_STATUS = {failed: true, rejected: true, stopped: true, terminated: true, blocked: true};
+
+/*
+ * graph is an object of job_id => array of upstream job_ids (depends_on)
+ * returns the path of job_ids that form a cycle through the given job_id, or null
+ */
+function findCycle(graph, job_id) {
+    var visited = {};
+
+    function visit(current, path) {
+        var upstream = graph[current] || [];
+
+        for (var i = 0; i < upstream.length; i++) {
+            var next = upstream[i];
+
+            if (next === job_id) {
+                return path.concat(next);
+            }
+
+            if (!visited[next]) {
+                visited[next] = true;
+                var cycle = visit(next, path.concat(next));
+                if (cycle) {
+                    return cycle;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    return visit(job_id, [job_id]);
+}
+
+// returns job_id with its downstream jobs and everything upstream of them, with the edges between them
+function collectGraph(graph, job_id) {
+    var nodes = {};
+    var edges = [];
+    var downstream = {};
+
+    _.forOwn(graph, function(upstream, id) {
+        upstream.forEach(function(parent) {
+            if (!downstream[parent]) {
+                downstream[parent] = [];
+            }
+            downstream[parent].push(id);
+        });
+    });
+
+    function walk(id, links) {
+        (links[id] || []).forEach(function(next) {
+            if (!nodes[next]) {
+                nodes[next] = true;
+                walk(next, links);
+            }
+        });
+    }
+
+    nodes[job_id] = true;
+    walk(job_id, downstream);
+    //upstream jobs of downstream jobs determine when those will run
+    Object.keys(nodes).forEach(function(id) {
+        walk(id, graph);
+    });
+
+    _.forOwn(nodes, function(value, id) {
+        (graph[id] || []).forEach(function(parent) {
+            if (nodes[parent]) {
+                edges.push({from: parent, to: id});
+            }
+        });
+    });
+
+    return {nodes: Object.keys(nodes), edges: edges};
+}
+
+/*
+ * upstream is an array of the latest execution context of each upstream job (null if it never ran)
+ * downstreamEx is the latest execution context of the downstream job (null if it never ran)
+ * An upstream job only counts as done if it completed after the downstream job last started
+ */
+function dependencyState(upstream, downstreamEx) {
+    var lastStart = downstreamEx ? new Date(downstreamEx._created) : null;
+    var isBlocked = false;
+    var isReady = true;
+
+    upstream.forEach(function(ex) {
+        if (!ex) {
+            isReady = false;
+            return;
+        }
+
+        var isFresh = !lastStart || new Date(ex._updated) > lastStart;
+
+        if (BLOCKING_STATUS[ex._status] && isFresh) {
+            isBlocked = true;
+        }
+
+        if (ex._status !== 'completed' || !isFresh) {
+            isReady = false;
+        }
+    });
+
+    if (isBlocked) {
+        return 'blocked';
+    }
+
+    return isReady ? 'ready' : 'waiting';
+}
+
+module.exports = {
+    findCycle: findCycle,
+    collectGraph: collectGraph,
+    dependencyState: dependencyState
+};
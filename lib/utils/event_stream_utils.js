@@ -0,0 +1,43 @@
+'use strict';
+
+var _ = require('lodash');
+
+// query parameters that can be used to filter the event stream
+var FILTER_FIELDS = ['ex_id', 'job_id', 'type'];
+
+function _values(val) {
+    var values = Array.isArray(val) ? val : String(val).split(',');
+
+    return values.map(str => str.trim()).filter(str => str.length > 0);
+}
+
+// turns the query of the request into a filter of field => accepted values, fields that are not given accept anything
+function parseFilters(query) {
+    return _.transform(FILTER_FIELDS, function(filters, field) {
+        if (query[field] !== undefined) {
+            var values = _values(query[field]);
+
+            if (values.length > 0) {
+                filters[field] = values;
+            }
+        }
+    }, {});
+}
+
+function matchesFilters(type, data, filters) {
+    return _.every(filters, function(values, field) {
+        var value = field === 'type' ? type : data[field];
+        return values.indexOf(value) !== -1;
+    });
+}
+
+// formats an event in the text/event-stream format used by server-sent events
+function formatEvent(id, type, data) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+    parseFilters: parseFilters,
+    matchesFilters: matchesFilters,
+    formatEvent: formatEvent
+};
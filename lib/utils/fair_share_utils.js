@@ -0,0 +1,115 @@
+'use strict';
+
+var _ = require('lodash');
+
+// splits capacity by weight, no item gets more than it demands and what it does not need is split between the rest
+function _waterFill(items, capacity) {
+    var shares = {};
+    var remaining = capacity;
+    var active = items.filter(item => item.demand > 0);
+
+    items.forEach(function(item) {
+        shares[item.key] = 0;
+    });
+
+    while (active.length > 0 && remaining > 0) {
+        var totalWeight = _.sumBy(active, 'weight');
+        var satisfied = active.filter(function(item) {
+            return item.demand - shares[item.key] <= remaining * item.weight / totalWeight;
+        });
+
+        if (satisfied.length === 0) {
+            active.forEach(function(item) {
+                shares[item.key] += remaining * item.weight / totalWeight;
+            });
+            break;
+        }
+
+        satisfied.forEach(function(item) {
+            remaining -= item.demand - shares[item.key];
+            shares[item.key] = item.demand;
+        });
+
+        active = _.difference(active, satisfied);
+    }
+
+    return shares;
+}
+
+function _weight(val) {
+    return typeof val === 'number' && val > 0 ? val : 1;
+}
+
+/*
+ * Computes how many workers each execution is entitled to.
+ * executions is an array of {ex_id, weight, team, demand}, executions of a team share the weight of that
+ * team set in teamWeights (defaults to 1) and split it by their own weight, executions without a team
+ * compete on their own weight. Returns an object of ex_id => share, shares can be fractional
+ */
+function fairShares(executions, capacity, teamWeights) {
+    var groups = _.groupBy(executions, ex => ex.team ? `team:${ex.team}` : `ex:${ex.ex_id}`);
+
+    var groupItems = _.map(groups, function(members, key) {
+        var first = members[0];
+        return {
+            key: key,
+            weight: first.team ? _weight((teamWeights || {})[first.team]) : _weight(first.weight),
+            demand: _.sumBy(members, 'demand')
+        };
+    });
+
+    var groupShares = _waterFill(groupItems, capacity);
+    var shares = {};
+
+    _.forOwn(groups, function(members, key) {
+        var memberItems = members.map(function(ex) {
+            return {key: ex.ex_id, weight: _weight(ex.weight), demand: ex.demand};
+        });
+
+        _.assign(shares, _waterFill(memberItems, groupShares[key]));
+    });
+
+    return shares;
+}
+
+function _ratio(allocated, share) {
+    return share > 0 ? allocated / share : Infinity;
+}
+
+// returns the index of the request of the execution that is the furthest below its share, earlier requests win ties
+function nextRequest(requests, allocations, shares) {
+    var best = -1;
+    var bestRatio = Infinity;
+
+    requests.forEach(function(request, index) {
+        var ratio = _ratio(allocations[request.ex_id] || 0, shares[request.ex_id] || 0);
+
+        if (best === -1 || ratio < bestRatio) {
+            best = index;
+            bestRatio = ratio;
+        }
+    });
+
+    return best;
+}
+
+// returns the executions holding at least one whole worker over their share, the most over-served first
+function overServed(allocations, shares) {
+    var results = [];
+
+    _.forOwn(allocations, function(allocated, ex_id) {
+        var excess = Math.floor(allocated - (shares[ex_id] || 0));
+
+        if (excess >= 1) {
+            results.push({ex_id: ex_id, excess: excess});
+        }
+    });
+
+    return _.orderBy(results, 'excess', 'desc');
+}
+
+module.exports = {
+    fairShares: fairShares,
+    nextRequest: nextRequest,
+    overServed: overServed
+};
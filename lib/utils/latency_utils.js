@@ -0,0 +1,43 @@
+'use strict';
+
+var _ = require('lodash');
+
+// nearest-rank percentile of samples that are already sorted ascending
+function _percentile(sorted, percent) {
+    var rank = Math.ceil(percent / 100 * sorted.length);
+    return sorted[Math.max(rank - 1, 0)];
+}
+
+// summary of latency samples in ms, the values are null if there are no samples
+function latencyStats(samples) {
+    if (samples.length === 0) {
+        return {count: 0, mean: null, p50: null, p95: null, p99: null, max: null};
+    }
+
+    var sorted = samples.slice().sort((a, b) => a - b);
+
+    return {
+        count: sorted.length,
+        mean: Math.round(_.mean(sorted)),
+        p50: _percentile(sorted, 50),
+        p95: _percentile(sorted, 95),
+        p99: _percentile(sorted, 99),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// adds a sample to samples, dropping the oldest samples past limit
+function addSample(samples, sample, limit) {
+    samples.push(sample);
+
+    if (samples.length > limit) {
+        samples.splice(0, samples.length - limit);
+    }
+
+    return samples;
+}
+
+module.exports = {
+    latencyStats: latencyStats,
+    addSample: addSample
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+var crypto = require('crypto');
+var _ = require('lodash');
+
+// fields of the execution that are sent with every notification
+var SUMMARY_FIELDS = ['ex_id', 'job_id', 'name', 'lifecycle', '_status', '_created', '_updated', '_started',
+    '_failureReason', '_has_errors', '_slicer_stats', '_attempt'];
+
+// shown in place of the secret of a target when a job or execution is returned by the api
+var REDACTED = '[redacted]';
+
+var TARGET_DEFAULTS = {
+    statuses: [],
+    secret: null,
+    max_attempts: 5,
+    backoff: 5000,
+    multiplier: 2,
+    max_backoff: 300000
+};
+
+/*
+ * targets is an array of {url, statuses, secret, max_attempts, backoff, multiplier, max_backoff},
+ * an empty statuses array matches every status change. statuses are only checked if validStatus is given
+ */
+function validateTargets(targets, validStatus) {
+    if (!Array.isArray(targets)) {
+        throw new Error('notifications must be an array of {url, statuses, secret} targets');
+    }
+
+    targets.forEach(function(target, index) {
+        if (!_.isPlainObject(target) || typeof target.url !== 'string' || !/^https?:\/\//.test(target.url)) {
+            throw new Error(`notification target ${index} must have a url starting with http:// or https://`);
+        }
+
+        if (target.statuses !== undefined) {
+            if (!Array.isArray(target.statuses)) {
+                throw new Error(`notification target ${index} statuses must be an array`);
+            }
+
+            var invalid = validStatus ? _.difference(target.statuses, validStatus) : target.statuses.filter(status => typeof status !== 'string');
+            if (invalid.length > 0) {
+                throw new Error(`notification target ${index} has invalid statuses: ${invalid.join(', ')}`);
+            }
+        }
+
+        if (target.secret !== undefined && target.secret !== null && typeof target.secret !== 'string') {
+            throw new Error(`notification target ${index} secret must be a string`);
+        }
+
+        if (target.secret === REDACTED) {
+            throw new Error(`notification target ${index} secret is redacted, the secret itself must be given`);
+        }
+
+        ['max_attempts', 'backoff', 'multiplier', 'max_backoff'].forEach(function(field) {
+            if (target[field] !== undefined && (typeof target[field] !== 'number' || target[field] < 1)) {
+                throw new Error(`notification target ${index} ${field} must be a number >= 1`);
+            }
+        });
+    });
+}
+
+// targets that want to be notified of the status, with defaults applied
+function matchingTargets(targets, status) {
+    return (targets || [])
+        .map(target => _.defaults({}, target, TARGET_DEFAULTS))
+        .filter(target => target.statuses.length === 0 || target.statuses.indexOf(status) !== -1);
+}
+
+function buildPayload(ex, status, previousStatus, time) {
+    return {
+        event: 'execution.status',
+        status: status,
+        previous_status: previousStatus || null,
+        time: time,
+        execution: _.pick(ex, SUMMARY_FIELDS)
+    };
+}
+
+// the signature is sent as a header so receivers can verify the payload came from this cluster
+function signPayload(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function _redactTarget(target) {
+    if (!_.isPlainObject(target) || !target.secret) {
+        return target;
+    }
+    return _.assign({}, target, {secret: REDACTED});
+}
+
+// a copy of the job or execution where the secret of each notification target is redacted
+function redactSecrets(record) {
+    if (!record || !Array.isArray(record.notifications)) {
+        return record;
+    }
+    return _.assign({}, record, {notifications: record.notifications.map(_redactTarget)});
+}
+
+// redacts the values of a change from revision_utils.diffSpecs that can hold a secret, the change itself is kept
+function redactChange(change) {
+    var redact;
+
+    if (/^notifications$/.test(change.path)) {
+        redact = targets => Array.isArray(targets) ? targets.map(_redactTarget) : targets;
+    }
+    else if (/^notifications\[\d+\]$/.test(change.path)) {
+        redact = _redactTarget;
+    }
+    else if (/^notifications\[\d+\]\.secret$/.test(change.path)) {
+        redact = secret => secret ? REDACTED : secret;
+    }
+    else {
+        return change;
+    }
+
+    var redacted = _.assign({}, change);
+    ['from', 'to'].forEach(function(field) {
+        if (change.hasOwnProperty(field)) {
+            redacted[field] = redact(change[field]);
+        }
+    });
+    return redacted;
+}
+
+/*
+ * targets sent back as they were returned by the api keep the stored secret of the target with the same url,
+ * throws if there is no such target
+ */
+function restoreSecrets(targets, storedTargets) {
+    if (!Array.isArray(targets)) {
+        return targets;
+    }
+
+    return targets.map(function(target, index) {
+        if (!_.isPlainObject(target) || target.secret !== REDACTED) {
+            return target;
+        }
+
+        var stored = _.find(storedTargets, {url: target.url});
+        if (!stored || !stored.secret) {
+            throw new Error(`notification target ${index} secret is redacted but no stored target with the url ${target.url} has a secret`);
+        }
+        return _.assign({}, target, {secret: stored.secret});
+    });
+}
+
+module.exports = {
+    REDACTED: REDACTED,
+    validateTargets: validateTargets,
+    matchingTargets: matchingTargets,
+    buildPayload: buildPayload,
+    signPayload: signPayload,
+    redactSecrets: redactSecrets,
+    redactChange: redactChange,
+    restoreSecrets: restoreSecrets
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+var DEFAULT_PAGE_SIZE = 100;
+var MAX_PAGE_SIZE = 10000;
+
+// the cursor handed to clients is the sort values of the last record of a page, opaque to the client
+function encodeCursor(after) {
+    if (!after) {
+        return null;
+    }
+
+    return new Buffer(JSON.stringify(after)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+    var after;
+
+    try {
+        after = JSON.parse(new Buffer(cursor, 'base64').toString());
+    }
+    catch (err) {
+        after = null;
+    }
+
+    if (!Array.isArray(after) || after.length === 0) {
+        throw new Error(`cursor: ${cursor} is not valid`);
+    }
+
+    return after;
+}
+
+// reads size, order, cursor and envelope from the query of a list request, throws if any of them are invalid
+function parseListOptions(query) {
+    var size = query.size === undefined ? DEFAULT_PAGE_SIZE : Number(query.size);
+    var order = query.order === undefined ? 'desc' : query.order;
+    var envelope = query.envelope === undefined ? 'false' : query.envelope;
+
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+        throw new Error(`size must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    if (order !== 'asc' && order !== 'desc') {
+        throw new Error('order must be either asc or desc');
+    }
+
+    if (query.cursor !== undefined && (query.from !== undefined || query.sort !== undefined)) {
+        throw new Error('from and sort cannot be used along with cursor');
+    }
+
+    if (envelope !== 'true' && envelope !== 'false') {
+        throw new Error('envelope must be either true or false');
+    }
+
+    return {
+        size: size,
+        order: order,
+        after: query.cursor ? decodeCursor(query.cursor) : null,
+        envelope: envelope === 'true'
+    };
+}
+
+module.exports = {
+    encodeCursor: encodeCursor,
+    decodeCursor: decodeCursor,
+    parseListOptions: parseListOptions
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+var _ = require('lodash');
+
+/*
+ * placement is an object of {constraints, preferences}, both are objects of label => value or array of values.
+ * A node must match every constraint to run the slicer or workers of a job, nodes that match more
+ * preferences are used before others. ie. {constraints: {es_cluster: 'logs'}, preferences: {memory: ['high', 'medium']}}
+ */
+function validatePlacement(placement) {
+    if (!_.isPlainObject(placement)) {
+        throw new Error('placement must be an object of {constraints, preferences}');
+    }
+
+    _.forOwn(placement, function(labels, key) {
+        if (key !== 'constraints' && key !== 'preferences') {
+            throw new Error(`placement only accepts constraints and preferences, was given: ${key}`);
+        }
+
+        if (!_.isPlainObject(labels)) {
+            throw new Error(`placement ${key} must be an object of label => value`);
+        }
+
+        _.forOwn(labels, function(value, label) {
+            var values = Array.isArray(value) ? value : [value];
+
+            if (values.length === 0 || !values.every(val => typeof val === 'string')) {
+                throw new Error(`placement ${key} for label "${label}" must be a string or an array of strings`);
+            }
+        });
+    });
+}
+
+function _labelMatches(labels, label, value) {
+    var values = Array.isArray(value) ? value : [value];
+    return labels[label] !== undefined && values.indexOf(labels[label]) !== -1;
+}
+
+function matchesConstraints(labels, constraints) {
+    return _.every(constraints || {}, function(value, label) {
+        return _labelMatches(labels || {}, label, value);
+    });
+}
+
+function preferenceScore(labels, preferences) {
+    return _.filter(preferences || {}, function(value, label) {
+        return _labelMatches(labels || {}, label, value);
+    }).length;
+}
+
+// returns the connected nodes that satisfy the placement, ordered by preference and then by available workers
+function placementNodes(nodes, placement) {
+    var constraints = placement ? placement.constraints : null;
+    var preferences = placement ? placement.preferences : null;
+
+    var eligible = _.filter(nodes, function(node) {
+        return node.state === 'connected' && matchesConstraints(node.labels, constraints);
+    });
+
+    return _.orderBy(eligible, [
+        node => preferenceScore(node.labels, preferences),
+        'available'
+    ], ['desc', 'desc']);
+}
+
+// returns why an execution with this placement can not be allocated right now, or null if it can
+function placementReason(nodes, placement, workersNeeded) {
+    if (!placement || _.isEmpty(placement.constraints)) {
+        return null;
+    }
+
+    var eligible = placementNodes(nodes, placement);
+
+    if (eligible.length === 0) {
+        return `no connected node matches the placement constraints: ${JSON.stringify(placement.constraints)}`;
+    }
+
+    if (_.sumBy(eligible, 'available') < workersNeeded) {
+        return `waiting for available workers on the nodes matching the placement constraints: ${_.map(eligible, 'node_id').join(', ')}`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    validatePlacement: validatePlacement,
+    matchesConstraints: matchesConstraints,
+    preferenceScore: preferenceScore,
+    placementNodes: placementNodes,
+    placementReason: placementReason
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+var _ = require('lodash');
+
+/*
+ * A queue that dequeues the item with the highest priority first, items of equal priority are dequeued
+ * in the order they were enqueued. The priority is read from item.priority (defaults to 0). To prevent
+ * low priority items from starving, an item gains one priority level for every agingInterval ms
+ * that it waits in the queue, an agingInterval of 0 disables aging.
+ */
+module.exports = function priorityQueue(agingInterval, getTime) {
+    var entries = [];
+    // unshifted items count down from zero so they are ahead of any item with the same priority
+    var headSeq = 0;
+    var tailSeq = 0;
+    var now = getTime || Date.now;
+
+    function _effectivePriority(entry, time) {
+        var priority = entry.item.priority || 0;
+
+        if (agingInterval > 0) {
+            priority += Math.floor((time - entry.enqueued) / agingInterval);
+        }
+
+        return priority;
+    }
+
+    function _compare(time) {
+        return function(a, b) {
+            var diff = _effectivePriority(b, time) - _effectivePriority(a, time);
+            return diff !== 0 ? diff : a.seq - b.seq;
+        };
+    }
+
+    function _findIndex(id, key) {
+        return _.findIndex(entries, function(entry) {
+            return entry.item[key] === id;
+        });
+    }
+
+    // enqueued can be given to keep the age of items that were previously waiting, ie. on a restart
+    function enqueue(item, enqueued) {
+        entries.push({item: item, enqueued: enqueued || now(), seq: tailSeq++});
+    }
+
+    function unshift(item) {
+        entries.push({item: item, enqueued: now(), seq: --headSeq});
+    }
+
+    function dequeue() {
+        if (entries.length === 0) {
+            return undefined;
+        }
+
+        var compare = _compare(now());
+        var best = 0;
+
+        for (var i = 1; i < entries.length; i++) {
+            if (compare(entries[i], entries[best]) < 0) {
+                best = i;
+            }
+        }
+
+        return entries.splice(best, 1)[0].item;
+    }
+
+    function size() {
+        return entries.length;
+    }
+
+    function remove(id, key) {
+        var index = _findIndex(id, key);
+
+        if (index !== -1) {
+            entries.splice(index, 1);
+        }
+    }
+
+    function each(fn) {
+        entries.slice().forEach(function(entry) {
+            fn(entry.item);
+        });
+    }
+
+    function setPriority(id, key, priority) {
+        var index = _findIndex(id, key);
+
+        if (index === -1) {
+            return false;
+        }
+
+        entries[index].item.priority = priority;
+        return true;
+    }
+
+    // items in the order they will be dequeued, along with their current aged priority
+    function list() {
+        var time = now();
+
+        return entries.slice().sort(_compare(time)).map(function(entry) {
+            return {item: entry.item, priority: _effectivePriority(entry, time), enqueued: entry.enqueued};
+        });
+    }
+
+    return {
+        enqueue: enqueue,
+        unshift: unshift,
+        dequeue: dequeue,
+        size: size,
+        remove: remove,
+        each: each,
+        setPriority: setPriority,
+        list: list
+    };
+};
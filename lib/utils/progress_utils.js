@@ -0,0 +1,77 @@
+'use strict';
+
+var _ = require('lodash');
+
+/*
+ * how much of its keySet an id slicer has covered once it made the slice of key, in number of keys of the keySet.
+ * keys are made in order so everything before the key is covered as well
+ */
+function keyProgress(baseArray, keySet, key) {
+    var covered = 1;
+
+    for (var i = key.length - 1; i > 0; i--) {
+        covered = (baseArray.indexOf(key[i]) + covered) / baseArray.length;
+    }
+
+    return keySet.indexOf(key[0]) + covered;
+}
+
+/*
+ * slicers holds the {total, covered, start} reported by each slicer, start being what was already covered when it
+ * started. made is the number of slices made since then and pending the slices that have not been processed yet.
+ * remaining is the estimated number of slices left to process, both are null if they cannot be estimated yet
+ */
+function estimateProgress(slicers, made, pending) {
+    var list = _.values(slicers);
+    var total = _.sumBy(list, 'total');
+
+    if (list.length === 0 || !(total > 0)) {
+        return {percent_complete: null, remaining: null};
+    }
+
+    var covered = Math.min(_.sumBy(list, 'covered'), total);
+    var perSlice = made > 0 ? (covered - _.sumBy(list, 'start')) / made : 0;
+    var done = Math.min(Math.max((covered - pending * perSlice) / total, 0), 1);
+    var remaining = null;
+
+    if (covered === total) {
+        remaining = pending;
+    }
+    else if (perSlice > 0) {
+        remaining = pending + Math.ceil((total - covered) / perSlice);
+    }
+
+    return {percent_complete: Math.round(done * 10000) / 100, remaining: remaining};
+}
+
+// slices processed per second between the oldest and the newest of the {time, processed} samples
+function throughput(samples) {
+    if (samples.length < 2) {
+        return null;
+    }
+
+    var first = samples[0];
+    var last = samples[samples.length - 1];
+
+    if (last.time <= first.time) {
+        return null;
+    }
+
+    return (last.processed - first.processed) / ((last.time - first.time) / 1000);
+}
+
+// when the remaining slices should be done at the current rate, null if either is unknown
+function estimateEta(remaining, rate, now) {
+    if (remaining === null || !(rate > 0)) {
+        return null;
+    }
+
+    return new Date(now + Math.round(remaining / rate * 1000)).toISOString();
+}
+
+module.exports = {
+    keyProgress: keyProgress,
+    estimateProgress: estimateProgress,
+    throughput: throughput,
+    estimateEta: estimateEta
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+var _ = require('lodash');
+
+var FILTER_FIELDS = {
+    status: '_status',
+    job_id: 'job_id',
+    name: 'name',
+    tag: 'tags',
+    owner: 'owner'
+};
+
+function _quote(val) {
+    return `"${String(val).replace(/(["\\])/g, '\\$1')}"`;
+}
+
+function _terms(field, val) {
+    var values = Array.isArray(val) ? val : String(val).split(',').map(str => str.trim());
+    var terms = values.map(value => `${field}:${_quote(value)}`);
+
+    return terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0];
+}
+
+/*
+ * Builds a lucene query for execution contexts from a set of filters, all filters have to match.
+ * filters can contain a lucene query, status, job_id, name, tag, owner (a value, an array or a comma separated list)
+ * and moderator as connection_type:connection. When no status is given, defaultStatus is used.
+ * Returns null if no filter was given so callers cannot act on every execution by accident
+ */
+function buildExecutionQuery(filters, defaultStatus) {
+    var parts = [];
+
+    if (filters.query) {
+        parts.push(`(${filters.query})`);
+    }
+
+    _.forOwn(FILTER_FIELDS, function(field, key) {
+        if (filters[key] !== undefined && filters[key] !== '') {
+            parts.push(_terms(field, filters[key]));
+        }
+    });
+
+    if (filters.moderator) {
+        var index = filters.moderator.indexOf(':');
+
+        if (index === -1) {
+            throw new Error('moderator filter must be in the format of connection_type:connection, ie. elasticsearch:default');
+        }
+
+        parts.push(`moderator.${filters.moderator.slice(0, index)}:${_quote(filters.moderator.slice(index + 1))}`);
+    }
+
+    if (parts.length === 0) {
+        return null;
+    }
+
+    if (filters.status === undefined && defaultStatus) {
+        parts.push(_terms('_status', defaultStatus));
+    }
+
+    return ['_context:ex'].concat(parts).join(' AND ');
+}
+
+/*
+ * metadata can be filtered with metadata.key=value or metadata[key]=value in the query string,
+ * which express parses into a metadata object
+ */
+function _metadataTerms(filters) {
+    var metadata = _.assign({}, filters.metadata);
+
+    _.forOwn(filters, function(value, key) {
+        if (key.indexOf('metadata.') === 0) {
+            metadata[key.slice('metadata.'.length)] = value;
+        }
+    });
+
+    return _.map(metadata, function(value, key) {
+        if (!/^[\w-]+(\.[\w-]+)*$/.test(key)) {
+            throw new Error(`metadata filter: ${key} is not a valid field name`);
+        }
+
+        return _terms(`metadata.${key}`, value);
+    });
+}
+
+function _date(filters, key) {
+    if (filters[key] === undefined || filters[key] === '') {
+        return '*';
+    }
+
+    var date = new Date(filters[key]);
+
+    if (isNaN(date.getTime())) {
+        throw new Error(`${key} must be a date, was given: ${filters[key]}`);
+    }
+
+    return date.toISOString();
+}
+
+/*
+ * Builds the lucene query used to list jobs or executions, base selects the kind of record and filters can contain
+ * status, name, job_id, tag, owner (a value, an array or a comma separated list), metadata fields,
+ * created_after and created_before
+ */
+function buildListQuery(base, filters) {
+    var parts = [`(${base})`];
+
+    _.forOwn(FILTER_FIELDS, function(field, key) {
+        if (filters[key] !== undefined && filters[key] !== '') {
+            parts.push(_terms(field, filters[key]));
+        }
+    });
+
+    parts = parts.concat(_metadataTerms(filters));
+
+    var start = _date(filters, 'created_after');
+    var end = _date(filters, 'created_before');
+
+    if (start !== '*' || end !== '*') {
+        parts.push(`_created:[${start} TO ${end}]`);
+    }
+
+    return parts.join(' AND ');
+}
+
+var DELIVERY_FILTER_FIELDS = ['ex_id', 'job_id', 'status', 'url', 'delivered'];
+
+// Builds a lucene query for the notification delivery log, matches every delivery if no filter was given
+function buildDeliveryQuery(filters) {
+    var parts = DELIVERY_FILTER_FIELDS
+        .filter(field => filters[field] !== undefined && filters[field] !== '')
+        .map(field => _terms(field, filters[field]));
+
+    return parts.length > 0 ? parts.join(' AND ') : 'delivery_id:*';
+}
+
+module.exports = {
+    buildExecutionQuery: buildExecutionQuery,
+    buildListQuery: buildListQuery,
+    buildDeliveryQuery: buildDeliveryQuery
+};
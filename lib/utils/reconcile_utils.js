@@ -0,0 +1,29 @@
+'use strict';
+
+/*
+ * Determines how an execution that was active when the cluster_master went down should be handled,
+ * based on the slicers and workers the node_masters report for it after the restart.
+ *  adopt - the slicer is still running, missingWorkers is how many workers need to be allocated to it
+ *  requeue - the execution was never started, it can be scheduled again
+ *  recover - the slicer is gone, persistent jobs are restarted through recovery
+ *  terminate - the slicer is gone, once jobs can not be continued
+ */
+function reconcileExecution(ex, slicers, workers) {
+    if (slicers.length > 0) {
+        return {action: 'adopt', missingWorkers: Math.max((ex.workers || 0) - workers.length, 0)};
+    }
+
+    if (ex._status === 'scheduling') {
+        return {action: 'requeue', orphanedWorkers: workers.length};
+    }
+
+    if (ex.lifecycle === 'persistent') {
+        return {action: 'recover', orphanedWorkers: workers.length};
+    }
+
+    return {action: 'terminate', orphanedWorkers: workers.length};
+}
+
+module.exports = {
+    reconcileExecution: reconcileExecution
+};
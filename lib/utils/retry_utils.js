@@ -0,0 +1,104 @@
+'use strict';
+
+var _ = require('lodash');
+
+var RETRY_MODES = ['recover', 'new'];
+
+var DEFAULT_POLICY = {
+    max_attempts: 3,
+    backoff: 30000,
+    multiplier: 2,
+    max_backoff: 3600000,
+    retry_on: [],
+    mode: 'recover'
+};
+
+// throws if the retry_policy of a job is not valid
+function validateRetryPolicy(policy) {
+    if (!_.isPlainObject(policy)) {
+        throw new Error('retry_policy must be an object');
+    }
+
+    ['max_attempts', 'backoff', 'multiplier', 'max_backoff'].forEach(function(key) {
+        if (policy[key] !== undefined && (typeof policy[key] !== 'number' || policy[key] < 0)) {
+            throw new Error(`retry_policy.${key} must be a number that is zero or greater`);
+        }
+    });
+
+    if (policy.max_attempts !== undefined && (!Number.isInteger(policy.max_attempts) || policy.max_attempts < 1)) {
+        throw new Error('retry_policy.max_attempts must be an integer greater than zero');
+    }
+
+    if (policy.retry_on !== undefined) {
+        if (!Array.isArray(policy.retry_on) || !policy.retry_on.every(reason => typeof reason === 'string')) {
+            throw new Error('retry_policy.retry_on must be an array of strings');
+        }
+
+        policy.retry_on.forEach(function(reason) {
+            try {
+                new RegExp(reason);
+            }
+            catch (err) {
+                throw new Error(`retry_policy.retry_on contains an invalid regular expression: ${reason}`);
+            }
+        });
+    }
+
+    if (policy.mode !== undefined && RETRY_MODES.indexOf(policy.mode) === -1) {
+        throw new Error(`retry_policy.mode must be one of: ${RETRY_MODES.join(', ')}`);
+    }
+}
+
+function withDefaults(policy) {
+    return _.assign({}, DEFAULT_POLICY, policy);
+}
+
+// attempt is the attempt that failed, the first execution of a job is attempt 1
+function shouldRetry(policy, attempt, failureReason) {
+    var fullPolicy = withDefaults(policy);
+
+    if (attempt >= fullPolicy.max_attempts) {
+        return false;
+    }
+
+    //an empty list means every failure can be retried
+    if (fullPolicy.retry_on.length === 0) {
+        return true;
+    }
+
+    var reason = typeof failureReason === 'string' ? failureReason : JSON.stringify(failureReason || '');
+
+    return fullPolicy.retry_on.some(function(pattern) {
+        return new RegExp(pattern, 'i').test(reason);
+    });
+}
+
+// time in ms to wait before starting the attempt after the one that failed
+function backoffDelay(policy, attempt) {
+    var fullPolicy = withDefaults(policy);
+    var delay = fullPolicy.backoff * Math.pow(fullPolicy.multiplier, attempt - 1);
+
+    return Math.min(delay, fullPolicy.max_backoff);
+}
+
+// turns the failed state records of an execution into new slices of the same requests,
+// each slice gets a new slice_id from makeId and keeps the slice it retries as retry_of
+function failedSlices(records, makeId) {
+    return records.map(function(record) {
+        return {
+            slice_id: makeId(),
+            slicer_id: record.slicer_id,
+            slicer_order: record.slicer_order,
+            request: JSON.parse(record.request),
+            retry_of: record.slice_id
+        };
+    });
+}
+
+module.exports = {
+    validateRetryPolicy: validateRetryPolicy,
+    withDefaults: withDefaults,
+    shouldRetry: shouldRetry,
+    backoffDelay: backoffDelay,
+    failedSlices: failedSlices
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+var _ = require('lodash');
+
+// fields managed by teraslice that are not part of the job spec that was submitted
+var BOOKKEEPING_FIELDS = ['job_id', '_context', '_created', '_updated', '_revision'];
+
+function jobSpec(job) {
+    return _.omit(job, BOOKKEEPING_FIELDS);
+}
+
+function _diff(from, to, path, changes) {
+    if (_.isEqual(from, to)) {
+        return changes;
+    }
+
+    if (from === undefined) {
+        changes.push({path: path, op: 'added', to: to});
+        return changes;
+    }
+
+    if (to === undefined) {
+        changes.push({path: path, op: 'removed', from: from});
+        return changes;
+    }
+
+    if (Array.isArray(from) && Array.isArray(to)) {
+        _.times(Math.max(from.length, to.length), function(index) {
+            _diff(from[index], to[index], `${path}[${index}]`, changes);
+        });
+        return changes;
+    }
+
+    if (_.isPlainObject(from) && _.isPlainObject(to)) {
+        _.union(Object.keys(from), Object.keys(to)).sort().forEach(function(key) {
+            _diff(from[key], to[key], path ? `${path}.${key}` : key, changes);
+        });
+        return changes;
+    }
+
+    changes.push({path: path, op: 'changed', from: from, to: to});
+    return changes;
+}
+
+// returns the list of changes needed to go from one job spec to the other, ie. {path: 'operations[0].size', op: 'changed', from: 5000, to: 10000}
+function diffSpecs(from, to) {
+    return _diff(jobSpec(from), jobSpec(to), '', []);
+}
+
+module.exports = {
+    jobSpec: jobSpec,
+    diffSpecs: diffSpecs
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+var moment = require('moment');
+
+// partitions are named by the utc date they start on, ie. teracluster__state-2017.06.14
+var ROTATION_FORMATS = {
+    daily: {format: 'YYYY.MM.DD', unit: 'day'},
+    monthly: {format: 'YYYY.MM', unit: 'month'}
+};
+
+function isRotated(rotation) {
+    return !!ROTATION_FORMATS[rotation];
+}
+
+// name of the partition of the index that a record written at date belongs to
+function partitionName(index_name, rotation, date) {
+    if (!isRotated(rotation)) {
+        return index_name;
+    }
+
+    return `${index_name}-${moment.utc(date).format(ROTATION_FORMATS[rotation].format)}`;
+}
+
+// start of the partition, or null if the name does not belong to a partition of the index
+function partitionStart(index_name, rotation, partition) {
+    var prefix = `${index_name}-`;
+
+    if (!isRotated(rotation) || partition.indexOf(prefix) !== 0) {
+        return null;
+    }
+
+    var start = moment.utc(partition.slice(prefix.length), ROTATION_FORMATS[rotation].format, true);
+
+    return start.isValid() ? start : null;
+}
+
+// partitions that only hold records older than retentionDays, retentionDays of 0 keeps every partition
+function expiredPartitions(partitions, index_name, rotation, retentionDays, now) {
+    if (!isRotated(rotation) || !retentionDays) {
+        return [];
+    }
+
+    var cutoff = moment.utc(now).subtract(retentionDays, 'days');
+
+    return partitions.filter(function(partition) {
+        var start = partitionStart(index_name, rotation, partition);
+        return start !== null && start.add(1, ROTATION_FORMATS[rotation].unit).isSameOrBefore(cutoff);
+    }).sort();
+}
+
+module.exports = {
+    ROTATION_OPTIONS: ['none'].concat(Object.keys(ROTATION_FORMATS)),
+    isRotated: isRotated,
+    partitionName: partitionName,
+    partitionStart: partitionStart,
+    expiredPartitions: expiredPartitions
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+var _ = require('lodash');
+var moment = require('moment');
+
+var PARAMETER_TYPES = ['string', 'number', 'boolean', 'date'];
+
+// matches {{name}} placeholders, whitespace inside of the braces is allowed
+var PLACEHOLDER = /{{\s*([\w-]+)\s*}}/g;
+var WHOLE_PLACEHOLDER = /^{{\s*([\w-]+)\s*}}$/;
+
+function _walk(value, fn) {
+    if (Array.isArray(value)) {
+        return value.map(function(item) {
+            return _walk(item, fn);
+        });
+    }
+
+    if (_.isPlainObject(value)) {
+        return _.mapValues(value, function(item) {
+            return _walk(item, fn);
+        });
+    }
+
+    if (typeof value === 'string') {
+        return fn(value);
+    }
+
+    return value;
+}
+
+// returns the names of all parameters used in the job of a template
+function findPlaceholders(job) {
+    var names = {};
+
+    _walk(job, function(str) {
+        str.replace(PLACEHOLDER, function(match, name) {
+            names[name] = true;
+        });
+        return str;
+    });
+
+    return Object.keys(names).sort();
+}
+
+function _coerce(name, param, value) {
+    if (param.type === 'number') {
+        var num = typeof value === 'number' ? value : Number(value);
+        if (value === '' || isNaN(num)) {
+            throw new Error(`parameter "${name}" must be a number, was given: ${JSON.stringify(value)}`);
+        }
+        return num;
+    }
+
+    if (param.type === 'boolean') {
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        throw new Error(`parameter "${name}" must be a boolean, was given: ${JSON.stringify(value)}`);
+    }
+
+    if (param.type === 'date') {
+        if (typeof value !== 'string' || !moment(value, moment.ISO_8601, true).isValid()) {
+            throw new Error(`parameter "${name}" must be an ISO 8601 date, was given: ${JSON.stringify(value)}`);
+        }
+        return value;
+    }
+
+    if (typeof value !== 'string') {
+        throw new Error(`parameter "${name}" must be a string, was given: ${JSON.stringify(value)}`);
+    }
+    return value;
+}
+
+// throws if the template is not well formed, a template is {name, description, parameters, job}
+function validateTemplate(template) {
+    if (!template || typeof template.name !== 'string' || !template.name.match(/^[\w-]+$/)) {
+        throw new Error('template needs a name made up of letters, numbers, underscores or dashes');
+    }
+
+    if (!_.isPlainObject(template.job) || !Array.isArray(template.job.operations)) {
+        throw new Error('template needs a job that has an operations array');
+    }
+
+    var parameters = template.parameters || {};
+
+    if (!_.isPlainObject(parameters)) {
+        throw new Error('template parameters needs to be an object of parameter name => {type, default, description}');
+    }
+
+    _.forOwn(parameters, function(param, name) {
+        if (!param || PARAMETER_TYPES.indexOf(param.type) === -1) {
+            throw new Error(`parameter "${name}" needs a type of: ${PARAMETER_TYPES.join(', ')}`);
+        }
+
+        if (param.default !== undefined) {
+            _coerce(name, param, param.default);
+        }
+    });
+
+    var undeclared = findPlaceholders(template.job).filter(name => !parameters[name]);
+
+    if (undeclared.length > 0) {
+        throw new Error(`template job uses parameters that are not declared: ${undeclared.join(', ')}`);
+    }
+}
+
+/*
+ * Returns the job of the template with its placeholders replaced by the given values or the parameter defaults.
+ * A placeholder that makes up a whole string is replaced with the typed value, ie. "{{size}}" => 5000,
+ * otherwise the value is inserted into the string, ie. "logs-{{date}}" => "logs-2016.07.29"
+ */
+function renderTemplate(template, values) {
+    var parameters = template.parameters || {};
+    var given = values || {};
+    var resolved = {};
+    var errors = [];
+
+    _.forOwn(given, function(value, name) {
+        if (!parameters[name]) {
+            errors.push(`parameter "${name}" is not declared by template: ${template.name}`);
+        }
+    });
+
+    _.forOwn(parameters, function(param, name) {
+        var value = given[name] !== undefined ? given[name] : param.default;
+
+        if (value === undefined) {
+            errors.push(`parameter "${name}" is required by template: ${template.name}`);
+            return;
+        }
+
+        try {
+            resolved[name] = _coerce(name, param, value);
+        }
+        catch (err) {
+            errors.push(err.message);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+    }
+
+    return _walk(template.job, function(str) {
+        var whole = str.match(WHOLE_PLACEHOLDER);
+
+        if (whole) {
+            return resolved[whole[1]];
+        }
+
+        return str.replace(PLACEHOLDER, function(match, name) {
+            return String(resolved[name]);
+        });
+    });
+}
+
+module.exports = {
+    findPlaceholders: findPlaceholders,
+    validateTemplate: validateTemplate,
+    renderTemplate: renderTemplate
+};
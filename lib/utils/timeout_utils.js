@@ -0,0 +1,32 @@
+'use strict';
+
+/*
+ * Checks the max_runtime and stall_timeout of a job against the progress of its execution.
+ * started and lastProgress are times in ms, stalls are not checked while the execution is paused.
+ * Returns the reason the execution should be failed, or null if it is within its limits
+ */
+function checkTimeouts(jobConfig, started, lastProgress, now, isPaused) {
+    if (jobConfig.max_runtime && now - started > jobConfig.max_runtime) {
+        return `execution exceeded its max_runtime of ${jobConfig.max_runtime} ms`;
+    }
+
+    if (jobConfig.stall_timeout && !isPaused && now - lastProgress > jobConfig.stall_timeout) {
+        return `execution stalled, no slice has completed within the stall_timeout of ${jobConfig.stall_timeout} ms`;
+    }
+
+    return null;
+}
+
+// convict format used for the timeout settings of a job
+function timeoutFormat(name) {
+    return function(val) {
+        if (val !== null && (typeof val !== 'number' || val <= 0)) {
+            throw new Error(`${name} must be a number of milliseconds greater than zero`)
+        }
+    };
+}
+
+module.exports = {
+    checkTimeouts: checkTimeouts,
+    timeoutFormat: timeoutFormat
+};
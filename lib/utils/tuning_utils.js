@@ -0,0 +1,91 @@
+'use strict';
+
+var _ = require('lodash');
+var dateOptions = require('./date_utils').dateOptions;
+
+// fields of a running execution that can be changed, by the reader of the execution
+var TUNABLE_FIELDS = {
+    elasticsearch_reader: ['slicers', 'size', 'interval'],
+    id_reader: ['size']
+};
+
+// the tuning given as query parameters, only the fields that were given are set
+function parseTuning(query) {
+    var tuning = {};
+
+    ['slicers', 'size'].forEach(function(field) {
+        if (query[field] !== undefined) {
+            tuning[field] = Number(query[field]);
+        }
+    });
+
+    if (query.interval !== undefined) {
+        tuning.interval = query.interval;
+    }
+
+    return tuning;
+}
+
+function _validInterval(interval) {
+    var parts = /^(\d+)([a-z]+)$/i.exec(interval);
+
+    if (parts === null || Number(parts[1]) < 1) {
+        return false;
+    }
+
+    try {
+        dateOptions(parts[2]);
+        return true;
+    }
+    catch (err) {
+        return false;
+    }
+}
+
+// throws if the tuning cannot be applied to the execution
+function validateTuning(ex, tuning) {
+    var fields = Object.keys(tuning);
+    var reader = ex.operations[0]._op;
+
+    if (fields.length === 0) {
+        throw new Error('must provide slicers, size and/or interval');
+    }
+
+    ['slicers', 'size'].forEach(function(field) {
+        if (tuning[field] !== undefined && (!Number.isInteger(tuning[field]) || tuning[field] < 1)) {
+            throw new Error(`${field} must be an integer >= one`);
+        }
+    });
+
+    if (tuning.interval !== undefined && !_validInterval(tuning.interval)) {
+        throw new Error('interval needs to follow [number][letter\'s] format, e.g. "12s"');
+    }
+
+    var unsupported = _.difference(fields, TUNABLE_FIELDS[reader] || []);
+    if (unsupported.length > 0) {
+        throw new Error(`${unsupported.join(', ')} cannot be changed for executions using the ${reader}`);
+    }
+
+    if (tuning.slicers !== undefined && ex.lifecycle !== 'persistent') {
+        throw new Error('slicers can only be changed on persistent executions, the range of a once execution is divided among its slicers when it starts');
+    }
+
+    if (ex._retry_failed_of) {
+        throw new Error(`execution: ${ex.ex_id} is retrying the failed slices of ex_id: ${ex._retry_failed_of} and does not make new slices`);
+    }
+}
+
+// the values of the tunable fields before the change
+function currentTuning(ex) {
+    return {
+        slicers: ex.slicers,
+        size: ex.operations[0].size,
+        interval: ex.operations[0].interval
+    };
+}
+
+module.exports = {
+    parseTuning: parseTuning,
+    validateTuning: validateTuning,
+    currentTuning: currentTuning
+};
@@ -33,6 +33,21 @@ describe('When passed a valid jobSchema and jobConfig', function() {
                 {_op: 'noop'}
             ],
             assets: null,
+            schedule: null,
+            priority: 0,
+            depends_on: null,
+            max_runtime: null,
+            stall_timeout: null,
+            placement: null,
+            min_workers: null,
+            max_workers: null,
+            share_weight: 1,
+            team: null,
+            tags: [],
+            owner: null,
+            metadata: {},
+            retry_policy: null,
+            notifications: null,
             moderator: null
         };
 
@@ -0,0 +1,57 @@
+'use strict';
+
+describe('job validator', function() {
+
+    var context = {
+        sysconfig: {
+            teraslice: {
+                ops_directory: ''
+            }
+        }
+    };
+
+    var jobValidator = require('../../../lib/config/validators/job')(context);
+
+    it('validateAll returns the defaulted job without errors for a valid job', function() {
+        var results = jobValidator.validateAll({
+            operations: [{_op: 'noop'}, {_op: 'elasticsearch_index_selector', index: 'some_index', type: 'events'}]
+        });
+
+        expect(results.errors).toEqual([]);
+        expect(results.job.lifecycle).toEqual('once');
+        expect(results.job.priority).toEqual(0);
+        expect(results.job.operations[1].preserve_id).toEqual(false);
+    });
+
+    it('validateAll collects every job and operation error', function() {
+        var results = jobValidator.validateAll({
+            workers: 'a',
+            priority: 1.5,
+            operations: [
+                {_op: 'noop'},
+                {_op: 'some_missing_op'},
+                {_op: 'elasticsearch_index_selector', index: 'UPPER'},
+                {_op: 'elasticsearch_index_selector', index: 'some_index', timeseries: 'daily'}
+            ]
+        });
+
+        var paths = results.errors.map(err => err.path);
+
+        expect(paths).toEqual(['workers', 'priority', 'operations[1]', 'operations[2].index', 'operations[3]']);
+        expect(results.errors[1].message).toMatch(/priority for job must be an integer/);
+        expect(results.errors[2].op).toEqual('some_missing_op');
+        expect(results.errors[3].message).toMatch(/index must be lowercase/);
+        expect(results.errors[4].message).toMatch(/must all be used together/);
+    });
+
+    it('validateAll reports operations that are not objects', function() {
+        var results = jobValidator.validateAll({
+            operations: [{_op: 'noop'}, 'noop']
+        });
+
+        expect(results.errors.length).toEqual(1);
+        expect(results.errors[0].path).toEqual('operations[1]');
+        expect(results.errors[0].message).toMatch(/operation must be an object/);
+    });
+
+});
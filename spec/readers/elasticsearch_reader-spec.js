@@ -136,6 +136,47 @@ describe('elasticsearch_reader', function() {
 
     });
 
+    it('tune keeps the interval in the slicer and logs an interval it cannot use', function(done) {
+        var opConfig = {
+            _op: 'elasticsearch_reader',
+            time_resolution: 's',
+            date_field_name: '@timestamp',
+            size: 50,
+            index: 'someIndex',
+            interval: '12hrs',
+            start: new Date(),
+            end: new Date()
+        };
+        var jobConfig = {jobConfig: {lifecycle: 'once', slicers: 1, operations: [opConfig]}};
+        var tuned = [];
+
+        function onTuned(change) {
+            tuned.push(change);
+        }
+
+        eventEmitter.on('slicer:tuned', onTuned);
+        spyOn(context.logger, 'error');
+
+        Promise.resolve(es_reader.newSlicer(context, jobConfig, [], {}, context.logger))
+            .then(function() {
+                var interval = opConfig.interval;
+
+                expect(function() {
+                    eventEmitter.emit('slicer:tune', {interval: 'often'});
+                }).not.toThrow();
+                expect(context.logger.error).toHaveBeenCalled();
+
+                eventEmitter.emit('slicer:tune', {interval: '1hr'});
+                expect(tuned).toContain({operation: {interval: '1hr'}});
+                expect(opConfig.interval).toEqual(interval);
+            })
+            .catch(fail)
+            .finally(function() {
+                eventEmitter.removeListener('slicer:tuned', onTuned);
+                done();
+            });
+    });
+
     it('slicers will throw if date_field_name does not exist on docs in the index', function(done) {
         var opConfig = {
             _op: 'elasticsearch_reader',
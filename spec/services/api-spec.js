@@ -0,0 +1,397 @@
+'use strict';
+
+var Promise = require('bluebird');
+var events = require('events');
+var express = require('express');
+var request = require('request');
+
+describe('api service', function() {
+
+    var logger = {
+        error: function() {
+        },
+        debug: function() {
+        },
+        info: function() {
+        },
+        warn: function() {
+        },
+        trace: function() {
+        }
+    };
+
+    var context = {
+        sysconfig: {
+            teraslice: {
+                master_hostname: 'localhost',
+                timeout: 1000
+            }
+        },
+        foundation: {
+            makeLogger: function() {
+                return logger
+            },
+            getEventEmitter: function() {
+                return eventEmitter;
+            }
+        }
+    };
+
+    var eventEmitter;
+    var server;
+    var api;
+    var jobs_service;
+
+    // resolves the status code and body of a request to the api
+    function apiRequest(method, path, body) {
+        return new Promise(function(resolve, reject) {
+            var options = {method: method, url: `http://localhost:${server.address().port}${path}`, json: body || true};
+
+            request(options, function(err, response) {
+                if (err) {
+                    return reject(err);
+                }
+                resolve({status: response.statusCode, body: response.body, headers: response.headers});
+            });
+        });
+    }
+
+    beforeEach(function(done) {
+        var app = express();
+        eventEmitter = new events.EventEmitter();
+        jobs_service = {};
+
+        require('../../lib/cluster/services/api')(context, app, [{}, jobs_service, {}, {}])
+            .then(function(service) {
+                api = service;
+                server = app.listen(0, done);
+            })
+            .catch(function(err) {
+                fail(err);
+                done();
+            });
+    });
+
+    afterEach(function(done) {
+        api.shutdown()
+            .then(function() {
+                server.close(done);
+            });
+    });
+
+    describe('POST /ex/:ex_id/_priority', function() {
+
+        it('changes the priority of a pending execution', function(done) {
+            jobs_service.setExecutionPriority = jasmine.createSpy('setExecutionPriority')
+                .and.returnValue(Promise.resolve({ex_id: 'ex1', priority: 10}));
+
+            apiRequest('POST', '/ex/ex1/_priority?priority=10')
+                .then(function(response) {
+                    expect(jobs_service.setExecutionPriority).toHaveBeenCalledWith('ex1', 10);
+                    expect(response.status).toEqual(200);
+                    expect(response.body).toEqual({ex_id: 'ex1', priority: 10});
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with a 400 if the priority is not an integer', function(done) {
+            jobs_service.setExecutionPriority = jasmine.createSpy('setExecutionPriority');
+
+            Promise.all([
+                apiRequest('POST', '/ex/ex1/_priority'),
+                apiRequest('POST', '/ex/ex1/_priority?priority=1.5')
+            ])
+                .then(function(responses) {
+                    expect(responses.map(response => response.status)).toEqual([400, 400]);
+                    expect(jobs_service.setExecutionPriority).not.toHaveBeenCalled();
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with the code of the error from the jobs service', function(done) {
+            jobs_service.setExecutionPriority = function(ex_id) {
+                if (ex_id === 'missing') {
+                    return Promise.reject({message: `execution: ${ex_id} could not be found`, code: 404});
+                }
+                return Promise.reject({message: `execution: ${ex_id} is running, its priority can only be changed before it is scheduled`, code: 409});
+            };
+
+            Promise.all([
+                apiRequest('POST', '/ex/missing/_priority?priority=1'),
+                apiRequest('POST', '/ex/ex1/_priority?priority=1')
+            ])
+                .spread(function(missing, scheduled) {
+                    expect(missing.status).toEqual(404);
+                    expect(missing.body).toEqual({error: 404, message: 'execution: missing could not be found'});
+                    expect(scheduled.status).toEqual(409);
+                    expect(scheduled.body.message).toMatch(/can only be changed before it is scheduled/);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('POST /ex/_stop, /ex/_pause and /ex/_resume', function() {
+
+        it('sends the filters of the query and the body to the jobs service', function(done) {
+            jobs_service.bulkNotify = jasmine.createSpy('bulkNotify')
+                .and.returnValue(Promise.resolve({action: 'pause', dry_run: false, total: 0, failed: 0, executions: []}));
+
+            apiRequest('POST', '/ex/_pause?moderator=elasticsearch:default', {tag: 'nightly'})
+                .then(function(response) {
+                    expect(response.status).toEqual(200);
+                    expect(jobs_service.bulkNotify).toHaveBeenCalledWith({moderator: 'elasticsearch:default', tag: 'nightly'}, 'pause', false);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('passes dry_run on separately for each action', function(done) {
+            jobs_service.bulkNotify = jasmine.createSpy('bulkNotify').and.returnValue(Promise.resolve({}));
+
+            Promise.all([
+                apiRequest('POST', '/ex/_stop?job_id=job1&dry_run=true'),
+                apiRequest('POST', '/ex/_resume', {status: 'paused', dry_run: true})
+            ])
+                .then(function() {
+                    expect(jobs_service.bulkNotify).toHaveBeenCalledWith({job_id: 'job1'}, 'stop', true);
+                    expect(jobs_service.bulkNotify).toHaveBeenCalledWith({status: 'paused'}, 'resume', true);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with a 400 if the filters are rejected', function(done) {
+            jobs_service.bulkNotify = function() {
+                return Promise.reject('must provide a query or at least one filter of status, job_id, name, moderator or tag');
+            };
+
+            apiRequest('POST', '/ex/_stop')
+                .then(function(response) {
+                    expect(response.status).toEqual(400);
+                    expect(response.body.message).toMatch(/must provide a query/);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('DELETE /jobs/:job_id and /ex/:ex_id', function() {
+
+        it('responds with what was deleted', function(done) {
+            jobs_service.deleteJob = jasmine.createSpy('deleteJob')
+                .and.returnValue(Promise.resolve({job_id: 'job1', revisions: 2, executions: 1}));
+
+            apiRequest('DELETE', '/jobs/job1')
+                .then(function(response) {
+                    expect(jobs_service.deleteJob).toHaveBeenCalledWith('job1');
+                    expect(response.status).toEqual(200);
+                    expect(response.body).toEqual({job_id: 'job1', revisions: 2, executions: 1});
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with a 404 if the job or execution does not exist', function(done) {
+            jobs_service.deleteJob = () => Promise.reject({message: 'job: job1 could not be found', code: 404});
+            jobs_service.deleteExecution = () => Promise.reject({message: 'execution: ex1 could not be found', code: 404});
+
+            Promise.all([apiRequest('DELETE', '/jobs/job1'), apiRequest('DELETE', '/ex/ex1')])
+                .spread(function(job, ex) {
+                    expect(job.status).toEqual(404);
+                    expect(job.body).toEqual({error: 404, message: 'job: job1 could not be found'});
+                    expect(ex.status).toEqual(404);
+                    expect(ex.body).toEqual({error: 404, message: 'execution: ex1 could not be found'});
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with a 409 if the job or execution is still in use', function(done) {
+            jobs_service.deleteJob = () => Promise.reject({message: 'job: job1 cannot be deleted, jobs: job2 depend on it', code: 409});
+            jobs_service.deleteExecution = () => Promise.reject({message: 'execution: ex1 is running, it must be stopped before it can be deleted', code: 409});
+
+            Promise.all([apiRequest('DELETE', '/jobs/job1'), apiRequest('DELETE', '/ex/ex1')])
+                .spread(function(job, ex) {
+                    expect(job.status).toEqual(409);
+                    expect(job.body.message).toMatch(/depend on it/);
+                    expect(ex.status).toEqual(409);
+                    expect(ex.body.message).toMatch(/must be stopped/);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with a 500 for errors without a code', function(done) {
+            jobs_service.deleteExecution = () => Promise.reject(new Error('connection refused'));
+
+            apiRequest('DELETE', '/ex/ex1')
+                .then(function(response) {
+                    expect(response.status).toEqual(500);
+                    expect(response.body.message).toMatch(/connection refused/);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('POST /ex/:ex_id/_retry_failed', function() {
+
+        it('responds with the execution that retries the failed slices', function(done) {
+            jobs_service.retryFailedSlices = jasmine.createSpy('retryFailedSlices')
+                .and.returnValue(Promise.resolve({ex_id: 'ex2', job_id: 'job1', retry_failed_of: 'ex1', slices: 3}));
+
+            apiRequest('POST', '/ex/ex1/_retry_failed')
+                .then(function(response) {
+                    expect(jobs_service.retryFailedSlices).toHaveBeenCalledWith('ex1');
+                    expect(response.status).toEqual(200);
+                    expect(response.body).toEqual({ex_id: 'ex2', job_id: 'job1', retry_failed_of: 'ex1', slices: 3});
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with the code of the error from the jobs service', function(done) {
+            var errors = {
+                missing: {message: 'execution: missing could not be found', code: 404},
+                running: {message: 'execution: running is running, its failed slices can only be retried once it has stopped', code: 409},
+                clean: {message: 'execution: clean has no failed slices to retry', code: 400}
+            };
+            jobs_service.retryFailedSlices = ex_id => Promise.reject(errors[ex_id]);
+
+            Promise.map(['missing', 'running', 'clean'], ex_id => apiRequest('POST', `/ex/${ex_id}/_retry_failed`))
+                .then(function(responses) {
+                    expect(responses.map(response => response.status)).toEqual([404, 409, 400]);
+                    expect(responses[2].body.message).toEqual('execution: clean has no failed slices to retry');
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('notification secrets', function() {
+
+        var notifications = [{url: 'https://hooks.example.com/teraslice', secret: 'abc'}, {url: 'https://other.example.com'}];
+        var redacted = [{url: 'https://hooks.example.com/teraslice', secret: '[redacted]'}, {url: 'https://other.example.com'}];
+
+        it('are redacted from jobs and executions', function(done) {
+            jobs_service.getJob = () => Promise.resolve({job_id: 'job1', notifications: notifications});
+            jobs_service.getExecutionContext = () => Promise.resolve({ex_id: 'ex1', job_id: 'job1', notifications: notifications});
+            jobs_service.listJobs = () => Promise.resolve({total: 1, cursor: null, records: [{job_id: 'job1', notifications: notifications}]});
+            jobs_service.getExecutionContexts = () => Promise.resolve([{ex_id: 'ex1', notifications: notifications}]);
+
+            Promise.all([
+                apiRequest('GET', '/jobs/job1'),
+                apiRequest('GET', '/ex/ex1'),
+                apiRequest('GET', '/jobs?envelope=true'),
+                apiRequest('GET', '/ex?from=0')
+            ])
+                .spread(function(job, ex, jobPage, exList) {
+                    expect(job.body.notifications).toEqual(redacted);
+                    expect(ex.body.notifications).toEqual(redacted);
+                    expect(jobPage.body.records[0].notifications).toEqual(redacted);
+                    expect(exList.body[0].notifications).toEqual(redacted);
+                    expect(notifications[0].secret).toEqual('abc');
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('are redacted from revisions and their diffs', function(done) {
+            jobs_service.getRevisions = () => Promise.resolve([{job_id: 'job1', _revision: 2, spec: {notifications: notifications}}]);
+            jobs_service.diffRevisions = () => Promise.resolve({
+                job_id: 'job1',
+                from: 1,
+                to: 2,
+                changes: [{path: 'notifications[0].secret', op: 'changed', from: 'abc', to: 'def'}]
+            });
+
+            Promise.all([apiRequest('GET', '/jobs/job1/revisions'), apiRequest('GET', '/jobs/job1/revisions/_diff?from=1')])
+                .spread(function(revisions, diff) {
+                    expect(revisions.body[0].spec.notifications).toEqual(redacted);
+                    expect(diff.body.changes).toEqual([{path: 'notifications[0].secret', op: 'changed', from: '[redacted]', to: '[redacted]'}]);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('GET /jobs/:job_id/ex', function() {
+
+        var page = {total: 3, cursor: 'next_page', records: [{ex_id: 'ex3'}, {ex_id: 'ex2'}]};
+
+        it('pages through the executions of the job with a cursor', function(done) {
+            jobs_service.listExecutions = jasmine.createSpy('listExecutions').and.returnValue(Promise.resolve(page));
+
+            apiRequest('GET', '/jobs/job1/ex?size=2&status=failed')
+                .then(function(response) {
+                    expect(jobs_service.listExecutions).toHaveBeenCalledWith({status: 'failed', job_id: 'job1'}, {size: 2, order: 'desc', after: null, envelope: false});
+                    expect(response.status).toEqual(200);
+                    expect(response.body).toEqual(page.records);
+                    expect(response.headers['x-total-count']).toEqual('3');
+                    expect(response.headers['x-next-cursor']).toEqual('next_page');
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with the latest execution without any list parameters', function(done) {
+            jobs_service.listExecutions = jasmine.createSpy('listExecutions');
+            jobs_service.getLatestExecution = () => Promise.resolve('ex3');
+            jobs_service.getExecutionContext = ex_id => Promise.resolve({ex_id: ex_id, job_id: 'job1'});
+
+            apiRequest('GET', '/jobs/job1/ex')
+                .then(function(response) {
+                    expect(jobs_service.listExecutions).not.toHaveBeenCalled();
+                    expect(response.body).toEqual({ex_id: 'ex3', job_id: 'job1'});
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with a 400 for invalid list parameters', function(done) {
+            jobs_service.listExecutions = jasmine.createSpy('listExecutions');
+
+            Promise.all([
+                apiRequest('GET', '/jobs/job1/ex?size=0'),
+                apiRequest('GET', '/jobs/job1/ex?cursor=next_page&sort=_created:asc')
+            ])
+                .spread(function(size, cursorAndSort) {
+                    expect(size.status).toEqual(400);
+                    expect(cursorAndSort.status).toEqual(400);
+                    expect(cursorAndSort.body.message).toEqual('from and sort cannot be used along with cursor');
+                    expect(jobs_service.listExecutions).not.toHaveBeenCalled();
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('GET /jobs and /ex', function() {
+
+        it('use the offset pagination when from or sort is given without a cursor', function(done) {
+            jobs_service.getJobs = jasmine.createSpy('getJobs').and.returnValue(Promise.resolve([{job_id: 'job1'}]));
+            jobs_service.getExecutionContexts = jasmine.createSpy('getExecutionContexts').and.returnValue(Promise.resolve([{ex_id: 'ex1'}]));
+
+            Promise.all([apiRequest('GET', '/jobs?from=10&size=5'), apiRequest('GET', '/ex?sort=_created:asc&status=running')])
+                .spread(function(jobs, executions) {
+                    expect(jobs_service.getJobs).toHaveBeenCalledWith('10', '5', undefined, {});
+                    expect(jobs.body).toEqual([{job_id: 'job1'}]);
+                    expect(jobs_service.getExecutionContexts).toHaveBeenCalledWith(null, undefined, undefined, '_created:asc', {status: 'running'});
+                    expect(executions.body).toEqual([{ex_id: 'ex1'}]);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+});
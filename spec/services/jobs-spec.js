@@ -0,0 +1,346 @@
+'use strict';
+
+var _ = require('lodash');
+var Promise = require('bluebird');
+var events = require('events');
+
+describe('jobs service', function() {
+
+    var logger = {
+        error: function() {
+        },
+        debug: function() {
+        },
+        info: function() {
+        },
+        warn: function() {
+        },
+        trace: function() {
+        }
+    };
+
+    var eventEmitter;
+
+    var context = {
+        sysconfig: {
+            teraslice: {
+                ops_directory: '',
+                state: {connection: 'default'},
+                node_reconnect_wait: 60000,
+                index_retention_days: 0,
+                max_concurrent_allocations: 1,
+                priority_aging_interval: 0
+            }
+        },
+        foundation: {
+            makeLogger: function() {
+                return logger
+            },
+            getEventEmitter: function() {
+                return eventEmitter;
+            }
+        },
+        logger: logger
+    };
+
+    // no workers are available so executions stay in the pending queue once they are enqueued
+    var cluster_service = {
+        availableWorkers: () => 0,
+        placementReason: () => null,
+        removeFromQueue: function() {
+        },
+        broadcast: function() {
+        },
+        checkModerator: () => Promise.resolve([])
+    };
+
+    // in memory records of a store, search resolves what the spec sets for the query
+    function fakeStore(idField) {
+        var store = {
+            records: {},
+            searches: {},
+            get: function(id) {
+                return Promise.resolve(store.records[id] ? _.cloneDeep(store.records[id]) : undefined);
+            },
+            update: function(id, doc) {
+                store.records[id] = _.assign({}, store.records[id], doc);
+                return Promise.resolve();
+            },
+            create: function(record) {
+                record[idField] = record[idField] || `${idField}_${_.size(store.records) + 1}`;
+                store.records[record[idField]] = _.cloneDeep(record);
+                return Promise.resolve(record);
+            },
+            search: function(query) {
+                var found = _.find(store.searches, (results, pattern) => query.indexOf(pattern) !== -1);
+                return Promise.resolve(found || []);
+            },
+            createRevision: () => Promise.resolve(),
+            getJobs: () => Promise.resolve([]),
+            getExecutionContexts: () => Promise.resolve([]),
+            removeCheckpoint: () => Promise.resolve(),
+            shutdown: () => Promise.resolve()
+        };
+        return store;
+    }
+
+    var storagePaths = ['jobs', 'state', 'analytics'].map(name => require.resolve(`../../lib/cluster/storage/${name}`));
+    var job_store;
+    var ex_store;
+    var jobs_service;
+
+    function stubStorage(path, factory) {
+        require.cache[path] = {id: path, filename: path, loaded: true, exports: factory};
+    }
+
+    // resolves once check returns true, checking every few ms as the service works through its timers and promises
+    function waitFor(check) {
+        return new Promise(function(resolve, reject) {
+            var started = Date.now();
+            var timer = setInterval(function() {
+                if (check()) {
+                    clearInterval(timer);
+                    resolve();
+                }
+                else if (Date.now() - started > 2000) {
+                    clearInterval(timer);
+                    reject(new Error('timed out waiting on the jobs service'));
+                }
+            }, 5);
+        });
+    }
+
+    function startService() {
+        return require('../../lib/cluster/services/jobs')(context, cluster_service)
+            .then(function(service) {
+                jobs_service = service;
+            });
+    }
+
+    beforeEach(function() {
+        eventEmitter = new events.EventEmitter();
+        job_store = fakeStore('job_id');
+        ex_store = fakeStore('ex_id');
+
+        stubStorage(storagePaths[0], (ctx, type) => Promise.resolve(type === 'job' ? job_store : ex_store));
+        stubStorage(storagePaths[1], () => Promise.resolve(fakeStore('ex_id')));
+        stubStorage(storagePaths[2], () => Promise.resolve(fakeStore('ex_id')));
+    });
+
+    afterEach(function(done) {
+        storagePaths.forEach(path => delete require.cache[path]);
+
+        if (!jobs_service) {
+            return done();
+        }
+
+        jobs_service.shutdown()
+            .catch(fail)
+            .finally(function() {
+                jobs_service = null;
+                done();
+            });
+    });
+
+    describe('retry_policy', function() {
+
+        function failedExecution(policy, fields) {
+            ex_store.records.ex1 = _.assign({ex_id: 'ex1', job_id: 'job1', _status: 'running', retry_policy: policy}, fields);
+        }
+
+        it('recovers a failed execution once its backoff has passed', function(done) {
+            failedExecution({max_attempts: 3, backoff: 0, mode: 'recover'});
+
+            startService()
+                .then(function() {
+                    eventEmitter.emit('cluster:job_failure', {ex_id: 'ex1', error: 'slicer died'});
+                    return waitFor(() => ex_store.records.ex1._attempt === 2 && ex_store.records.ex1._retry_at === null);
+                })
+                .then(function() {
+                    var ex = ex_store.records.ex1;
+
+                    expect(ex._status).toEqual('pending');
+                    expect(ex._retry_abandoned).toEqual(null);
+                    expect(ex._attempts.length).toEqual(1);
+                    expect(ex._attempts[0]).toEqual(jasmine.objectContaining({attempt: 1, ex_id: 'ex1', reason: 'slicer died'}));
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('starts a new execution of the job in new mode', function(done) {
+            failedExecution({max_attempts: 3, backoff: 0, mode: 'new'});
+            job_store.records.job1 = {job_id: 'job1', name: 'reindex', retry_policy: {max_attempts: 3, backoff: 0, mode: 'new'}};
+
+            startService()
+                .then(function() {
+                    eventEmitter.emit('cluster:job_failure', {ex_id: 'ex1', error: 'slicer died'});
+                    return waitFor(() => _.some(ex_store.records, {_retry_of: 'ex1'}) && ex_store.records.ex1._retry_at === null);
+                })
+                .then(function() {
+                    var retry = _.find(ex_store.records, {_retry_of: 'ex1'});
+
+                    expect(retry._attempt).toEqual(2);
+                    expect(retry._status).toEqual('pending');
+                    expect(ex_store.records.ex1._status).toEqual('failed');
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('records why a retry was abandoned when the job already has an active execution', function(done) {
+            failedExecution({max_attempts: 3, backoff: 0, mode: 'recover'});
+            //the search for an active execution of the job excludes the finished statuses
+            ex_store.searches['_context:ex NOT ('] = [{ex_id: 'ex2', job_id: 'job1', _status: 'running'}];
+
+            startService()
+                .then(function() {
+                    eventEmitter.emit('cluster:job_failure', {ex_id: 'ex1', error: 'slicer died'});
+                    return waitFor(() => ex_store.records.ex1._retry_abandoned);
+                })
+                .then(function() {
+                    var ex = ex_store.records.ex1;
+
+                    expect(ex._status).toEqual('failed');
+                    expect(ex._attempt).toBeUndefined();
+                    expect(ex._retry_at).toEqual(null);
+                    expect(ex._retry_abandoned).toMatch(/attempt 2 was not started as the job already had an active execution/);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('does not retry once max_attempts is reached', function(done) {
+            failedExecution({max_attempts: 2, backoff: 0, mode: 'recover'}, {_attempt: 2});
+            spyOn(ex_store, 'update').and.callThrough();
+
+            startService()
+                .then(function() {
+                    eventEmitter.emit('cluster:job_failure', {ex_id: 'ex1', error: 'slicer died'});
+                    return waitFor(() => ex_store.records.ex1._status === 'failed');
+                })
+                .delay(50)
+                .then(function() {
+                    expect(ex_store.records.ex1._retry_at).toBeUndefined();
+                    expect(ex_store.update.calls.count()).toEqual(1);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('re-arms retries that were waiting on their backoff when the service started', function(done) {
+            failedExecution({max_attempts: 3, backoff: 60000, mode: 'recover'}, {
+                _status: 'failed',
+                _retry_at: new Date(Date.now() - 1000),
+                _retry_lineage: [{attempt: 1, ex_id: 'ex1', reason: 'slicer died'}]
+            });
+            ex_store.searches['_retry_at:*'] = [_.cloneDeep(ex_store.records.ex1)];
+
+            startService()
+                .then(function() {
+                    return waitFor(() => ex_store.records.ex1._attempt === 2);
+                })
+                .then(function() {
+                    expect(ex_store.records.ex1._attempts).toEqual([{attempt: 1, ex_id: 'ex1', reason: 'slicer died'}]);
+                    expect(ex_store.records.ex1._status).toEqual('pending');
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('job validation', function() {
+
+        var operations = [{_op: 'noop'}, {_op: 'noop'}];
+
+        // resolves the errors of the dry run and the error that submitting the job is rejected with
+        function validateBoth(job) {
+            return Promise.all([
+                jobs_service.validateJobSpec(job),
+                jobs_service.submitJob(job, false).then(() => null, err => err)
+            ]);
+        }
+
+        it('rejects the same notification targets when a job is submitted or validated', function(done) {
+            var job = {operations: operations, notifications: [{url: 'https://hooks.example.com', statuses: ['exploded']}]};
+
+            startService()
+                .then(() => validateBoth(job))
+                .spread(function(results, submitError) {
+                    expect(results.valid).toEqual(false);
+                    expect(results.errors).toEqual([{path: 'notifications', message: 'notification target 0 has invalid statuses: exploded'}]);
+                    expect(submitError).toEqual('Error validating job: notifications: notification target 0 has invalid statuses: exploded');
+                    expect(_.size(job_store.records)).toEqual(0);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('reports operations that are not objects instead of failing', function(done) {
+            startService()
+                .then(() => validateBoth({operations: [{_op: 'noop'}, 'noop']}))
+                .spread(function(results, submitError) {
+                    expect(results.errors.map(err => err.path)).toEqual(['operations[1]']);
+                    expect(submitError).toMatch(/^Error validating job: operations\[1\]: operation must be an object/);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('saves a valid job with its defaults applied', function(done) {
+            startService()
+                .then(() => jobs_service.submitJob({name: 'reindex', operations: operations}, false))
+                .then(function(result) {
+                    var job = job_store.records[result.job_id];
+
+                    expect(job.lifecycle).toEqual('once');
+                    expect(job._revision).toEqual(1);
+                    expect(_.size(ex_store.records)).toEqual(0);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('updateJob', function() {
+
+        beforeEach(function() {
+            job_store.records.job1 = {
+                job_id: 'job1',
+                _revision: 1,
+                notifications: [{url: 'https://hooks.example.com', secret: 'abc'}]
+            };
+        });
+
+        it('keeps the stored secret of notification targets that are sent back redacted', function(done) {
+            startService()
+                .then(function() {
+                    return jobs_service.updateJob('job1', {
+                        notifications: [{url: 'https://hooks.example.com', secret: '[redacted]', statuses: ['failed']}]
+                    });
+                })
+                .then(function() {
+                    expect(job_store.records.job1.notifications).toEqual([{url: 'https://hooks.example.com', secret: 'abc', statuses: ['failed']}]);
+                    expect(job_store.records.job1._revision).toEqual(2);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('rejects a redacted secret for a target that is not stored', function(done) {
+            startService()
+                .then(function() {
+                    return jobs_service.updateJob('job1', {notifications: [{url: 'https://other.example.com', secret: '[redacted]'}]});
+                })
+                .then(fail, function(err) {
+                    expect(err).toMatch(/no stored target with the url https:\/\/other.example.com/);
+                    expect(job_store.records.job1._revision).toEqual(1);
+                })
+                .finally(done);
+        });
+
+    });
+
+});
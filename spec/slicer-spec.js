@@ -0,0 +1,301 @@
+'use strict';
+
+var _ = require('lodash');
+var Promise = require('bluebird');
+var events = require('events');
+var checkpointUtils = require('../lib/utils/checkpoint_utils');
+
+describe('slicer', function() {
+
+    var logger = {
+        error: function() {
+        },
+        debug: function() {
+        },
+        info: function() {
+        },
+        warn: function() {
+        },
+        trace: function() {
+        },
+        flush: () => Promise.resolve()
+    };
+
+    var slicerPath = require.resolve('../lib/cluster/slicer');
+    var stubbedPaths = {
+        messaging: require.resolve('../lib/cluster/services/messaging'),
+        assets: require.resolve('../lib/cluster/storage/assets'),
+        state: require.resolve('../lib/cluster/storage/state'),
+        job: require.resolve('../lib/cluster/runners/job')
+    };
+
+    var eventEmitter;
+    var handlers;
+    var sent;
+    var responses;
+    var checkpoint;
+    var savedCheckpoints;
+    var job;
+    var reader;
+
+    var context = {
+        sysconfig: {
+            teraslice: {
+                slicer_queue_length: 10000,
+                slicer_timeout: 60000,
+                slicer_checkpoint_interval: 1000,
+                slicer_max_restarts: 3
+            }
+        },
+        foundation: {
+            makeLogger: function() {
+                return logger
+            },
+            getEventEmitter: function() {
+                return eventEmitter;
+            }
+        }
+    };
+
+    function stub(path, exports) {
+        require.cache[path] = {id: path, filename: path, loaded: true, exports: exports};
+    }
+
+    // the messages the slicer was sent on, in order, that have the given message name
+    function sentMessages(name) {
+        return sent.filter(args => _.isPlainObject(args[0]) && args[0].message === name).map(args => args[0]);
+    }
+
+    // resolves once check returns true, the clock is mocked so the slicer is checked on between its promises
+    function waitFor(check) {
+        return new Promise(function(resolve, reject) {
+            var turns = 0;
+
+            function next() {
+                if (check()) {
+                    return resolve();
+                }
+                if (turns++ > 1000) {
+                    return reject(new Error('timed out waiting on the slicer'));
+                }
+                setImmediate(next);
+            }
+
+            next();
+        });
+    }
+
+    // every handler a message can be registered with is recorded, id is the field of the message it is called with
+    function fakeMessaging() {
+        return {
+            register: function(key, id, fn) {
+                handlers[key] = fn ? msg => fn(msg, msg[id]) : id;
+            },
+            send: function() {
+                sent.push(_.toArray(arguments));
+            },
+            respond: function(msg, response) {
+                responses.push(response);
+            },
+            initialize: function() {
+            },
+            getClientCounts: () => 0
+        };
+    }
+
+    function startSlicer() {
+        require(slicerPath)(context);
+        return waitFor(() => sentMessages('slicer:initialized').length > 0 || sentMessages('slicer:error:terminal').length > 0);
+    }
+
+    // a slicer that does not make any slices, so only the slices of the checkpoint are handed out
+    function idleSlicers(count) {
+        return _.times(count, () => () => new Promise(function() {
+        }));
+    }
+
+    beforeEach(function() {
+        jasmine.clock().install();
+        eventEmitter = new events.EventEmitter();
+        handlers = {};
+        sent = [];
+        responses = [];
+        checkpoint = null;
+        savedCheckpoints = [];
+        process.env.ex_id = 'ex1';
+        process.env.job_id = 'job1';
+
+        reader = {newSlicer: jasmine.createSpy('newSlicer').and.callFake((ctx, slicerJob) => idleSlicers(slicerJob.jobConfig.slicers))};
+        job = {
+            jobConfig: {
+                ex_id: 'ex1',
+                job_id: 'job1',
+                lifecycle: 'persistent',
+                slicers: 1,
+                operations: [{_op: 'elasticsearch_reader', size: 100, interval: '5m'}, {_op: 'noop'}]
+            },
+            jobs: [_.noop, _.noop],
+            slicer: reader,
+            max_retries: 1
+        };
+
+        stub(stubbedPaths.messaging, fakeMessaging);
+        stub(stubbedPaths.assets, () => Promise.resolve({getPath: _.noop}));
+        stub(stubbedPaths.job, () => ({initialize: () => Promise.resolve(job)}));
+        stub(stubbedPaths.state, () => Promise.resolve({
+            getCheckpoint: () => Promise.resolve(checkpoint),
+            saveCheckpoint: function(saved) {
+                savedCheckpoints.push(saved);
+                return Promise.resolve();
+            },
+            removeCheckpoint: () => Promise.resolve(),
+            recoveryContext: () => Promise.resolve({retryList: []}),
+            log: () => Promise.resolve(),
+            count: () => Promise.resolve(0),
+            shutdown: () => Promise.resolve()
+        }));
+    });
+
+    afterEach(function() {
+        //the timers of the slicer are dropped with the mocked clock
+        jasmine.clock().uninstall();
+        delete require.cache[slicerPath];
+        _.values(stubbedPaths).forEach(path => delete require.cache[path]);
+        delete process.env.__process_restart;
+    });
+
+    describe('when it restarts by itself', function() {
+
+        beforeEach(function() {
+            process.env.__process_restart = 'true';
+        });
+
+        it('resumes from its checkpoint', function(done) {
+            var cursors = {0: {slicer_id: 0, slicer_order: 4, last_request: {start: '2017-06-14T18:00:00Z', end: '2017-06-14T18:05:00Z'}}};
+            var inFlight = {s3: {slice_id: 's3', slicer_id: 0, slicer_order: 3, request: {start: '2017-06-14T17:55:00Z', end: '2017-06-14T18:00:00Z'}}};
+            var tuning = {operation: {size: 500}};
+            checkpoint = checkpointUtils.buildCheckpoint('ex1', 1, cursors, inFlight, 0, tuning, '2017-06-14T17:00:00.000Z', '2017-06-14T18:05:01.000Z');
+
+            startSlicer()
+                .then(function() {
+                    expect(sentMessages('slicer:initialized')).toEqual([{message: 'slicer:initialized', ex_id: 'ex1', resumed: true}]);
+                    expect(reader.newSlicer.calls.argsFor(0)[2]).toEqual(checkpointUtils.resumeData(checkpoint));
+                    expect(job.jobConfig.operations[0].size).toEqual(500);
+
+                    //the slice that was in flight is handed out again
+                    handlers['worker:ready']({worker_id: 'worker1'});
+                    jasmine.clock().tick(1);
+
+                    var slices = sent.filter(args => args[1] === 'slicer:slice:new');
+                    expect(slices.length).toEqual(1);
+                    expect(slices[0][0]).toEqual('worker1');
+                    expect(slices[0][2].data.slice_id).toEqual('s3');
+
+                    //the next checkpoint keeps the start of the run and counts the restart
+                    jasmine.clock().tick(1000);
+                    return waitFor(() => savedCheckpoints.length > 0);
+                })
+                .then(function() {
+                    expect(savedCheckpoints[0].restarts).toEqual(1);
+                    expect(savedCheckpoints[0].started).toEqual('2017-06-14T17:00:00.000Z');
+                    expect(savedCheckpoints[0].tuning).toEqual(tuning);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('fails the execution if there is no checkpoint', function(done) {
+            startSlicer()
+                .then(function() {
+                    var terminal = sentMessages('slicer:error:terminal');
+                    expect(terminal[0].error).toMatch(/before it saved a checkpoint/);
+                    expect(reader.newSlicer).not.toHaveBeenCalled();
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('fails the execution once it has restarted slicer_max_restarts times', function(done) {
+            checkpoint = checkpointUtils.buildCheckpoint('ex1', 1, {}, {}, 3, {operation: {}}, null, null);
+
+            startSlicer()
+                .then(function() {
+                    expect(sentMessages('slicer:error:terminal')[0].error).toMatch(/already restarted 3 times/);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+    describe('cluster:job:tune', function() {
+
+        it('applies a new size and passes the other changes on to the reader', function(done) {
+            var readerChanges = [];
+            eventEmitter.on('slicer:tune', change => readerChanges.push(change));
+
+            startSlicer()
+                .then(function() {
+                    handlers['cluster:job:tune']({tuning: {size: 250, interval: '1m'}});
+
+                    expect(responses).toEqual([{message: 'node:message:processed', action: 'cluster:job:tune', error: undefined}]);
+                    expect(job.jobConfig.operations[0].size).toEqual(250);
+                    expect(readerChanges).toEqual([{size: 250, interval: '1m'}]);
+                    expect(sentMessages('slicer:job:tuned')).toEqual([{message: 'slicer:job:tuned', ex_id: 'ex1', slicers: undefined, operation: {size: 250}}]);
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('replaces the slicers once the reader changed their layout', function(done) {
+            startSlicer()
+                .then(function() {
+                    eventEmitter.emit('slicer:relayout', {slicers: 2, operation: {interval: '1m', _windows_from: '2017-06-14T18:10:00.000Z'}});
+
+                    //no other change is taken while the slicers are being replaced
+                    handlers['cluster:job:tune']({tuning: {size: 250}});
+                    expect(responses[0].error).toMatch(/still applying a previous change/);
+                    expect(job.jobConfig.operations[0].size).toEqual(100);
+
+                    jasmine.clock().tick(500);
+                    return waitFor(() => reader.newSlicer.calls.count() === 2);
+                })
+                .then(function() {
+                    expect(job.jobConfig.slicers).toEqual(2);
+                    expect(job.jobConfig.operations[0].interval).toEqual('1m');
+                    expect(job.jobConfig.operations[0]._windows_from).toEqual('2017-06-14T18:10:00.000Z');
+                    expect(sentMessages('slicer:job:tuned').pop()).toEqual({
+                        message: 'slicer:job:tuned',
+                        ex_id: 'ex1',
+                        slicers: 2,
+                        operation: {interval: '1m', _windows_from: '2017-06-14T18:10:00.000Z'}
+                    });
+
+                    //the new layout is checkpointed right away so a restarted slicer resumes with it
+                    return waitFor(() => _.some(savedCheckpoints, {slicers: 2}));
+                })
+                .then(function() {
+
+                    //once the slicers are replaced the execution can be tuned again
+                    handlers['cluster:job:tune']({tuning: {size: 250}});
+                    expect(_.last(responses).error).toBeUndefined();
+                })
+                .catch(fail)
+                .finally(done);
+        });
+
+        it('responds with an error while the slicer is initializing', function(done) {
+            require(slicerPath)(context);
+            handlers['cluster:job:tune']({tuning: {size: 250}});
+
+            expect(responses[0].error).toMatch(/still initializing/);
+            expect(job.jobConfig.operations[0].size).toEqual(100);
+
+            waitFor(() => sentMessages('slicer:initialized').length > 0)
+                .catch(fail)
+                .finally(done);
+        });
+
+    });
+
+});
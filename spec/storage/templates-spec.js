@@ -0,0 +1,114 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+describe('templates storage', function() {
+
+    var storePath = require.resolve('../../lib/cluster/storage/backends/elasticsearch_store');
+    var logger = {
+        error: function() {
+        },
+        debug: function() {
+        },
+        info: function() {
+        },
+        warn: function() {
+        },
+        trace: function() {
+        }
+    };
+
+    var context = {
+        sysconfig: {
+            teraslice: {
+                name: 'teracluster'
+            }
+        },
+        foundation: {
+            makeLogger: function() {
+                return logger
+            }
+        }
+    };
+
+    // an in memory backend where a create of an id that exists is rejected like elasticsearch does
+    var records;
+    var backend = {
+        search: function(query, from, size) {
+            var name = query.replace('name:', '');
+            var found = Object.keys(records)
+                .map(id => records[id])
+                .filter(record => record.name === name)
+                .sort((a, b) => b.version - a.version);
+            return Promise.resolve(found.slice(0, size));
+        },
+        createWithId: function(id, record) {
+            if (records[id]) {
+                return Promise.reject({status: 409, message: 'document_already_exists_exception'});
+            }
+            records[id] = record;
+            return Promise.resolve({_id: id});
+        },
+        update: function(id, doc) {
+            Object.assign(records[id], doc);
+            return Promise.resolve();
+        }
+    };
+
+    var templateStore;
+
+    beforeEach(function(done) {
+        records = {};
+        require.cache[storePath] = {id: storePath, filename: storePath, loaded: true, exports: () => Promise.resolve(backend)};
+
+        require('../../lib/cluster/storage/templates')(context)
+            .then(function(store) {
+                templateStore = store;
+                done();
+            });
+    });
+
+    afterEach(function() {
+        delete require.cache[storePath];
+    });
+
+    it('saves each template as the next version and only marks the newest as latest', function(done) {
+        templateStore.save({name: 'reindex', job: {}})
+            .then(() => templateStore.save({name: 'reindex', job: {}}))
+            .then(function(record) {
+                expect(record.version).toEqual(2);
+                expect(records['reindex__v1'].latest).toEqual(false);
+                expect(records['reindex__v2'].latest).toEqual(true);
+            })
+            .catch(fail)
+            .finally(done);
+    });
+
+    it('saves that are made at the same time each get their own version', function(done) {
+        spyOn(backend, 'createWithId').and.callThrough();
+
+        Promise.all([templateStore.save({name: 'reindex', job: {}}), templateStore.save({name: 'reindex', job: {}})])
+            .then(function(saved) {
+                expect(saved.map(record => record.version).sort()).toEqual([1, 2]);
+                expect(Object.keys(records).sort()).toEqual(['reindex__v1', 'reindex__v2']);
+                //the save that lost the race for version 1 retried with version 2
+                expect(backend.createWithId.calls.count()).toEqual(3);
+                expect(records['reindex__v1'].latest).toEqual(false);
+            })
+            .catch(fail)
+            .finally(done);
+    });
+
+    it('rejects errors other than a conflict', function(done) {
+        spyOn(backend, 'createWithId').and.returnValue(Promise.reject({status: 500, message: 'boom'}));
+
+        templateStore.save({name: 'reindex', job: {}})
+            .then(fail)
+            .catch(function(err) {
+                expect(err.status).toEqual(500);
+                expect(backend.createWithId.calls.count()).toEqual(1);
+            })
+            .finally(done);
+    });
+
+});
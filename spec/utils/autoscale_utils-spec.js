@@ -0,0 +1,57 @@
+'use strict';
+
+var autoscaleUtils = require('../../lib/utils/autoscale_utils');
+
+describe('autoscale_utils', function() {
+
+    it('validateWorkerBounds checks min_workers and max_workers', function() {
+        expect(() => autoscaleUtils.validateWorkerBounds({min_workers: null, max_workers: null})).not.toThrow();
+        expect(() => autoscaleUtils.validateWorkerBounds({min_workers: 2, max_workers: 10})).not.toThrow();
+        expect(() => autoscaleUtils.validateWorkerBounds({max_workers: 10})).not.toThrow();
+        expect(() => autoscaleUtils.validateWorkerBounds({min_workers: 0, max_workers: 10}))
+            .toThrowError('min_workers and max_workers must be integers greater than zero');
+        expect(() => autoscaleUtils.validateWorkerBounds({min_workers: 2, max_workers: null}))
+            .toThrowError('min_workers can only be set along with max_workers');
+        expect(() => autoscaleUtils.validateWorkerBounds({min_workers: 5, max_workers: 2}))
+            .toThrowError('min_workers: 5 cannot be greater than max_workers: 2');
+    });
+
+    it('scaleDecision keeps the workers within the bounds', function() {
+        var bounds = {min_workers: 2, max_workers: 6};
+
+        expect(autoscaleUtils.scaleDecision({workers: 1, queued: 0, idle: 1}, bounds))
+            .toEqual({action: 'add', workers: 1, reason: '1 workers is below min_workers: 2'});
+        expect(autoscaleUtils.scaleDecision({workers: 8, queued: 50, idle: 0}, bounds))
+            .toEqual({action: 'remove', workers: 2, reason: '8 workers is above max_workers: 6'});
+    });
+
+    it('scaleDecision adds workers when slices are waiting and removes idle workers', function() {
+        var bounds = {min_workers: null, max_workers: 6};
+
+        expect(autoscaleUtils.scaleDecision({workers: 3, queued: 20, idle: 0}, bounds))
+            .toEqual({action: 'add', workers: 3, reason: '20 slices are queued with no idle workers'});
+        expect(autoscaleUtils.scaleDecision({workers: 3, queued: 2, idle: 0}, bounds))
+            .toEqual({action: 'add', workers: 2, reason: '2 slices are queued with no idle workers'});
+        expect(autoscaleUtils.scaleDecision({workers: 6, queued: 20, idle: 0}, bounds)).toEqual(null);
+        expect(autoscaleUtils.scaleDecision({workers: 5, queued: 0, idle: 3}, bounds))
+            .toEqual({action: 'remove', workers: 2, reason: '3 workers are idle with no slices queued'});
+        expect(autoscaleUtils.scaleDecision({workers: 1, queued: 0, idle: 1}, bounds)).toEqual(null);
+        expect(autoscaleUtils.scaleDecision({workers: 4, queued: 5, idle: 2}, bounds)).toEqual(null);
+    });
+
+    it('scaleDecision does not add workers past the fair share', function() {
+        var bounds = {min_workers: 2, max_workers: 10};
+
+        expect(autoscaleUtils.scaleDecision({workers: 3, queued: 20, idle: 0}, bounds, 5.6))
+            .toEqual({action: 'add', workers: 2, reason: '20 slices are queued with no idle workers, limited to the fair share of 5 workers'});
+        expect(autoscaleUtils.scaleDecision({workers: 5, queued: 20, idle: 0}, bounds, 5.6)).toEqual(null);
+        expect(autoscaleUtils.scaleDecision({workers: 8, queued: 20, idle: 0}, bounds, 5.6)).toEqual(null);
+        expect(autoscaleUtils.scaleDecision({workers: 1, queued: 20, idle: 0}, bounds, 0.5))
+            .toEqual({action: 'add', workers: 1, reason: '1 workers is below min_workers: 2'});
+        expect(autoscaleUtils.scaleDecision({workers: 3, queued: 20, idle: 0}, bounds, 20))
+            .toEqual({action: 'add', workers: 7, reason: '20 slices are queued with no idle workers'});
+        expect(autoscaleUtils.scaleDecision({workers: 8, queued: 0, idle: 4}, bounds, 5.6))
+            .toEqual({action: 'remove', workers: 2, reason: '4 workers are idle with no slices queued'});
+    });
+
+});
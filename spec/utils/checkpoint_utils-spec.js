@@ -0,0 +1,40 @@
+'use strict';
+
+var checkpointUtils = require('../../lib/utils/checkpoint_utils');
+
+describe('checkpoint_utils', function() {
+
+    var cursors = {
+        1: {slicer_id: 1, slicer_order: 7, last_request: {start: '2017-06-14T01:00:00.000Z', end: '2017-06-14T02:00:00.000Z'}}
+    };
+    var inFlight = {
+        b: {slice_id: 'b', slicer_id: 1, slicer_order: 7, request: {start: '2017-06-14T01:00:00.000Z'}},
+        a: {slice_id: 'a', slicer_id: 1, slicer_order: 6, request: {start: '2017-06-14T00:00:00.000Z'}}
+    };
+    var tuning = {slicers: 2, operation: {size: 1000}};
+
+    it('buildCheckpoint orders the cursors and the slices in flight', function() {
+        expect(checkpointUtils.buildCheckpoint('ex1', 2, cursors, inFlight, 1, tuning, '2017-06-14T00:30:00.000Z', '2017-06-14T02:00:00.000Z')).toEqual({
+            ex_id: 'ex1',
+            slicers: 2,
+            cursors: [cursors[1]],
+            in_flight: [inFlight.a, inFlight.b],
+            restarts: 1,
+            tuning: tuning,
+            started: '2017-06-14T00:30:00.000Z',
+            _updated: '2017-06-14T02:00:00.000Z'
+        });
+    });
+
+    it('resumeData continues each slicer after its last slice', function() {
+        var checkpoint = checkpointUtils.buildCheckpoint('ex1', 2, cursors, inFlight, 0, tuning, '2017-06-14T00:30:00.000Z', '2017-06-14T02:00:00.000Z');
+
+        expect(checkpointUtils.checkpointCursors(checkpoint)[1].slicer_order).toEqual(7);
+        expect(checkpointUtils.resumeData(checkpoint)).toEqual([
+            {ex_id: 'ex1', slicer_id: 0, retryList: []},
+            {ex_id: 'ex1', slicer_id: 1, retryList: [], lastSlice: cursors[1].last_request}
+        ]);
+        expect(checkpointUtils.resumeData(checkpointUtils.buildCheckpoint('ex1', 2, {}, {}, 0, tuning, null, null))).toEqual([]);
+    });
+
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+var cronUtils = require('../../lib/utils/cron_utils');
+
+describe('cron_utils', function() {
+
+    it('parseCron can parse lists, ranges, steps and names', function() {
+        var cron = cronUtils.parseCron('*/15 1-3,22 * jan-mar mon');
+
+        expect(Object.keys(cron.minute)).toEqual(['0', '15', '30', '45']);
+        expect(Object.keys(cron.hour)).toEqual(['1', '2', '3', '22']);
+        expect(Object.keys(cron.month)).toEqual(['1', '2', '3']);
+        expect(Object.keys(cron.dayOfWeek)).toEqual(['1']);
+        expect(cron.dayOfMonthRestricted).toEqual(false);
+        expect(cron.dayOfWeekRestricted).toEqual(true);
+    });
+
+    it('parseCron treats day of week 7 as sunday and expands aliases', function() {
+        expect(Object.keys(cronUtils.parseCron('0 0 * * 7').dayOfWeek)).toEqual(['0']);
+        expect(Object.keys(cronUtils.parseCron('@hourly').minute)).toEqual(['0']);
+    });
+
+    it('parseCron throws on malformed expressions', function() {
+        expect(function() {
+            cronUtils.parseCron('* * * *')
+        }).toThrowError(/must have 5 fields/);
+        expect(function() {
+            cronUtils.parseCron('60 * * * *')
+        }).toThrowError(/minute value "60" must be between 0 and 59/);
+        expect(function() {
+            cronUtils.parseCron('*/0 * * * *')
+        }).toThrowError(/step "0" must be a number greater than zero/);
+        expect(function() {
+            cronUtils.parseCron('* 5-2 * * *')
+        }).toThrowError(/must be in ascending order/);
+        expect(function() {
+            cronUtils.parseCron(12)
+        }).toThrowError(/must be a string/);
+    });
+
+    it('nextDates returns the next fire times after the given date', function() {
+        var from = new Date(2016, 0, 1, 10, 7, 30);
+        var results = cronUtils.nextDates('*/15 * * * *', 3, from);
+
+        expect(results.length).toEqual(3);
+        expect(results[0]).toEqual(new Date(2016, 0, 1, 10, 15));
+        expect(results[1]).toEqual(new Date(2016, 0, 1, 10, 30));
+        expect(results[2]).toEqual(new Date(2016, 0, 1, 10, 45));
+    });
+
+    it('nextDates rolls over days, months and years', function() {
+        var from = new Date(2016, 11, 31, 23, 30);
+
+        expect(cronUtils.nextDates('0 2 * * *', 1, from)[0]).toEqual(new Date(2017, 0, 1, 2, 0));
+        expect(cronUtils.nextDates('0 0 29 2 *', 1, from)[0]).toEqual(new Date(2020, 1, 29, 0, 0));
+    });
+
+    it('nextDates matches either day field if both are restricted', function() {
+        //2016-01-01 is a friday
+        var from = new Date(2016, 0, 1, 12, 0);
+        var results = cronUtils.nextDates('0 0 10 * mon', 3, from);
+
+        expect(results[0]).toEqual(new Date(2016, 0, 4, 0, 0));
+        expect(results[1]).toEqual(new Date(2016, 0, 10, 0, 0));
+        expect(results[2]).toEqual(new Date(2016, 0, 11, 0, 0));
+    });
+
+    it('missedDates returns the most recent fire times within the range', function() {
+        var from = new Date(2016, 0, 1, 2, 0, 12);
+        var to = new Date(2016, 0, 4, 2, 0);
+
+        expect(cronUtils.missedDates('0 2 * * *', from, to, 10))
+            .toEqual({total: 3, dates: [new Date(2016, 0, 4, 2, 0), new Date(2016, 0, 3, 2, 0), new Date(2016, 0, 2, 2, 0)]});
+        expect(cronUtils.missedDates('0 2 * * *', from, to, 2))
+            .toEqual({total: 3, dates: [new Date(2016, 0, 4, 2, 0), new Date(2016, 0, 3, 2, 0)]});
+        expect(cronUtils.missedDates('0 2 * * *', from, new Date(2016, 0, 2, 1, 59), 10)).toEqual({total: 0, dates: []});
+    });
+
+    it('validateCron throws on expressions that will never fire', function() {
+        expect(function() {
+            cronUtils.validateCron('0 0 31 2 *')
+        }).toThrowError(/will never be triggered/);
+        expect(function() {
+            cronUtils.validateCron('30 1 * * *')
+        }).not.toThrow();
+    });
+
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+var dateUtils = require('../../lib/utils/date_utils');
+
+describe('date_utils', function() {
+
+    var minute = 60000;
+
+    it('intervalMs converts an interval to milliseconds', function() {
+        expect(dateUtils.intervalMs([5, 'm'])).toEqual(5 * minute);
+        expect(dateUtils.intervalMs(['30', 's'])).toEqual(30000);
+    });
+
+    it('windowRange splits a window between the slicers', function() {
+        var index = dateUtils.windowOf('2017-06-14T10:00:30.000Z', minute);
+
+        expect(dateUtils.windowRange(minute, 1, 0, index).start.toISOString()).toEqual('2017-06-14T10:00:00.000Z');
+        expect(dateUtils.windowRange(minute, 1, 0, index).end.toISOString()).toEqual('2017-06-14T10:01:00.000Z');
+        expect(dateUtils.windowRange(minute, 3, 1, index).start.toISOString()).toEqual('2017-06-14T10:00:20.000Z');
+        expect(dateUtils.windowRange(minute, 3, 1, index).end.toISOString()).toEqual('2017-06-14T10:00:40.000Z');
+        expect(dateUtils.windowRange(minute, 3, 2, index).end.toISOString()).toEqual('2017-06-14T10:01:00.000Z');
+        expect(dateUtils.windowRange(minute, 3, 0, index + 1).start.toISOString()).toEqual('2017-06-14T10:01:00.000Z');
+    });
+
+    it('windowOf puts a time on a boundary in the earlier window', function() {
+        var index = dateUtils.windowOf('2017-06-14T10:00:30.000Z', minute);
+
+        expect(dateUtils.windowOf('2017-06-14T10:01:00.000Z', minute)).toEqual(index);
+        expect(dateUtils.windowOf('2017-06-14T10:01:00.001Z', minute)).toEqual(index + 1);
+    });
+
+    it('lastDueWindow is the newest window that ended a delay ago', function() {
+        var index = dateUtils.windowOf('2017-06-14T10:00:30.000Z', minute);
+
+        expect(dateUtils.lastDueWindow('2017-06-14T10:01:30.000Z', 30000, minute)).toEqual(index);
+        expect(dateUtils.lastDueWindow('2017-06-14T10:01:29.999Z', 30000, minute)).toEqual(index - 1);
+        expect(dateUtils.windowRange(minute, 1, 0, dateUtils.lastDueWindow('2017-06-14T10:05:10.000Z', 30000, minute)).end.toISOString())
+            .toEqual('2017-06-14T10:04:00.000Z');
+    });
+
+    it('sliceEnd uses the interval given and stops at the limit', function() {
+        var limit = '2017-06-14T11:00:00.000Z';
+        var boundaries = ['2017-06-14T10:00:00.000Z'];
+        var interval = [10, 'm'];
+
+        //a once slicer that is tuned to a 20m interval after its first slice
+        while (boundaries[boundaries.length - 1] !== limit) {
+            if (boundaries.length === 2) {
+                interval = ['20', 'm'];
+            }
+            boundaries.push(dateUtils.sliceEnd(boundaries[boundaries.length - 1], interval, limit).toISOString());
+        }
+
+        expect(boundaries).toEqual([
+            '2017-06-14T10:00:00.000Z',
+            '2017-06-14T10:10:00.000Z',
+            '2017-06-14T10:30:00.000Z',
+            '2017-06-14T10:50:00.000Z',
+            '2017-06-14T11:00:00.000Z'
+        ]);
+    });
+
+    it('unslicedFrom is the start of the first window no slicer has sliced from', function() {
+        var index = dateUtils.windowOf('2017-06-14T10:00:30.000Z', minute);
+        var positions = [
+            {window: index, last_end: '2017-06-14T10:00:30.000Z'},
+            {window: index + 1, last_end: '2017-06-14T10:01:00.000Z'},
+            {window: index, last_end: null}
+        ];
+
+        expect(new Date(dateUtils.unslicedFrom(positions, minute)).toISOString()).toEqual('2017-06-14T10:01:00.000Z');
+        expect(new Date(dateUtils.unslicedFrom(positions.concat({window: index + 1, last_end: '2017-06-14T10:01:00.001Z'}), minute)).toISOString())
+            .toEqual('2017-06-14T10:02:00.000Z');
+        expect(new Date(dateUtils.unslicedFrom([{window: index + 2, last_end: null}], minute)).toISOString()).toEqual('2017-06-14T10:02:00.000Z');
+    });
+
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+var dependencyUtils = require('../../lib/utils/dependency_utils');
+
+describe('dependency_utils', function() {
+
+    var graph = {
+        reindex: ['generate'],
+        summarize: ['reindex', 'rollup'],
+        report: ['summarize']
+    };
+
+    it('findCycle returns null if there is no cycle', function() {
+        expect(dependencyUtils.findCycle(graph, 'report')).toEqual(null);
+        expect(dependencyUtils.findCycle(graph, 'generate')).toEqual(null);
+    });
+
+    it('findCycle returns the path of the cycle', function() {
+        var cyclicGraph = Object.assign({}, graph, {generate: ['report']});
+
+        expect(dependencyUtils.findCycle(cyclicGraph, 'generate'))
+            .toEqual(['generate', 'report', 'summarize', 'reindex', 'generate']);
+        expect(dependencyUtils.findCycle({a: ['a']}, 'a')).toEqual(['a', 'a']);
+    });
+
+    it('collectGraph returns upstream and downstream jobs with their edges', function() {
+        var results = dependencyUtils.collectGraph(graph, 'reindex');
+
+        expect(results.nodes.sort()).toEqual(['generate', 'reindex', 'report', 'rollup', 'summarize']);
+        expect(results.edges).toContain({from: 'generate', to: 'reindex'});
+        expect(results.edges).toContain({from: 'reindex', to: 'summarize'});
+        expect(results.edges).toContain({from: 'rollup', to: 'summarize'});
+        expect(results.edges).toContain({from: 'summarize', to: 'report'});
+        expect(results.edges.length).toEqual(4);
+
+        var single = dependencyUtils.collectGraph(graph, 'other');
+        expect(single).toEqual({nodes: ['other'], edges: []});
+    });
+
+    it('dependencyState is ready when all upstream executions completed', function() {
+        var upstream = [
+            {_status: 'completed', _updated: '2016-07-29T10:00:00.000Z'},
+            {_status: 'completed', _updated: '2016-07-29T11:00:00.000Z'}
+        ];
+
+        expect(dependencyUtils.dependencyState(upstream, null)).toEqual('ready');
+        expect(dependencyUtils.dependencyState(upstream, {_created: '2016-07-29T09:00:00.000Z'})).toEqual('ready');
+    });
+
+    it('dependencyState is waiting on running, missing or stale upstream executions', function() {
+        var completed = {_status: 'completed', _updated: '2016-07-29T10:00:00.000Z'};
+        var downstreamEx = {_created: '2016-07-29T10:30:00.000Z'};
+
+        expect(dependencyUtils.dependencyState([completed, {_status: 'running'}], null)).toEqual('waiting');
+        expect(dependencyUtils.dependencyState([completed, null], null)).toEqual('waiting');
+        expect(dependencyUtils.dependencyState([completed], downstreamEx)).toEqual('waiting');
+    });
+
+    it('dependencyState is blocked if an upstream execution did not complete', function() {
+        var completed = {_status: 'completed', _updated: '2016-07-29T10:00:00.000Z'};
+        var failed = {_status: 'failed', _updated: '2016-07-29T10:00:00.000Z'};
+
+        expect(dependencyUtils.dependencyState([completed, failed], null)).toEqual('blocked');
+        expect(dependencyUtils.dependencyState([failed], {_created: '2016-07-29T11:00:00.000Z'})).toEqual('waiting');
+    });
+
+});
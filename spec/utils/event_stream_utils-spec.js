@@ -0,0 +1,28 @@
+'use strict';
+
+var eventStreamUtils = require('../../lib/utils/event_stream_utils');
+
+describe('event_stream_utils', function() {
+
+    it('parseFilters reads the filters from the query', function() {
+        expect(eventStreamUtils.parseFilters({})).toEqual({});
+        expect(eventStreamUtils.parseFilters({ex_id: 'ex1, ex2', job_id: '', type: ['worker:joined'], other: 'value'}))
+            .toEqual({ex_id: ['ex1', 'ex2'], type: ['worker:joined']});
+    });
+
+    it('matchesFilters checks every filter', function() {
+        var data = {ex_id: 'ex1', job_id: 'job1', status: 'running'};
+
+        expect(eventStreamUtils.matchesFilters('execution:status', data, {})).toEqual(true);
+        expect(eventStreamUtils.matchesFilters('execution:status', data, {ex_id: ['ex2', 'ex1']})).toEqual(true);
+        expect(eventStreamUtils.matchesFilters('execution:status', data, {ex_id: ['ex1'], job_id: ['job2']})).toEqual(false);
+        expect(eventStreamUtils.matchesFilters('execution:status', data, {type: ['worker:joined']})).toEqual(false);
+        expect(eventStreamUtils.matchesFilters('worker:joined', data, {type: ['worker:joined'], job_id: ['job1']})).toEqual(true);
+    });
+
+    it('formatEvent creates a server-sent event', function() {
+        expect(eventStreamUtils.formatEvent(3, 'worker:joined', {ex_id: 'ex1', worker_id: 'node1__4'}))
+            .toEqual('id: 3\nevent: worker:joined\ndata: {"ex_id":"ex1","worker_id":"node1__4"}\n\n');
+    });
+
+});
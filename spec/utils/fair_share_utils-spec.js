@@ -0,0 +1,47 @@
+'use strict';
+
+var fairShareUtils = require('../../lib/utils/fair_share_utils');
+
+describe('fair_share_utils', function() {
+
+    it('fairShares splits capacity by weight without going over demand', function() {
+        var executions = [
+            {ex_id: 'ex1', weight: 1, demand: 20},
+            {ex_id: 'ex2', weight: 3, demand: 20},
+            {ex_id: 'ex3', demand: 2}
+        ];
+
+        expect(fairShareUtils.fairShares(executions, 10, {})).toEqual({ex1: 2, ex2: 6, ex3: 2});
+        expect(fairShareUtils.fairShares(executions, 50, {})).toEqual({ex1: 20, ex2: 20, ex3: 2});
+        expect(fairShareUtils.fairShares([{ex_id: 'ex1', demand: 0}], 10, {})).toEqual({ex1: 0});
+    });
+
+    it('fairShares splits the share of a team between its executions', function() {
+        var executions = [
+            {ex_id: 'ex1', team: 'data', weight: 1, demand: 20},
+            {ex_id: 'ex2', team: 'data', weight: 1, demand: 20},
+            {ex_id: 'ex3', team: 'search', weight: 1, demand: 20},
+            {ex_id: 'ex4', weight: 2, demand: 20}
+        ];
+
+        expect(fairShareUtils.fairShares(executions, 20, {data: 2, search: 1})).toEqual({ex1: 4, ex2: 4, ex3: 4, ex4: 8});
+    });
+
+    it('nextRequest picks the execution that is the furthest below its share', function() {
+        var requests = [{ex_id: 'ex1'}, {ex_id: 'ex2'}, {ex_id: 'ex3'}, {ex_id: 'ex2'}];
+        var shares = {ex1: 10, ex2: 4, ex3: 2};
+
+        expect(fairShareUtils.nextRequest(requests, {ex1: 8, ex2: 1, ex3: 1}, shares)).toEqual(1);
+        expect(fairShareUtils.nextRequest(requests, {ex1: 5, ex2: 2, ex3: 1}, shares)).toEqual(0);
+        expect(fairShareUtils.nextRequest([], {}, shares)).toEqual(-1);
+    });
+
+    it('overServed lists executions with whole workers over their share', function() {
+        var shares = {ex1: 3.5, ex2: 4, ex3: 2};
+
+        expect(fairShareUtils.overServed({ex1: 4, ex2: 9, ex3: 3}, shares))
+            .toEqual([{ex_id: 'ex2', excess: 5}, {ex_id: 'ex3', excess: 1}]);
+        expect(fairShareUtils.overServed({ex1: 2, ex2: 4}, shares)).toEqual([]);
+    });
+
+});
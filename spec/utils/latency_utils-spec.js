@@ -0,0 +1,31 @@
+'use strict';
+
+var latencyUtils = require('../../lib/utils/latency_utils');
+
+describe('latency_utils', function() {
+
+    it('latencyStats summarizes the samples', function() {
+        expect(latencyUtils.latencyStats([])).toEqual({count: 0, mean: null, p50: null, p95: null, p99: null, max: null});
+        expect(latencyUtils.latencyStats([40, 10, 20, 30])).toEqual({count: 4, mean: 25, p50: 20, p95: 40, p99: 40, max: 40});
+
+        var samples = _range(1, 100);
+        expect(latencyUtils.latencyStats(samples)).toEqual({count: 100, mean: 51, p50: 50, p95: 95, p99: 99, max: 100});
+    });
+
+    it('addSample keeps the latest samples', function() {
+        var samples = [1, 2, 3];
+
+        expect(latencyUtils.addSample(samples, 4, 5)).toEqual([1, 2, 3, 4]);
+        expect(latencyUtils.addSample(samples, 5, 3)).toEqual([3, 4, 5]);
+        expect(samples).toEqual([3, 4, 5]);
+    });
+
+    function _range(start, end) {
+        var values = [];
+        for (var i = start; i <= end; i++) {
+            values.push(i);
+        }
+        return values;
+    }
+
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+var notificationUtils = require('../../lib/utils/notification_utils');
+
+describe('notification_utils', function() {
+
+    var validStatus = ['running', 'completed', 'failed'];
+
+    it('validateTargets throws on invalid targets', function() {
+        expect(function() {
+            notificationUtils.validateTargets([{url: 'https://hooks.example.com/teraslice', statuses: ['failed'], secret: 'abc'}], validStatus)
+        }).not.toThrow();
+        expect(function() {
+            notificationUtils.validateTargets({url: 'https://hooks.example.com'}, validStatus)
+        }).toThrowError(/must be an array/);
+        expect(function() {
+            notificationUtils.validateTargets([{url: 'hooks.example.com'}], validStatus)
+        }).toThrowError('notification target 0 must have a url starting with http:// or https://');
+        expect(function() {
+            notificationUtils.validateTargets([{url: 'http://hooks.example.com', statuses: ['failed', 'exploded']}], validStatus)
+        }).toThrowError('notification target 0 has invalid statuses: exploded');
+        expect(function() {
+            notificationUtils.validateTargets([{url: 'http://hooks.example.com', max_attempts: 0}], validStatus)
+        }).toThrowError('notification target 0 max_attempts must be a number >= 1');
+        expect(function() {
+            notificationUtils.validateTargets([{url: 'http://hooks.example.com', secret: notificationUtils.REDACTED}], validStatus)
+        }).toThrowError(/secret is redacted/);
+    });
+
+    it('matchingTargets filters by status and applies defaults', function() {
+        var targets = [
+            {url: 'http://a.example.com', statuses: ['failed']},
+            {url: 'http://b.example.com', max_attempts: 2}
+        ];
+
+        var failed = notificationUtils.matchingTargets(targets, 'failed');
+        expect(failed.map(target => target.url)).toEqual(['http://a.example.com', 'http://b.example.com']);
+        expect(failed[0].max_attempts).toEqual(5);
+        expect(failed[1].max_attempts).toEqual(2);
+        expect(notificationUtils.matchingTargets(targets, 'running').map(target => target.url)).toEqual(['http://b.example.com']);
+        expect(notificationUtils.matchingTargets(null, 'running')).toEqual([]);
+    });
+
+    it('buildPayload summarizes the execution', function() {
+        var ex = {ex_id: 'ex1', job_id: 'job1', name: 'reindex', _status: 'failed', _failureReason: 'boom', operations: []};
+
+        expect(notificationUtils.buildPayload(ex, 'failed', 'running', '2017-06-14T18:02:11.214Z')).toEqual({
+            event: 'execution.status',
+            status: 'failed',
+            previous_status: 'running',
+            time: '2017-06-14T18:02:11.214Z',
+            execution: {ex_id: 'ex1', job_id: 'job1', name: 'reindex', _status: 'failed', _failureReason: 'boom'}
+        });
+    });
+
+    it('signPayload creates a sha256 hmac of the body', function() {
+        expect(notificationUtils.signPayload('{"status":"failed"}', 'secret'))
+            .toEqual(`sha256=${require('crypto').createHmac('sha256', 'secret').update('{"status":"failed"}').digest('hex')}`);
+        expect(notificationUtils.signPayload('body', 'one')).not.toEqual(notificationUtils.signPayload('body', 'two'));
+    });
+
+    it('redactSecrets replaces the secret of each target that has one', function() {
+        var job = {
+            job_id: 'job1',
+            notifications: [{url: 'http://a.example.com', secret: 'abc'}, {url: 'http://b.example.com'}]
+        };
+        var redacted = notificationUtils.redactSecrets(job);
+
+        expect(redacted.notifications).toEqual([{url: 'http://a.example.com', secret: '[redacted]'}, {url: 'http://b.example.com'}]);
+        expect(job.notifications[0].secret).toEqual('abc');
+        expect(notificationUtils.redactSecrets({job_id: 'job1', notifications: null})).toEqual({job_id: 'job1', notifications: null});
+        expect(notificationUtils.redactSecrets(undefined)).toEqual(undefined);
+    });
+
+    it('redactChange redacts the values of changes that can hold a secret', function() {
+        expect(notificationUtils.redactChange({path: 'notifications[0].secret', op: 'changed', from: 'abc', to: 'def'}))
+            .toEqual({path: 'notifications[0].secret', op: 'changed', from: '[redacted]', to: '[redacted]'});
+        expect(notificationUtils.redactChange({path: 'notifications[1]', op: 'added', to: {url: 'http://a.example.com', secret: 'abc'}}))
+            .toEqual({path: 'notifications[1]', op: 'added', to: {url: 'http://a.example.com', secret: '[redacted]'}});
+        expect(notificationUtils.redactChange({path: 'notifications', op: 'changed', from: null, to: [{url: 'http://a.example.com', secret: 'abc'}]}))
+            .toEqual({path: 'notifications', op: 'changed', from: null, to: [{url: 'http://a.example.com', secret: '[redacted]'}]});
+        expect(notificationUtils.redactChange({path: 'workers', op: 'changed', from: 1, to: 2}))
+            .toEqual({path: 'workers', op: 'changed', from: 1, to: 2});
+    });
+
+    it('restoreSecrets keeps the stored secret of redacted targets', function() {
+        var stored = [{url: 'http://a.example.com', secret: 'abc'}];
+
+        expect(notificationUtils.restoreSecrets([{url: 'http://a.example.com', secret: '[redacted]'}, {url: 'http://b.example.com', secret: 'def'}], stored))
+            .toEqual([{url: 'http://a.example.com', secret: 'abc'}, {url: 'http://b.example.com', secret: 'def'}]);
+        expect(function() {
+            notificationUtils.restoreSecrets([{url: 'http://b.example.com', secret: '[redacted]'}], stored);
+        }).toThrowError(/no stored target with the url http:\/\/b.example.com/);
+    });
+
+});
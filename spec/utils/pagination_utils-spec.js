@@ -0,0 +1,31 @@
+'use strict';
+
+var paginationUtils = require('../../lib/utils/pagination_utils');
+
+describe('pagination_utils', function() {
+
+    it('encodes and decodes cursors', function() {
+        var after = [1497463331214, 'ex#77c94621-48cf-459f-9d95-dfbccf010f5c'];
+        var cursor = paginationUtils.encodeCursor(after);
+
+        expect(typeof cursor).toEqual('string');
+        expect(paginationUtils.decodeCursor(cursor)).toEqual(after);
+        expect(paginationUtils.encodeCursor(null)).toEqual(null);
+        expect(() => paginationUtils.decodeCursor('not a cursor')).toThrowError('cursor: not a cursor is not valid');
+    });
+
+    it('parseListOptions applies defaults and validates the options', function() {
+        var cursor = paginationUtils.encodeCursor([1497463331214, 'job#abc']);
+
+        expect(paginationUtils.parseListOptions({})).toEqual({size: 100, order: 'desc', after: null, envelope: false});
+        expect(paginationUtils.parseListOptions({size: '25', order: 'asc', cursor: cursor, envelope: 'true'}))
+            .toEqual({size: 25, order: 'asc', after: [1497463331214, 'job#abc'], envelope: true});
+        expect(() => paginationUtils.parseListOptions({size: '0'})).toThrowError('size must be an integer between 1 and 10000');
+        expect(() => paginationUtils.parseListOptions({size: '20000'})).toThrowError('size must be an integer between 1 and 10000');
+        expect(() => paginationUtils.parseListOptions({order: 'newest'})).toThrowError('order must be either asc or desc');
+        expect(() => paginationUtils.parseListOptions({cursor: cursor, from: '100'})).toThrowError('from and sort cannot be used along with cursor');
+        expect(() => paginationUtils.parseListOptions({cursor: cursor, sort: '_updated:desc'})).toThrowError('from and sort cannot be used along with cursor');
+        expect(() => paginationUtils.parseListOptions({envelope: 'yes'})).toThrowError('envelope must be either true or false');
+    });
+
+});
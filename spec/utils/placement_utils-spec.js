@@ -0,0 +1,70 @@
+'use strict';
+
+var placementUtils = require('../../lib/utils/placement_utils');
+
+describe('placement_utils', function() {
+
+    var nodes = {
+        node1: {node_id: 'node1', state: 'connected', available: 5, labels: {es_cluster: 'logs', memory: 'low'}},
+        node2: {node_id: 'node2', state: 'connected', available: 2, labels: {es_cluster: 'logs', memory: 'high'}},
+        node3: {node_id: 'node3', state: 'connected', available: 8, labels: {es_cluster: 'metrics', memory: 'high'}},
+        node4: {node_id: 'node4', state: 'disconnected', available: 10, labels: {es_cluster: 'logs', memory: 'high'}},
+        node5: {node_id: 'node5', state: 'connected', available: 3}
+    };
+
+    function ids(results) {
+        return results.map(node => node.node_id);
+    }
+
+    it('validatePlacement throws on invalid placements', function() {
+        expect(function() {
+            placementUtils.validatePlacement({constraints: {es_cluster: 'logs'}, preferences: {memory: ['high', 'medium']}})
+        }).not.toThrow();
+        expect(function() {
+            placementUtils.validatePlacement([])
+        }).toThrowError(/must be an object/);
+        expect(function() {
+            placementUtils.validatePlacement({require: {}})
+        }).toThrowError(/only accepts constraints and preferences, was given: require/);
+        expect(function() {
+            placementUtils.validatePlacement({constraints: {es_cluster: 5}})
+        }).toThrowError(/label "es_cluster" must be a string or an array of strings/);
+    });
+
+    it('matchesConstraints requires every label to match one of its values', function() {
+        var labels = {es_cluster: 'logs', memory: 'high'};
+
+        expect(placementUtils.matchesConstraints(labels, {es_cluster: 'logs'})).toEqual(true);
+        expect(placementUtils.matchesConstraints(labels, {es_cluster: 'logs', memory: ['medium', 'high']})).toEqual(true);
+        expect(placementUtils.matchesConstraints(labels, {es_cluster: 'metrics'})).toEqual(false);
+        expect(placementUtils.matchesConstraints(undefined, {zone: 'east'})).toEqual(false);
+        expect(placementUtils.matchesConstraints(undefined, null)).toEqual(true);
+    });
+
+    it('placementNodes filters by constraints and orders by preference then availability', function() {
+        expect(ids(placementUtils.placementNodes(nodes, null))).toEqual(['node3', 'node1', 'node5', 'node2']);
+        expect(ids(placementUtils.placementNodes(nodes, {constraints: {es_cluster: 'logs'}}))).toEqual(['node1', 'node2']);
+        expect(ids(placementUtils.placementNodes(nodes, {
+            constraints: {es_cluster: 'logs'},
+            preferences: {memory: 'high'}
+        }))).toEqual(['node2', 'node1']);
+        expect(ids(placementUtils.placementNodes(nodes, {constraints: {es_cluster: 'other'}}))).toEqual([]);
+    });
+
+    it('placementReason explains why a placement can not be allocated', function() {
+        var busy = {
+            node1: {node_id: 'node1', state: 'connected', available: 1, labels: {es_cluster: 'logs'}},
+            node2: {node_id: 'node2', state: 'connected', available: 0, labels: {es_cluster: 'logs'}},
+            node3: {node_id: 'node3', state: 'connected', available: 8, labels: {es_cluster: 'metrics'}}
+        };
+
+        expect(placementUtils.placementReason(busy, null, 2)).toEqual(null);
+        expect(placementUtils.placementReason(busy, {preferences: {es_cluster: 'logs'}}, 2)).toEqual(null);
+        expect(placementUtils.placementReason(busy, {constraints: {es_cluster: 'metrics'}}, 2)).toEqual(null);
+        expect(placementUtils.placementReason(busy, {constraints: {es_cluster: 'logs'}}, 2))
+            .toEqual('waiting for available workers on the nodes matching the placement constraints: node1, node2');
+        expect(placementUtils.placementReason(busy, {constraints: {es_cluster: 'other'}}, 2))
+            .toEqual('no connected node matches the placement constraints: {"es_cluster":"other"}');
+    });
+
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+var priorityQueue = require('../../lib/utils/priority_queue');
+
+describe('priority_queue', function() {
+
+    var time;
+
+    function getTime() {
+        return time;
+    }
+
+    beforeEach(function() {
+        time = 0;
+    });
+
+    it('dequeues by priority and then in insertion order', function() {
+        var queue = priorityQueue(0, getTime);
+
+        queue.enqueue({ex_id: 'backfill', priority: 0});
+        queue.enqueue({ex_id: 'first'});
+        queue.enqueue({ex_id: 'urgent', priority: 10});
+        queue.enqueue({ex_id: 'low', priority: -5});
+
+        expect(queue.size()).toEqual(4);
+        expect(queue.dequeue().ex_id).toEqual('urgent');
+        expect(queue.dequeue().ex_id).toEqual('backfill');
+        expect(queue.dequeue().ex_id).toEqual('first');
+        expect(queue.dequeue().ex_id).toEqual('low');
+        expect(queue.dequeue()).toEqual(undefined);
+    });
+
+    it('unshift places an item ahead of items with the same priority', function() {
+        var queue = priorityQueue(0, getTime);
+
+        queue.enqueue({ex_id: 'one'});
+        queue.enqueue({ex_id: 'high', priority: 1});
+        queue.unshift({ex_id: 'two'});
+        queue.unshift({ex_id: 'three'});
+
+        expect(queue.dequeue().ex_id).toEqual('high');
+        expect(queue.dequeue().ex_id).toEqual('three');
+        expect(queue.dequeue().ex_id).toEqual('two');
+        expect(queue.dequeue().ex_id).toEqual('one');
+    });
+
+    it('ages waiting items so they do not starve', function() {
+        var queue = priorityQueue(1000, getTime);
+
+        queue.enqueue({ex_id: 'old', priority: 0});
+        time = 1500;
+        queue.enqueue({ex_id: 'new', priority: 2});
+
+        var list = queue.list();
+        expect(list[0].item.ex_id).toEqual('new');
+        expect(list[1].priority).toEqual(1);
+
+        time = 3000;
+        expect(queue.dequeue().ex_id).toEqual('old');
+        expect(queue.dequeue().ex_id).toEqual('new');
+    });
+
+    it('can remove items and change their priority', function() {
+        var queue = priorityQueue(0, getTime);
+        var items = [];
+
+        queue.enqueue({ex_id: 'one'});
+        queue.enqueue({ex_id: 'two'});
+        queue.enqueue({ex_id: 'three'});
+
+        expect(queue.setPriority('three', 'ex_id', 5)).toEqual(true);
+        expect(queue.setPriority('missing', 'ex_id', 5)).toEqual(false);
+        queue.remove('one', 'ex_id');
+        queue.each(item => items.push(item.ex_id));
+
+        expect(items).toEqual(['two', 'three']);
+        expect(queue.dequeue()).toEqual({ex_id: 'three', priority: 5});
+        expect(queue.size()).toEqual(1);
+    });
+
+});
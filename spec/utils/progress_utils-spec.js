@@ -0,0 +1,41 @@
+'use strict';
+
+var progressUtils = require('../../lib/utils/progress_utils');
+
+describe('progress_utils', function() {
+
+    it('keyProgress measures how far a key is into the key set', function() {
+        var base = ['a', 'b', 'c', 'd'];
+
+        expect(progressUtils.keyProgress(base, ['c', 'd'], 'c')).toEqual(1);
+        expect(progressUtils.keyProgress(base, ['c', 'd'], 'cb')).toEqual(0.5);
+        expect(progressUtils.keyProgress(base, ['c', 'd'], 'da')).toEqual(1.25);
+        expect(progressUtils.keyProgress(base, ['c', 'd'], 'dd')).toEqual(2);
+    });
+
+    it('estimateProgress accounts for the slices that are still pending', function() {
+        var slicers = {
+            0: {total: 100, covered: 50, start: 0},
+            1: {total: 100, covered: 30, start: 0}
+        };
+
+        expect(progressUtils.estimateProgress(slicers, 8, 0)).toEqual({percent_complete: 40, remaining: 12});
+        expect(progressUtils.estimateProgress(slicers, 8, 4)).toEqual({percent_complete: 20, remaining: 16});
+        expect(progressUtils.estimateProgress({0: {total: 100, covered: 100, start: 0}}, 4, 1)).toEqual({percent_complete: 75, remaining: 1});
+        expect(progressUtils.estimateProgress({0: {total: 100, covered: 60, start: 50}}, 2, 0)).toEqual({percent_complete: 60, remaining: 8});
+        expect(progressUtils.estimateProgress({0: {total: 100, covered: 0, start: 0}}, 0, 0)).toEqual({percent_complete: 0, remaining: null});
+        expect(progressUtils.estimateProgress({}, 0, 0)).toEqual({percent_complete: null, remaining: null});
+    });
+
+    it('throughput and estimateEta use the recent rate of processed slices', function() {
+        var samples = [{time: 0, processed: 0}, {time: 5000, processed: 10}, {time: 10000, processed: 40}];
+        var now = Date.parse('2017-06-14T00:00:00.000Z');
+
+        expect(progressUtils.throughput(samples)).toEqual(4);
+        expect(progressUtils.throughput(samples.slice(0, 1))).toEqual(null);
+        expect(progressUtils.estimateEta(20, 4, now)).toEqual('2017-06-14T00:00:05.000Z');
+        expect(progressUtils.estimateEta(null, 4, now)).toEqual(null);
+        expect(progressUtils.estimateEta(20, 0, now)).toEqual(null);
+    });
+
+});
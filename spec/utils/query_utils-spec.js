@@ -0,0 +1,48 @@
+'use strict';
+
+var buildExecutionQuery = require('../../lib/utils/query_utils').buildExecutionQuery;
+var buildDeliveryQuery = require('../../lib/utils/query_utils').buildDeliveryQuery;
+var buildListQuery = require('../../lib/utils/query_utils').buildListQuery;
+
+describe('query_utils', function() {
+
+    it('buildExecutionQuery returns null without any filter', function() {
+        expect(buildExecutionQuery({}, ['running'])).toEqual(null);
+        expect(buildExecutionQuery({dry_run: true, name: ''}, ['running'])).toEqual(null);
+    });
+
+    it('buildExecutionQuery combines every filter', function() {
+        expect(buildExecutionQuery({query: 'job_id:abc OR job_id:def', name: 'reindex "logs"'}, ['running']))
+            .toEqual('_context:ex AND (job_id:abc OR job_id:def) AND name:"reindex \\"logs\\"" AND _status:"running"');
+        expect(buildExecutionQuery({status: 'running,failing', tag: ['nightly']}, ['running']))
+            .toEqual('_context:ex AND (_status:"running" OR _status:"failing") AND tags:"nightly"');
+        expect(buildExecutionQuery({moderator: 'elasticsearch:default'}, ['paused', 'moderator_paused']))
+            .toEqual('_context:ex AND moderator.elasticsearch:"default" AND (_status:"paused" OR _status:"moderator_paused")');
+    });
+
+    it('buildExecutionQuery validates the moderator filter', function() {
+        expect(() => buildExecutionQuery({moderator: 'default'}))
+            .toThrowError('moderator filter must be in the format of connection_type:connection, ie. elasticsearch:default');
+    });
+
+    it('buildListQuery narrows down the base query', function() {
+        expect(buildListQuery('_context:ex', {})).toEqual('(_context:ex)');
+        expect(buildListQuery('_context:ex', {status: 'running,failed', job_id: 'abc', created_after: '2017-06-01', size: 10}))
+            .toEqual('(_context:ex) AND (_status:"running" OR _status:"failed") AND job_id:"abc" AND _created:[2017-06-01T00:00:00.000Z TO *]');
+        expect(buildListQuery('job_id:* NOT ex_id:*', {name: 'reindex', created_before: '2017-06-14T12:00:00Z'}))
+            .toEqual('(job_id:* NOT ex_id:*) AND name:"reindex" AND _created:[* TO 2017-06-14T12:00:00.000Z]');
+        expect(buildListQuery('_context:ex', {tag: 'nightly,logs', owner: 'data-eng', metadata: {team: 'search'}, 'metadata.cost.center': '42'}))
+            .toEqual('(_context:ex) AND (tags:"nightly" OR tags:"logs") AND owner:"data-eng" AND metadata.team:"search" AND metadata.cost.center:"42"');
+        expect(() => buildListQuery('_context:ex', {'metadata.team:*) OR (x': 'y'}))
+            .toThrowError('metadata filter: team:*) OR (x is not a valid field name');
+        expect(() => buildListQuery('_context:ex', {created_after: 'yesterday'}))
+            .toThrowError('created_after must be a date, was given: yesterday');
+    });
+
+    it('buildDeliveryQuery filters the delivery log', function() {
+        expect(buildDeliveryQuery({})).toEqual('delivery_id:*');
+        expect(buildDeliveryQuery({ex_id: 'ex1', status: 'failed,completed', delivered: 'false', from: 10}))
+            .toEqual('ex_id:"ex1" AND (status:"failed" OR status:"completed") AND delivered:"false"');
+    });
+
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+var reconcileExecution = require('../../lib/utils/reconcile_utils').reconcileExecution;
+
+describe('reconcile_utils', function() {
+
+    var slicer = {assignment: 'slicer', ex_id: '1234', node_id: 'node1', slicer_port: 45680};
+    var worker = {assignment: 'worker', ex_id: '1234', node_id: 'node2'};
+
+    it('adopts executions that still have a running slicer', function() {
+        var ex = {ex_id: '1234', _status: 'running', lifecycle: 'once', workers: 3};
+
+        expect(reconcileExecution(ex, [slicer], [worker])).toEqual({action: 'adopt', missingWorkers: 2});
+        expect(reconcileExecution(ex, [slicer], [worker, worker, worker, worker]))
+            .toEqual({action: 'adopt', missingWorkers: 0});
+    });
+
+    it('requeues executions that were still being scheduled', function() {
+        var ex = {ex_id: '1234', _status: 'scheduling', lifecycle: 'once', workers: 3};
+
+        expect(reconcileExecution(ex, [], [])).toEqual({action: 'requeue', orphanedWorkers: 0});
+    });
+
+    it('recovers persistent executions and terminates once executions without a slicer', function() {
+        var persistent = {ex_id: '1234', _status: 'running', lifecycle: 'persistent', workers: 3};
+        var once = {ex_id: '1234', _status: 'paused', lifecycle: 'once', workers: 3};
+
+        expect(reconcileExecution(persistent, [], [worker])).toEqual({action: 'recover', orphanedWorkers: 1});
+        expect(reconcileExecution(once, [], [])).toEqual({action: 'terminate', orphanedWorkers: 0});
+    });
+
+});
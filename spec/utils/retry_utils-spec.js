@@ -0,0 +1,62 @@
+'use strict';
+
+var retryUtils = require('../../lib/utils/retry_utils');
+
+describe('retry_utils', function() {
+
+    it('validateRetryPolicy throws on invalid policies', function() {
+        expect(function() {
+            retryUtils.validateRetryPolicy({max_attempts: 3, backoff: 1000, retry_on: ['timeout'], mode: 'new'})
+        }).not.toThrow();
+        expect(function() {
+            retryUtils.validateRetryPolicy('3')
+        }).toThrowError(/must be an object/);
+        expect(function() {
+            retryUtils.validateRetryPolicy({max_attempts: 0})
+        }).toThrowError(/max_attempts must be an integer greater than zero/);
+        expect(function() {
+            retryUtils.validateRetryPolicy({backoff: -1})
+        }).toThrowError(/backoff must be a number/);
+        expect(function() {
+            retryUtils.validateRetryPolicy({retry_on: ['(']})
+        }).toThrowError(/invalid regular expression/);
+        expect(function() {
+            retryUtils.validateRetryPolicy({mode: 'restart'})
+        }).toThrowError(/mode must be one of: recover, new/);
+    });
+
+    it('shouldRetry checks the attempts and failure reason', function() {
+        var policy = {max_attempts: 3, retry_on: ['timeout', 'node_master .* disconnected']};
+
+        expect(retryUtils.shouldRetry(policy, 1, 'Request Timeout')).toEqual(true);
+        expect(retryUtils.shouldRetry(policy, 2, 'node_master where slicer resided has disconnected')).toEqual(true);
+        expect(retryUtils.shouldRetry(policy, 3, 'Request Timeout')).toEqual(false);
+        expect(retryUtils.shouldRetry(policy, 1, 'index_not_found_exception')).toEqual(false);
+        expect(retryUtils.shouldRetry({max_attempts: 2}, 1, undefined)).toEqual(true);
+    });
+
+    it('backoffDelay grows exponentially up to max_backoff', function() {
+        var policy = {backoff: 1000, multiplier: 3, max_backoff: 20000};
+
+        expect(retryUtils.backoffDelay(policy, 1)).toEqual(1000);
+        expect(retryUtils.backoffDelay(policy, 2)).toEqual(3000);
+        expect(retryUtils.backoffDelay(policy, 3)).toEqual(9000);
+        expect(retryUtils.backoffDelay(policy, 4)).toEqual(20000);
+        expect(retryUtils.backoffDelay({}, 1)).toEqual(30000);
+    });
+
+    it('failedSlices creates new slices that link to the failed ones', function() {
+        var ids = ['new1', 'new2'];
+        var records = [
+            {slice_id: 'old1', slicer_id: 0, slicer_order: 4, request: '{"start":"2017-06-14T00:00:00.000Z"}', state: 'error', error: 'boom'},
+            {slice_id: 'old2', slicer_id: 1, slicer_order: 9, request: '{"key":"a"}', state: 'error'}
+        ];
+
+        expect(retryUtils.failedSlices(records, () => ids.shift())).toEqual([
+            {slice_id: 'new1', slicer_id: 0, slicer_order: 4, request: {start: '2017-06-14T00:00:00.000Z'}, retry_of: 'old1'},
+            {slice_id: 'new2', slicer_id: 1, slicer_order: 9, request: {key: 'a'}, retry_of: 'old2'}
+        ]);
+        expect(retryUtils.failedSlices([], () => 'id')).toEqual([]);
+    });
+
+});
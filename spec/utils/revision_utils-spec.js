@@ -0,0 +1,48 @@
+'use strict';
+
+var revisionUtils = require('../../lib/utils/revision_utils');
+
+describe('revision_utils', function() {
+
+    var job = {
+        job_id: '1234',
+        _context: 'job',
+        _revision: 2,
+        _created: '2016-07-29T10:00:00.000Z',
+        name: 'Reindex',
+        workers: 5,
+        operations: [{_op: 'elasticsearch_reader', size: 5000}, {_op: 'noop'}]
+    };
+
+    it('jobSpec removes bookkeeping fields', function() {
+        expect(revisionUtils.jobSpec(job)).toEqual({
+            name: 'Reindex',
+            workers: 5,
+            operations: [{_op: 'elasticsearch_reader', size: 5000}, {_op: 'noop'}]
+        });
+    });
+
+    it('diffSpecs returns no changes for equal specs', function() {
+        var updated = Object.assign({}, job, {_revision: 3, _created: '2016-07-30T10:00:00.000Z'});
+
+        expect(revisionUtils.diffSpecs(job, updated)).toEqual([]);
+    });
+
+    it('diffSpecs returns added, removed and changed paths', function() {
+        var updated = {
+            job_id: '1234',
+            _revision: 3,
+            name: 'Reindex',
+            lifecycle: 'persistent',
+            operations: [{_op: 'elasticsearch_reader', size: 10000}]
+        };
+
+        expect(revisionUtils.diffSpecs(job, updated)).toEqual([
+            {path: 'lifecycle', op: 'added', to: 'persistent'},
+            {path: 'operations[0].size', op: 'changed', from: 5000, to: 10000},
+            {path: 'operations[1]', op: 'removed', from: {_op: 'noop'}},
+            {path: 'workers', op: 'removed', from: 5}
+        ]);
+    });
+
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+var rotationUtils = require('../../lib/utils/rotation_utils');
+
+describe('rotation_utils', function() {
+
+    var date = new Date('2017-06-14T23:30:00.000Z');
+
+    it('partitionName returns the partition a record belongs to', function() {
+        expect(rotationUtils.partitionName('teracluster__state', 'none', date)).toEqual('teracluster__state');
+        expect(rotationUtils.partitionName('teracluster__state', 'daily', date)).toEqual('teracluster__state-2017.06.14');
+        expect(rotationUtils.partitionName('teracluster__state', 'monthly', date)).toEqual('teracluster__state-2017.06');
+    });
+
+    it('partitionStart parses partition names of the index', function() {
+        expect(rotationUtils.partitionStart('teracluster__state', 'daily', 'teracluster__state-2017.06.14').toISOString())
+            .toEqual('2017-06-14T00:00:00.000Z');
+        expect(rotationUtils.partitionStart('teracluster__state', 'daily', 'teracluster__state-2017.06')).toEqual(null);
+        expect(rotationUtils.partitionStart('teracluster__state', 'daily', 'teracluster__analytics-2017.06.14')).toEqual(null);
+        expect(rotationUtils.partitionStart('teracluster__state', 'none', 'teracluster__state-2017.06.14')).toEqual(null);
+    });
+
+    it('expiredPartitions returns the partitions past retention', function() {
+        var daily = ['teracluster__state-2017.06.14', 'teracluster__state-2017.06.10', 'teracluster__state-2017.06.11',
+            'teracluster__state-2017.06.12', 'other-2017.01.01'];
+        var monthly = ['teracluster__analytics-2017.04', 'teracluster__analytics-2017.05', 'teracluster__analytics-2017.06'];
+
+        expect(rotationUtils.expiredPartitions(daily, 'teracluster__state', 'daily', 3, date))
+            .toEqual(['teracluster__state-2017.06.10']);
+        expect(rotationUtils.expiredPartitions(daily, 'teracluster__state', 'daily', 2, date))
+            .toEqual(['teracluster__state-2017.06.10', 'teracluster__state-2017.06.11']);
+        expect(rotationUtils.expiredPartitions(monthly, 'teracluster__analytics', 'monthly', 30, date))
+            .toEqual(['teracluster__analytics-2017.04']);
+        expect(rotationUtils.expiredPartitions(daily, 'teracluster__state', 'daily', 0, date)).toEqual([]);
+        expect(rotationUtils.expiredPartitions(daily, 'teracluster__state', 'none', 3, date)).toEqual([]);
+    });
+
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+var templateUtils = require('../../lib/utils/template_utils');
+
+describe('template_utils', function() {
+
+    var template = {
+        name: 'reindex',
+        parameters: {
+            index: {type: 'string'},
+            start: {type: 'date'},
+            size: {type: 'number', default: 5000},
+            preserve_id: {type: 'boolean', default: false}
+        },
+        job: {
+            name: 'Reindex {{index}}',
+            operations: [
+                {_op: 'elasticsearch_reader', index: '{{index}}', start: '{{ start }}', size: '{{size}}'},
+                {_op: 'elasticsearch_index_selector', index: '{{index}}-copy', preserve_id: '{{preserve_id}}'}
+            ]
+        }
+    };
+
+    it('findPlaceholders returns every parameter used in the job', function() {
+        expect(templateUtils.findPlaceholders(template.job)).toEqual(['index', 'preserve_id', 'size', 'start']);
+    });
+
+    it('validateTemplate checks the template is well formed', function() {
+        expect(function() {
+            templateUtils.validateTemplate(template)
+        }).not.toThrow();
+        expect(function() {
+            templateUtils.validateTemplate({name: 'bad name', job: template.job})
+        }).toThrowError(/needs a name/);
+        expect(function() {
+            templateUtils.validateTemplate({name: 'reindex', job: {}})
+        }).toThrowError(/operations array/);
+        expect(function() {
+            templateUtils.validateTemplate({name: 'reindex', parameters: {index: {type: 'list'}}, job: template.job})
+        }).toThrowError(/parameter "index" needs a type/);
+        expect(function() {
+            templateUtils.validateTemplate({name: 'reindex', parameters: {index: {type: 'number', default: 'a'}}, job: template.job})
+        }).toThrowError(/parameter "index" must be a number/);
+        expect(function() {
+            templateUtils.validateTemplate({name: 'reindex', parameters: {index: {type: 'string'}}, job: template.job})
+        }).toThrowError(/not declared: preserve_id, size, start/);
+    });
+
+    it('renderTemplate replaces placeholders with typed values and defaults', function() {
+        var job = templateUtils.renderTemplate(template, {index: 'logs', start: '2016-07-29T10:00:00Z', size: '100'});
+
+        expect(job).toEqual({
+            name: 'Reindex logs',
+            operations: [
+                {_op: 'elasticsearch_reader', index: 'logs', start: '2016-07-29T10:00:00Z', size: 100},
+                {_op: 'elasticsearch_index_selector', index: 'logs-copy', preserve_id: false}
+            ]
+        });
+        expect(template.job.operations[0].index).toEqual('{{index}}');
+    });
+
+    it('renderTemplate reports every missing, unknown or invalid parameter', function() {
+        expect(function() {
+            templateUtils.renderTemplate(template, {start: 'yesterday', size: 'a', other: 1})
+        }).toThrowError('parameter "other" is not declared by template: reindex, ' +
+            'parameter "index" is required by template: reindex, ' +
+            'parameter "start" must be an ISO 8601 date, was given: "yesterday", ' +
+            'parameter "size" must be a number, was given: "a"');
+    });
+
+});
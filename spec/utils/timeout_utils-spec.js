@@ -0,0 +1,34 @@
+'use strict';
+
+var timeoutUtils = require('../../lib/utils/timeout_utils');
+
+describe('timeout_utils', function() {
+
+    it('checkTimeouts returns null when there are no limits or they are not exceeded', function() {
+        expect(timeoutUtils.checkTimeouts({}, 0, 0, 100000, false)).toEqual(null);
+        expect(timeoutUtils.checkTimeouts({max_runtime: 5000, stall_timeout: 1000}, 0, 3500, 4000, false)).toEqual(null);
+    });
+
+    it('checkTimeouts fails executions that run too long', function() {
+        expect(timeoutUtils.checkTimeouts({max_runtime: 5000}, 0, 4999, 5001, false))
+            .toEqual('execution exceeded its max_runtime of 5000 ms');
+        expect(timeoutUtils.checkTimeouts({max_runtime: 5000}, 0, 0, 5001, true))
+            .toEqual('execution exceeded its max_runtime of 5000 ms');
+    });
+
+    it('checkTimeouts fails stalled executions unless they are paused', function() {
+        expect(timeoutUtils.checkTimeouts({stall_timeout: 1000}, 0, 2000, 3001, false))
+            .toEqual('execution stalled, no slice has completed within the stall_timeout of 1000 ms');
+        expect(timeoutUtils.checkTimeouts({stall_timeout: 1000}, 0, 2000, 3001, true)).toEqual(null);
+    });
+
+    it('timeoutFormat allows null or a positive number', function() {
+        var format = timeoutUtils.timeoutFormat('max_runtime');
+
+        expect(() => format(null)).not.toThrow();
+        expect(() => format(1000)).not.toThrow();
+        expect(() => format(0)).toThrowError('max_runtime must be a number of milliseconds greater than zero');
+        expect(() => format('1000')).toThrowError(/max_runtime must be a number/);
+    });
+
+});
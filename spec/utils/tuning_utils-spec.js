@@ -0,0 +1,54 @@
+'use strict';
+
+var tuningUtils = require('../../lib/utils/tuning_utils');
+
+describe('tuning_utils', function() {
+
+    var persistent = {ex_id: 'ex1', lifecycle: 'persistent', slicers: 2, operations: [{_op: 'elasticsearch_reader', size: 5000, interval: '5m'}]};
+    var once = {ex_id: 'ex2', lifecycle: 'once', slicers: 1, operations: [{_op: 'id_reader', size: 10000}]};
+
+    it('parseTuning only sets the given fields', function() {
+        expect(tuningUtils.parseTuning({slicers: '4', interval: '30s', other: 'x'})).toEqual({slicers: 4, interval: '30s'});
+        expect(tuningUtils.parseTuning({size: 'abc'}).size).toEqual(NaN);
+        expect(tuningUtils.parseTuning({})).toEqual({});
+    });
+
+    it('validateTuning throws on changes that cannot be applied', function() {
+        expect(function() {
+            tuningUtils.validateTuning(persistent, {slicers: 4, size: 1000, interval: '30s'})
+        }).not.toThrow();
+        expect(function() {
+            tuningUtils.validateTuning(once, {size: 500})
+        }).not.toThrow();
+        expect(function() {
+            tuningUtils.validateTuning(persistent, {})
+        }).toThrowError('must provide slicers, size and/or interval');
+        expect(function() {
+            tuningUtils.validateTuning(persistent, {size: 0})
+        }).toThrowError('size must be an integer >= one');
+        expect(function() {
+            tuningUtils.validateTuning(persistent, {slicers: 1.5})
+        }).toThrowError('slicers must be an integer >= one');
+        expect(function() {
+            tuningUtils.validateTuning(persistent, {interval: '30 seconds'})
+        }).toThrowError(/interval needs to follow/);
+        expect(function() {
+            tuningUtils.validateTuning(persistent, {interval: '30x'})
+        }).toThrowError(/interval needs to follow/);
+        expect(function() {
+            tuningUtils.validateTuning(once, {interval: '30s'})
+        }).toThrowError('interval cannot be changed for executions using the id_reader');
+        expect(function() {
+            tuningUtils.validateTuning({lifecycle: 'once', operations: [{_op: 'elasticsearch_reader'}]}, {slicers: 2})
+        }).toThrowError(/slicers can only be changed on persistent executions/);
+        expect(function() {
+            tuningUtils.validateTuning({ex_id: 'ex3', lifecycle: 'once', _retry_failed_of: 'ex2', operations: [{_op: 'id_reader'}]}, {size: 10})
+        }).toThrowError(/is retrying the failed slices of ex_id: ex2/);
+    });
+
+    it('currentTuning returns the values before the change', function() {
+        expect(tuningUtils.currentTuning(persistent)).toEqual({slicers: 2, size: 5000, interval: '5m'});
+        expect(tuningUtils.currentTuning(once)).toEqual({slicers: 1, size: 10000, interval: undefined});
+    });
+
+});